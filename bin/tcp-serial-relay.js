@@ -26,10 +26,13 @@ program
   .description('Start the relay service')
   .option('-c, --config <path>', 'Configuration file path')
   .option('-d, --daemon', 'Run as daemon')
+  .option('--persistent', 'Keep the relay running and reconnect dropped connections (daemon run mode)')
   .option('--mock', 'Run in mock mode for testing')
+  .option('--mock-scenario <file>', 'Answer the mock serial port from a scenario file (implies --mock)')
   .option('--debug', 'Enable debug logging')
   .option('--tcp', 'Force TCP-to-TCP mode')
   .option('--serial', 'Force TCP-to-Serial mode')
+  .option('--capture', 'Record the session for replay')
   .action(async (options) => {
     const appPath = path.join(__dirname, '..', 'src', 'app.js');
     const env = { ...process.env };
@@ -38,15 +41,29 @@ program
       env.CONFIG_PATH = options.config;
     }
     
-    if (options.mock) {
+    if (options.mock || options.mockScenario) {
       env.MOCK_ENV = 'true';
       env.LOG_LEVEL = 'debug';
     }
+
+    if (options.mockScenario) {
+      env.MOCK_SCENARIO = path.resolve(options.mockScenario);
+    }
     
     if (options.debug) {
       env.LOG_LEVEL = 'debug';
     }
 
+    if (options.persistent) {
+      env.RUN_MODE = 'daemon';
+      console.log('Running in persistent (daemon) mode');
+    }
+
+    if (options.capture) {
+      env.CAPTURE_ENABLED = 'true';
+      console.log('Recording session capture');
+    }
+
     if (options.tcp) {
       env.CONNECTION_TYPE = 'tcp';
       console.log('Forcing TCP-to-TCP relay mode');
@@ -172,6 +189,106 @@ program
     });
   });
 
+// Detect command
+program
+  .command('detect')
+  .description('Find the serial port and line settings the gauge answers on')
+  .option('--channel <id>', 'Only detect the port of this channel')
+  .option('--port <path>', 'Only probe this port')
+  .option('--save', 'Write the detected port and settings to the configuration file')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    const detectScript = path.join(__dirname, '..', 'scripts', 'detect.js');
+    
+    const args = [];
+    if (options.channel) args.push('--channel', options.channel);
+    if (options.port) args.push('--port', options.port);
+    if (options.save) args.push('--save');
+    if (options.json) args.push('--json');
+    
+    spawn('node', [detectScript, ...args], {
+      stdio: 'inherit'
+    });
+  });
+
+// Outbox command
+program
+  .command('outbox')
+  .description('Show collected data waiting to be uploaded')
+  .option('--channel <id>', 'Only the outbox of this channel')
+  .option('--json', 'Output as JSON')
+  .option('--retry', 'Retry every pending batch now')
+  .option('--clear', 'Drop every pending batch')
+  .action(async (options) => {
+    const outboxScript = path.join(__dirname, '..', 'scripts', 'outbox.js');
+    
+    const args = [];
+    if (options.channel) args.push('--channel', options.channel);
+    if (options.json) args.push('--json');
+    if (options.retry) args.push('--retry');
+    if (options.clear) args.push('--clear');
+    
+    spawn('node', [outboxScript, ...args], {
+      stdio: 'inherit'
+    });
+  });
+
+// Replay command
+program
+  .command('replay <file>')
+  .description('Replay one side of a captured session against a real or mock endpoint')
+  .option('--side <side>', 'Side to replay: "tcp" (upstream commands) or "secondary" (gauge responses)', 'tcp')
+  .option('--connect <host:port>', 'Connect to a TCP endpoint')
+  .option('--listen <port>', 'Wait for a TCP connection, e.g. from a relay under test')
+  .option('--serial [path]', 'Write to a serial port (default: the captured port)')
+  .option('--baud <rate>', 'Serial baud rate (default: the captured rate)')
+  .option('--mock', 'Write to a mock serial port')
+  .option('--speed <factor>', 'Time scale: 1 = original timing, 10 = ten times faster, 0 = no delays', '1')
+  .option('--wait <ms>', 'Keep listening for replies this long after the last write', '2000')
+  .action(async (file, options) => {
+    const replayScript = path.join(__dirname, '..', 'scripts', 'replay.js');
+    
+    const args = [file, '--side', options.side, '--speed', options.speed, '--wait', options.wait];
+    if (options.connect) args.push('--connect', options.connect);
+    if (options.listen) args.push('--listen', options.listen);
+    if (options.serial) args.push(...(typeof options.serial === 'string' ? ['--serial', options.serial] : ['--serial']));
+    if (options.baud) args.push('--baud', options.baud);
+    if (options.mock) args.push('--mock');
+    
+    spawn('node', [replayScript, ...args], {
+      stdio: 'inherit'
+    });
+  });
+
+// Simulate command
+program
+  .command('simulate')
+  .description('Emulate a Veeder-Root TLS console for testing without a gauge')
+  .option('--port <port>', 'TCP port to listen on', '10003')
+  .option('--host <host>', 'Address to listen on', '0.0.0.0')
+  .option('--pty <path>', 'Serve on a pseudo-terminal linked at this path instead of TCP (requires socat)')
+  .option('--state <file>', 'JSON file with the station, tanks, salesRate and alarm limits')
+  .option('--drift-interval <ms>', 'How often inventory drifts (0 = never)', '60000')
+  .option('--time-scale <factor>', 'Simulated time per real time, e.g. 60 = one hour per minute', '1')
+  .option('--response-delay <ms>', 'Delay before each response', '100')
+  .action(async (options) => {
+    const simulateScript = path.join(__dirname, '..', 'scripts', 'simulate.js');
+    
+    const args = [
+      '--port', options.port,
+      '--host', options.host,
+      '--drift-interval', options.driftInterval,
+      '--time-scale', options.timeScale,
+      '--response-delay', options.responseDelay
+    ];
+    if (options.pty) args.push('--pty', options.pty);
+    if (options.state) args.push('--state', options.state);
+    
+    spawn('node', [simulateScript, ...args], {
+      stdio: 'inherit'
+    });
+  });
+
 // Config command
 program
   .command('config')
@@ -9,6 +9,7 @@ const { program } = require('commander');
 
 // Import the config path resolver
 const { getConfigPath } = require('../src/config');
+const { describeSerialPath, validateSerialPath } = require('../src/utils/serial-port-matcher');
 
 class ConfigManager {
   constructor() {
@@ -98,8 +99,8 @@ class ConfigManager {
         validations.push(
           {
             field: 'serialPath',
-            test: (val) => typeof val === 'string' && val.length > 0,
-            message: 'Serial path must be a non-empty string'
+            test: (val) => Boolean(val) && validateSerialPath(val).length === 0,
+            message: 'Serial path must be a device path or a USB matcher ({ vendorId, productId, serialNumber })'
           },
           {
             field: 'serialBaud',
@@ -165,7 +166,7 @@ class ConfigManager {
         console.log(`  Primary TCP: ${config.tcpIp}:${config.tcpPort}`);
         
         if (config.connectionType === 'serial') {
-          console.log(`  Serial Port: ${config.serialPath} @ ${config.serialBaud} baud`);
+          console.log(`  Serial Port: ${describeSerialPath(config.serialPath)} @ ${config.serialBaud} baud`);
           console.log(`  Serial Settings: ${config.serialDataBits}${config.serialParity.charAt(0).toUpperCase()}${config.serialStopBits}`);
         } else if (config.connectionType === 'tcp') {
           console.log(`  Secondary TCP: ${config.secondaryTcpIp}:${config.secondaryTcpPort}`);
@@ -353,8 +354,14 @@ class ConfigManager {
           "default": 10002
         },
         "serialPath": {
-          "type": "string",
-          "description": "Serial port device path (when connectionType is 'serial')",
+          "type": ["string", "object"],
+          "description": "Serial port device path, /dev/serial/by-id link, or USB matcher { vendorId, productId, serialNumber } (when connectionType is 'serial')",
+          "properties": {
+            "vendorId": { "type": "string" },
+            "productId": { "type": "string" },
+            "serialNumber": { "type": "string" }
+          },
+          "additionalProperties": false,
           "default": "/dev/ttyUSB0"
         },
         "serialBaud": {
@@ -381,6 +388,100 @@ class ConfigManager {
           "description": "Serial port stop bits (when connectionType is 'serial')",
           "default": 1
         },
+        "serialPty": {
+          "type": "string",
+          "enum": ["none", "create", "attach"],
+          "description": "Use a pseudo-terminal at serialPath instead of a serial device (when connectionType is 'serial')",
+          "default": "none"
+        },
+        "serialRtsCts": {
+          "type": "boolean",
+          "description": "Hardware (RTS/CTS) flow control",
+          "default": false
+        },
+        "serialXonXoff": {
+          "type": "boolean",
+          "description": "Software (XON/XOFF) flow control",
+          "default": false
+        },
+        "serialDtr": {
+          "type": "string",
+          "enum": ["default", "on", "off"],
+          "description": "DTR level after the port opens",
+          "default": "default"
+        },
+        "serialRts": {
+          "type": "string",
+          "enum": ["default", "on", "off"],
+          "description": "RTS level after the port opens (not used with RTS/CTS or RS-485)",
+          "default": "default"
+        },
+        "serialHupcl": {
+          "type": "boolean",
+          "description": "Drop DTR when the port is closed",
+          "default": true
+        },
+        "serialBreakDuration": {
+          "type": "integer",
+          "minimum": 0,
+          "description": "BREAK sent before each command in ms (0 = none)",
+          "default": 0
+        },
+        "serialRs485": {
+          "type": "boolean",
+          "description": "Switch RTS as the RS-485 transmit enable around each write",
+          "default": false
+        },
+        "serialRs485RtsOnSend": {
+          "type": "boolean",
+          "description": "RTS level while sending on RS-485 (true = high)",
+          "default": true
+        },
+        "serialRs485DelayBeforeSend": {
+          "type": "integer",
+          "minimum": 0,
+          "description": "Delay between enabling the RS-485 transmitter and sending in ms",
+          "default": 0
+        },
+        "serialRs485DelayAfterSend": {
+          "type": "integer",
+          "minimum": 0,
+          "description": "Delay between the last byte and releasing the RS-485 line in ms",
+          "default": 0
+        },
+        "serialCharDelay": {
+          "type": "integer",
+          "minimum": 0,
+          "description": "Pause between the bytes of a serial command in ms (0 = write in one go)",
+          "default": 0
+        },
+        "serialCommandGap": {
+          "type": "integer",
+          "minimum": 0,
+          "description": "Minimum quiet time between serial commands in ms",
+          "default": 0
+        },
+        "serialSettleTime": {
+          "type": "integer",
+          "minimum": 0,
+          "description": "Wait after a serial command has been sent before the write completes in ms",
+          "default": 0
+        },
+        "mockScenario": {
+          "type": "string",
+          "description": "Scenario file answering writes to the mock serial port (MOCK_ENV=true)",
+          "default": ""
+        },
+        "serialAutoDetect": {
+          "type": "boolean",
+          "description": "Probe for the serial port and line settings at start (when connectionType is 'serial')",
+          "default": false
+        },
+        "serialAutoDetectSave": {
+          "type": "boolean",
+          "description": "Write detected serial settings back to the configuration file",
+          "default": false
+        },
         "secondaryTcpIp": {
           "type": "string",
           "description": "Secondary TCP server IP address (when connectionType is 'tcp')",
@@ -393,6 +494,24 @@ class ConfigManager {
           "description": "Secondary TCP server port (when connectionType is 'tcp')",
           "default": 10003
         },
+        "secondaryTcpMode": {
+          "type": "string",
+          "enum": ["persistent", "transaction"],
+          "description": "Keep one connection open, or open a new connection for every command (when connectionType is 'tcp')",
+          "default": "persistent"
+        },
+        "secondaryTransactionTimeout": {
+          "type": "integer",
+          "minimum": 1,
+          "description": "Time to wait for a response before closing a transaction (ms)",
+          "default": 5000
+        },
+        "secondaryTransactionIdle": {
+          "type": "integer",
+          "minimum": 0,
+          "description": "Quiet time after response data that ends a transaction (ms, 0 = wait for close or timeout)",
+          "default": 500
+        },
         "maxRetries": {
           "type": "integer",
           "minimum": 0,
@@ -417,6 +536,36 @@ class ConfigManager {
           "description": "Maximum time to wait for data (ms)",
           "default": 30000
         },
+        "reconnectDelay": {
+          "type": "integer",
+          "minimum": 0,
+          "description": "Delay before reconnecting a dropped side, doubled after each failed attempt (ms)",
+          "default": 5000
+        },
+        "reconnectMaxDelay": {
+          "type": "integer",
+          "minimum": 0,
+          "description": "Longest delay between reconnect attempts (ms)",
+          "default": 60000
+        },
+        "circuitBreakerThreshold": {
+          "type": "integer",
+          "minimum": 1,
+          "description": "Failed reconnects in a row before a side's circuit opens",
+          "default": 5
+        },
+        "circuitBreakerResetTimeout": {
+          "type": "integer",
+          "minimum": 1000,
+          "description": "Time an open circuit waits before a single trial reconnect (ms)",
+          "default": 60000
+        },
+        "outageBufferMaxBytes": {
+          "type": "integer",
+          "minimum": 0,
+          "description": "Data held for a side while it is down; the oldest is dropped beyond this",
+          "default": 65536
+        },
         "logDataTransfers": {
           "type": "boolean",
           "description": "Log individual data transfers",
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+// scripts/detect.js - Find the serial port and line settings a gauge answers on
+
+const fs = require('fs');
+const { program } = require('commander');
+
+const { getConfigPath, resolveChannels } = require('../src/config');
+const defaultConfig = require('../src/config/default-config');
+const { SerialDetector, saveDetectedSettings } = require('../src/services/serial-detector');
+
+/**
+ * Read the local configuration file without contacting the remote config service
+ */
+function readConfig() {
+  const configPath = getConfigPath();
+  if (!fs.existsSync(configPath)) {
+    return { ...defaultConfig };
+  }
+  return { ...defaultConfig, ...JSON.parse(fs.readFileSync(configPath, 'utf8')) };
+}
+
+function describe(settings) {
+  return `${settings.serialBaud} baud ${settings.serialDataBits}/${settings.serialParity}/${settings.serialStopBits}`;
+}
+
+program
+  .name('detect')
+  .description('Probe serial ports and line settings until the gauge answers')
+  .option('--channel <id>', 'Only detect the port of this channel')
+  .option('--port <path>', 'Only probe this port')
+  .option('--save', 'Write the detected port and settings to the configuration file')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      const channels = resolveChannels(readConfig())
+        .filter(channel => channel.connectionType === 'serial')
+        .filter(channel => !options.channel || channel.channelId === options.channel);
+
+      if (channels.length === 0) {
+        console.error(options.channel ? `No serial channel "${options.channel}"` : 'No serial connection configured');
+        process.exit(1);
+      }
+
+      const results = [];
+      for (const channel of channels) {
+        const config = options.port ? { ...channel, serialProbePorts: [options.port] } : channel;
+        const detector = new SerialDetector(config);
+        if (!options.json) {
+          console.log(`Detecting ${channel.channelId ? `channel ${channel.channelId}` : 'serial port'}...`);
+          detector.on('probe', (probe) => {
+            const outcome = probe.valid ? 'answered' : probe.error || (probe.response ? 'invalid reply' : 'no reply');
+            console.log(`  ${probe.path} ${describe(probe)}: ${outcome}`);
+          });
+        }
+
+        const result = await detector.detect();
+        results.push({ channelId: channel.channelId, detected: result?.settings || null });
+
+        if (!result) {
+          if (!options.json) {
+            console.log('  No device answered');
+          }
+          continue;
+        }
+
+        if (!options.json) {
+          console.log(`  Found ${result.settings.serialPath} at ${describe(result.settings)}`);
+        }
+        if (options.save) {
+          saveDetectedSettings(getConfigPath(), result.settings, channel.channelId);
+          if (!options.json) {
+            console.log(`  Saved to ${getConfigPath()}`);
+          }
+        }
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+      }
+      process.exit(results.every(result => result.detected) ? 0 : 1);
+    } catch (error) {
+      console.error('Detection failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program.parse(process.argv);
@@ -7,6 +7,7 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { execSync } = require('child_process');
+const { describeSerialPath } = require('../src/utils/serial-port-matcher');
 
 // Configuration
 const CONFIG = {
@@ -333,7 +334,7 @@ class HealthChecker {
         valid: missingFields.length === 0,
         missingFields,
         tcpEndpoint: `${config.tcpIp}:${config.tcpPort}`,
-        serialConfig: `${config.serialPath} @ ${config.serialBaud} baud`
+        serialConfig: `${describeSerialPath(config.serialPath)} @ ${config.serialBaud} baud`
       };
 
       if (missingFields.length > 0) {
@@ -239,9 +239,10 @@ WorkingDirectory=/opt/tcp-serial-relay
 Environment=NODE_ENV=production
 Environment=LOG_LEVEL=info
 Environment=CONFIG_PATH=${this.configPath}
+Environment=RUN_MODE=daemon
 
 # Command
-ExecStart=${this.binPath} start --config ${this.configPath}
+ExecStart=${this.binPath} start --persistent --config ${this.configPath}
 ExecReload=/bin/kill -USR1 $MAINPID
 
 # Restart policy
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+// scripts/outbox.js - Inspect and manage batches waiting in the outbox
+
+const fs = require('fs');
+const { program } = require('commander');
+
+const { getConfigPath } = require('../src/config');
+const defaultConfig = require('../src/config/default-config');
+const { openOutboxes } = require('../src/services/outbox');
+
+/**
+ * Read the local configuration file without contacting the remote config service
+ */
+function readConfig() {
+  const configPath = getConfigPath();
+  if (!fs.existsSync(configPath)) {
+    return { ...defaultConfig };
+  }
+  return { ...defaultConfig, ...JSON.parse(fs.readFileSync(configPath, 'utf8')) };
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function show(outboxes, options) {
+  const report = outboxes.map(outbox => ({
+    channelId: outbox.channelId,
+    directory: outbox.directory,
+    stats: outbox.getStats(),
+    batches: outbox.list()
+  }));
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  report.forEach(({ channelId, directory, stats, batches }) => {
+    console.log(`Outbox ${channelId || '(default)'}: ${directory}`);
+    console.log(`  Pending: ${stats.pending} batches, ${formatBytes(stats.bytes)}`);
+
+    batches.forEach((batch) => {
+      console.log(`  ${batch.batchId}  created ${batch.createdAt}  attempts ${batch.attempts}  next ${batch.nextAttemptAt}  ${formatBytes(batch.size)}`);
+    });
+    console.log('');
+  });
+}
+
+program
+  .name('outbox')
+  .description('Inspect batches of collected data waiting to be uploaded')
+  .option('--channel <id>', 'Only the outbox of this channel')
+  .option('--json', 'Output as JSON')
+  .option('--retry', 'Retry every pending batch now, ignoring the backoff')
+  .option('--clear', 'Drop every pending batch')
+  .action(async (options) => {
+    try {
+      const outboxes = openOutboxes(readConfig())
+        .filter(outbox => !options.channel || outbox.channelId === options.channel);
+
+      if (outboxes.length === 0) {
+        console.error(`No outbox for channel "${options.channel}"`);
+        process.exit(1);
+      }
+
+      if (options.clear) {
+        outboxes.forEach((outbox) => {
+          console.log(`Dropped ${outbox.clear()} batches from ${outbox.directory}`);
+        });
+        return;
+      }
+
+      if (options.retry) {
+        for (const outbox of outboxes) {
+          const delivered = await outbox.flush({ force: true });
+          console.log(`Delivered ${delivered} batches from ${outbox.directory}`);
+        }
+      }
+
+      show(outboxes, options);
+    } catch (error) {
+      console.error('Failed to read outbox:', error.message);
+      process.exit(1);
+    }
+  });
+
+program.parse(process.argv);
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+// scripts/replay.js - Replay one side of a captured session against an endpoint
+
+const { program } = require('commander');
+
+const defaultConfig = require('../src/config/default-config');
+const { CAPTURE_SIDES, readCapture } = require('../src/services/session-capture');
+const SessionReplay = require('../src/services/session-replay');
+
+/**
+ * Create the client for the replay target
+ * @param {object} options - Command line options
+ * @param {object} session - Capture header
+ * @returns {object} { client, label }
+ */
+function createTarget(options, session) {
+  const base = { ...defaultConfig, maxRetries: 1, logDataTransfers: false };
+
+  if (options.connect) {
+    const [host, port] = options.connect.split(':');
+    const SecondaryTcpClient = require('../src/services/secondary-tcp-client');
+    return {
+      client: new SecondaryTcpClient({ ...base, secondaryTcpIp: host, secondaryTcpPort: parseInt(port, 10) }),
+      label: options.connect
+    };
+  }
+
+  if (options.listen) {
+    const TcpServer = require('../src/services/tcp-server');
+    return {
+      client: new TcpServer({ ...base, listenHost: '0.0.0.0', listenPort: parseInt(options.listen, 10), maxClients: 1, allowedIps: [], tlsEnabled: false }),
+      label: `port ${options.listen} (waiting for a connection)`
+    };
+  }
+
+  if (options.mock) {
+    process.env.MOCK_ENV = 'true';
+  }
+
+  // Serial settings default to those of the captured session
+  const recorded = session.config || {};
+  const SerialClient = require('../src/services/serial-client');
+  const serialPath = typeof options.serial === 'string' ?
+    options.serial :
+    options.mock ? '/dev/ttyMOCK0' : recorded.serialPath;
+  return {
+    client: new SerialClient({
+      ...base,
+      serialPath,
+      serialBaud: options.baud ? parseInt(options.baud, 10) : recorded.serialBaud || base.serialBaud,
+      serialParity: recorded.serialParity || base.serialParity,
+      serialDataBits: recorded.serialDataBits || base.serialDataBits,
+      serialStopBits: recorded.serialStopBits || base.serialStopBits,
+      serialFraming: 'none'
+    }),
+    label: serialPath
+  };
+}
+
+/**
+ * Wait for the first upstream client of a listening target
+ * @param {object} client - TcpServer
+ */
+function waitForClient(client) {
+  return new Promise((resolve) => {
+    client.once('clientConnected', resolve);
+  });
+}
+
+function formatData(data) {
+  const ascii = data.toString('latin1').replace(/[^\x20-\x7E]/g, '.');
+  return `${data.length} bytes  ${ascii}`;
+}
+
+program
+  .name('replay')
+  .description('Replay one side of a captured session against a real or mock endpoint')
+  .argument('<file>', 'Capture file (.jsonl)')
+  .option('--side <side>', 'Side to replay: "tcp" (upstream commands) or "secondary" (gauge responses)', 'tcp')
+  .option('--connect <host:port>', 'Connect to a TCP endpoint')
+  .option('--listen <port>', 'Wait for a TCP connection, e.g. from a relay under test')
+  .option('--serial [path]', 'Write to a serial port (default: the captured port)')
+  .option('--baud <rate>', 'Serial baud rate (default: the captured rate)')
+  .option('--mock', 'Write to a mock serial port')
+  .option('--speed <factor>', 'Time scale: 1 = original timing, 10 = ten times faster, 0 = no delays', '1')
+  .option('--wait <ms>', 'Keep listening for replies this long after the last write', '2000')
+  .action(async (file, options) => {
+    let target = null;
+
+    try {
+      if (!CAPTURE_SIDES.includes(options.side)) {
+        throw new Error(`--side must be one of: ${CAPTURE_SIDES.join(', ')}`);
+      }
+
+      const speed = parseFloat(options.speed);
+      if (!Number.isFinite(speed) || speed < 0) {
+        throw new Error('--speed must be a number of at least 0');
+      }
+
+      if ([options.connect, options.listen, options.serial || options.mock].filter(Boolean).length !== 1) {
+        throw new Error('Choose one target: --connect, --listen, --serial or --mock');
+      }
+
+      const { session, records } = readCapture(file);
+      console.log(`Session ${session.startedAt}${session.channelId ? ` (channel ${session.channelId})` : ''}, ${records.length} records`);
+
+      target = createTarget(options, session);
+      console.log(`Replaying ${options.side} data to ${target.label}`);
+      await target.client.connect();
+      if (options.listen) {
+        await waitForClient(target.client);
+      }
+
+      const replay = new SessionReplay(target.client, records, {
+        side: options.side,
+        speed,
+        wait: parseInt(options.wait, 10)
+      });
+
+      const startedAt = Date.now();
+      const elapsed = () => `+${((Date.now() - startedAt) / 1000).toFixed(3)}s`;
+      replay.on('sent', (frame) => console.log(`${elapsed()}  -> ${formatData(frame.data)}`));
+      replay.on('received', (data) => console.log(`${elapsed()}  <- ${formatData(data)}`));
+      process.once('SIGINT', () => replay.stop());
+
+      const stats = await replay.run();
+      console.log(`Sent ${stats.framesSent} frames (${stats.bytesSent} bytes), received ${stats.bytesReceived} bytes in ${(stats.duration / 1000).toFixed(1)}s`);
+
+      await target.client.close();
+      process.exit(stats.errors > 0 ? 1 : 0);
+    } catch (error) {
+      console.error('Replay failed:', error.message);
+      await target?.client.close().catch(() => {});
+      process.exit(1);
+    }
+  });
+
+program.parse(process.argv);
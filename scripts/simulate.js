@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+// scripts/simulate.js - Run a Veeder-Root TLS console emulator over TCP or a pseudo-terminal
+
+const fs = require('fs');
+const net = require('net');
+const readline = require('readline');
+const { program } = require('commander');
+
+const { VeederRootEmulator } = require('../src/protocols/veeder-root-emulator');
+const { openPty } = require('../src/utils/pty');
+
+const CONSOLE_HELP = `Commands:
+  status                            Show tank state and alarms
+  deliver <tank> <gallons>          Record a delivery that has just ended
+  set <tank> <field> <value>        Set volume, water (inches) or temperature
+  drift <hours>                     Sell product for this many hours
+  quit                              Stop the simulator`;
+
+function printStatus(emulator) {
+  emulator.getStatus().forEach((tank) => {
+    console.log(`  Tank ${tank.tank} ${tank.product}: ${tank.volume.toFixed(0)} of ${tank.capacity} gal, ` +
+      `water ${tank.water.toFixed(2)} in, ${tank.temperature.toFixed(1)} °F, ${tank.deliveries} deliveries` +
+      `${tank.alarms.length > 0 ? ` - ${tank.alarms.join(', ')}` : ''}`);
+  });
+}
+
+/**
+ * Answer commands arriving on a stream
+ * @param {object} emulator - VeederRootEmulator
+ * @param {stream.Duplex} stream - Socket or pseudo-terminal
+ * @param {number} responseDelay - Delay before each response in ms
+ */
+function serve(emulator, stream, responseDelay) {
+  const handle = emulator.createSession();
+  stream.on('data', (data) => {
+    handle(data).forEach((response) => {
+      setTimeout(() => {
+        if (!stream.destroyed) {
+          stream.write(response);
+        }
+      }, responseDelay);
+    });
+  });
+  stream.on('error', error => console.error(`Connection error: ${error.message}`));
+}
+
+/**
+ * Read commands from the terminal
+ * @param {object} emulator - VeederRootEmulator
+ * @param {Function} shutdown - Stops the simulator
+ */
+function startConsole(emulator, shutdown) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'tls> ' });
+  rl.prompt();
+
+  rl.on('line', (line) => {
+    const [command, ...args] = line.trim().split(/\s+/);
+    try {
+      switch (command) {
+        case '':
+          break;
+        case 'status':
+          printStatus(emulator);
+          break;
+        case 'deliver': {
+          const delivery = emulator.deliver(parseInt(args[0], 10), parseFloat(args[1]));
+          console.log(`  Delivered ${(delivery.endingVolume - delivery.startingVolume).toFixed(0)} gal to tank ${delivery.tank}`);
+          break;
+        }
+        case 'set':
+          if (!['volume', 'water', 'temperature'].includes(args[1])) {
+            throw new Error('Field must be volume, water or temperature');
+          }
+          emulator.update(parseInt(args[0], 10), { [args[1]]: parseFloat(args[2]) });
+          break;
+        case 'drift':
+          emulator.drift(parseFloat(args[0]));
+          printStatus(emulator);
+          break;
+        case 'quit':
+        case 'exit':
+          shutdown();
+          return;
+        default:
+          console.log(CONSOLE_HELP);
+      }
+    } catch (error) {
+      console.log(`  ${error.message}`);
+    }
+    rl.prompt();
+  });
+  rl.on('close', shutdown);
+}
+
+program
+  .name('simulate')
+  .description('Emulate a Veeder-Root TLS console for testing the relay without a gauge')
+  .option('--port <port>', 'TCP port to listen on', '10003')
+  .option('--host <host>', 'Address to listen on', '0.0.0.0')
+  .option('--pty <path>', 'Serve on a pseudo-terminal linked at this path instead of TCP (requires socat)')
+  .option('--state <file>', 'JSON file with the station, tanks, salesRate and alarm limits')
+  .option('--drift-interval <ms>', 'How often inventory drifts (0 = never)', '60000')
+  .option('--time-scale <factor>', 'Simulated time per real time, e.g. 60 = one hour per minute', '1')
+  .option('--response-delay <ms>', 'Delay before each response', '100')
+  .action(async (options) => {
+    try {
+      const state = options.state ? JSON.parse(fs.readFileSync(options.state, 'utf8')) : {};
+      const emulator = new VeederRootEmulator(state, {
+        driftInterval: parseInt(options.driftInterval, 10),
+        timeScale: parseFloat(options.timeScale)
+      });
+      const responseDelay = parseInt(options.responseDelay, 10);
+
+      emulator.on('alarm', (alarm) => {
+        console.log(`Tank ${alarm.tank}: ${alarm.description} ${alarm.active ? 'raised' : 'cleared'}`);
+      });
+
+      let close;
+      if (options.pty) {
+        const pty = await openPty(options.pty);
+        serve(emulator, pty.stream, responseDelay);
+        close = pty.close;
+        console.log(`Simulator on ${options.pty} (${pty.path})`);
+      } else {
+        const server = net.createServer(socket => serve(emulator, socket, responseDelay));
+        await new Promise((resolve, reject) => {
+          server.once('error', reject);
+          server.listen(parseInt(options.port, 10), options.host, resolve);
+        });
+        close = () => server.close();
+        console.log(`Simulator listening on ${options.host}:${options.port}`);
+      }
+
+      emulator.start();
+      printStatus(emulator);
+
+      const shutdown = () => {
+        emulator.stop();
+        close();
+        process.exit(0);
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+
+      if (process.stdin.isTTY) {
+        startConsole(emulator, shutdown);
+      }
+    } catch (error) {
+      console.error('Simulator failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program.parse(process.argv);
@@ -3,9 +3,9 @@ require('dotenv').config();
 
 const { logger } = require('./utils/logger');
 const { loadConfig, updateConfig } = require('./config');
-const { shutdown, updateStatus, onShutdown, getStatus, setConfig, setUpdateConfigFunc } = require('./utils/status-manager');
+const { shutdown, updateStatus, onShutdown, getStatus, setConfig, setUpdateConfigFunc, startPeriodicReporting } = require('./utils/status-manager');
 const { getDeviceInfo } = require('./utils/device-info');
-const RelayService = require('./services/relay-service');
+const ChannelManager = require('./services/channel-manager');
 
 /**
  * Main application class with enhanced error handling
@@ -72,6 +72,9 @@ class TcpSerialRelayApp {
     try {
       this.config = await loadConfig();
       
+      // The device identity is resolved while loading the configuration
+      updateStatus({ deviceInfo: getDeviceInfo() });
+      
       // Pass the config to the status manager for log collection
       setConfig(this.config);
       
@@ -79,7 +82,8 @@ class TcpSerialRelayApp {
       setUpdateConfigFunc(updateConfig);
       
       const logData = {
-        connectionType: this.config.connectionType
+        connectionType: this.config.connectionType,
+        runMode: this.config.runMode
       };
 
       if (this.config.connectionType === 'tcp') {
@@ -91,6 +95,17 @@ class TcpSerialRelayApp {
         logData.serialBaud = this.config.serialBaud;
       }
 
+      if (this.config.tcpMode === 'server') {
+        delete logData.primaryTcp;
+        delete logData.tcpEndpoint;
+        logData.listen = `${this.config.listenHost}:${this.config.listenPort}`;
+        logData.maxClients = this.config.maxClients;
+      }
+
+      if (this.config.channels?.length > 0) {
+        logData.channels = this.config.channels.map(channel => channel.id);
+      }
+
       logger.info('Configuration loaded successfully', logData);
       updateStatus({ message: 'Configuration loaded successfully' });
       
@@ -110,7 +125,7 @@ class TcpSerialRelayApp {
     updateStatus({ message: 'Initializing relay service...' });
 
     try {
-      this.relayService = new RelayService(this.config);
+      this.relayService = new ChannelManager(this.config);
       this.setupRelayEventHandlers();
       logger.info('Relay service initialized successfully');
       updateStatus({ message: 'Relay service initialized successfully' });
@@ -193,6 +208,11 @@ class TcpSerialRelayApp {
         message: 'Relay service running - waiting for data...',
         success: false // Will be true once data is relayed
       });
+
+      // Daemon mode never reaches the shutdown status post, so report periodically
+      if (this.config.runMode === 'daemon') {
+        startPeriodicReporting(this.config.statusInterval);
+      }
     });
 
     // Data successfully relayed
@@ -207,9 +227,10 @@ class TcpSerialRelayApp {
       // Don't exit on relay errors, let the service handle recovery
     });
 
-    // Client disconnected
+    // Client disconnected (it is reconnected in the background)
     this.relayService.on('clientDisconnected', (info) => {
-      logger.warn(`${info.clientName} client disconnected`, info);
+      const channelPrefix = info.channelId ? `[${info.channelId}] ` : '';
+      logger.warn(`${channelPrefix}${info.clientName} client disconnected`, info);
     });
 
     // Service errors that should trigger shutdown
@@ -230,7 +251,7 @@ class TcpSerialRelayApp {
       await shutdown(result.success, result.reason, 0);
     });
 
-    // Relay stopped (usually due to disconnection)
+    // Relay stopped (stop() was called)
     this.relayService.on('stopped', async (result) => {
       logger.info('Relay service stopped', result);
       await shutdown(
@@ -268,6 +289,9 @@ class TcpSerialRelayApp {
       relayService: this.relayService?.getHealthStatus() || null,
       config: this.config ? {
         connectionType: this.config.connectionType,
+        runMode: this.config.runMode,
+        tcpMode: this.config.tcpMode,
+        channels: this.config.channels?.map(channel => channel.id) || [],
         ...(this.config.connectionType === 'tcp' ? {
           primaryTcp: `${this.config.tcpIp}:${this.config.tcpPort}`,
           secondaryTcp: `${this.config.secondaryTcpIp}:${this.config.secondaryTcpPort}`
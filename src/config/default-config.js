@@ -1,8 +1,33 @@
 // src/config/default-config.js
 module.exports = {
+  // Device identity (empty = generated once and kept in device-identity.json)
+  deviceId: '', // Fixed device ID; the DEVICE_ID environment variable takes precedence
+  
   // TCP Configuration (primary connection)
   tcpIp: '192.168.1.90',
   tcpPort: 10002,
+  tcpFallbackEndpoints: [], // Ordered [{ host, port }] tried when tcpIp:tcpPort is unreachable
+  failbackInterval: 900000, // How long to stay on a fallback before trying tcpIp:tcpPort again
+  
+  // Listen Mode (tcpMode === 'server': upstream systems connect to the relay)
+  tcpMode: 'client', // 'client' (dial out to tcpIp:tcpPort) or 'server' (accept connections)
+  listenHost: '0.0.0.0',
+  listenPort: 10002,
+  maxClients: 1,
+  allowedIps: [], // Source addresses or CIDR ranges allowed to connect (empty = any)
+  
+  // TLS for the upstream connection (client and listen mode)
+  tlsEnabled: false,
+  tlsCaPath: '', // Trust only this CA (PEM); empty = system CAs
+  tlsCertPath: '', // Our certificate (PEM) for mutual TLS; required in listen mode
+  tlsKeyPath: '', // Private key (PEM) for tlsCertPath
+  tlsServername: '', // Name to verify the server certificate against (default: tcpIp host)
+  tlsRejectUnauthorized: true,
+  
+  // Upstream authentication (challenge-response after the device ID is sent)
+  authEnabled: false,
+  authSecret: '', // Per-device shared secret (or AUTH_SECRET environment variable)
+  authTimeout: 10000, // Time allowed for the server to complete the handshake
   
   // Secondary Connection Configuration
   connectionType: 'serial', // 'serial' or 'tcp'
@@ -13,10 +38,91 @@ module.exports = {
   serialParity: 'odd',
   serialDataBits: 7,
   serialStopBits: 1,
+  serialPty: 'none', // 'create' (make a pseudo-terminal at serialPath, requires socat) or 'attach' (open an existing one)
+  mockScenario: '', // Scenario file answering writes to the mock serial port (MOCK_ENV=true); empty = echo
+  
+  // Serial line control (not applied to a pseudo-terminal)
+  serialRtsCts: false, // Hardware (RTS/CTS) flow control
+  serialXonXoff: false, // Software (XON/XOFF) flow control
+  serialDtr: 'default', // DTR after opening: 'on', 'off' or 'default' (left as the driver sets it, normally on)
+  serialRts: 'default', // RTS after opening: 'on', 'off' or 'default' (not used with RTS/CTS or RS-485)
+  serialHupcl: true, // Drop DTR when the port is closed
+  serialBreakDuration: 0, // BREAK sent before each command, in ms (0 = none)
+  serialRs485: false, // Switch RTS as the transmit enable of an RS-485 converter around each write
+  serialRs485RtsOnSend: true, // RTS level while sending (false for converters that transmit on RTS low)
+  serialRs485DelayBeforeSend: 0, // Time between enabling the transmitter and the first byte (ms)
+  serialRs485DelayAfterSend: 0, // Time between the last byte leaving and releasing the line (ms)
+  
+  // Serial write pacing, for devices that lose characters sent in one burst
+  serialCharDelay: 0, // Pause between the bytes of a command (ms, 0 = write in one go)
+  serialCommandGap: 0, // Minimum quiet time between the end of one command and the next (ms)
+  serialSettleTime: 0, // Wait after a command has been sent before the write completes (ms)
+  
+  // Serial auto-detection: find the port and line settings at start by sending a probe command
+  serialAutoDetect: false,
+  serialAutoDetectSave: false, // Write the detected port and settings back to the config file
+  serialProbePorts: [], // Ports to try (empty = serialPath, then every port found)
+  serialProbeBaudRates: [9600, 1200, 2400, 4800, 19200],
+  serialProbeFormats: ['7/odd/1', '7/even/1', '8/none/1'], // dataBits/parity/stopBits combinations to try
+  serialProbeCommand: '\u0001i20100', // Harmless read sent to each candidate (in-tank inventory)
+  serialProbeResponse: '', // Regex a valid reply must match (empty = any well-formed Veeder-Root response)
+  serialProbeTimeout: 1500, // Time to wait for a reply to each probe
+  
+  // Serial read framing: 'none' (forward chunks as read), 'timeout', 'delimiter', 'fixed' or 'length-prefixed'
+  serialFraming: 'none',
+  framingTimeout: 50, // Inter-byte gap ending a frame ('timeout'), or flushing an incomplete one (0 = wait)
+  framingDelimiter: '\u0003', // End of frame ('delimiter'), ETX by default
+  framingTrailerLength: 0, // Bytes after the delimiter that belong to the frame (e.g. '&&' + 5 for checksum + ETX)
+  framingLength: 0, // Frame size ('fixed')
+  framingLengthBytes: 2, // Size of the length field ('length-prefixed'): 1, 2 or 4
+  framingLengthEndian: 'be', // Byte order of the length field: 'be' or 'le'
+  framingMaxFrameSize: 65536, // Buffered bytes before an incomplete frame is flushed
   
   // TCP Configuration for secondary connection (used when connectionType === 'tcp')
   secondaryTcpIp: '192.168.1.91',
   secondaryTcpPort: 10003,
+  secondaryTcpMode: 'persistent', // 'persistent' or 'transaction' (a new connection for every command)
+  secondaryTransactionTimeout: 5000, // Time to wait for a response before closing the transaction (ms)
+  secondaryTransactionIdle: 500, // Quiet time after response data that ends a transaction (ms, 0 = wait for close or timeout)
+  
+  // Command queue: one outstanding command at a time towards the gauge
+  commandQueue: false,
+  commandTimeout: 5000, // Time to wait for the response before sending the next command
+  commandQueueSize: 32, // Commands waiting to be sent before new ones are rejected
+  
+  // Gauge polling with store-and-forward (requires protocol 'veeder-root')
+  pollSchedule: [], // [{ command: 'i20100', interval: 900000 }] polled independently of upstream
+  pollQueueDir: '', // Where results wait for upload (default: poll-queue next to the config file)
+  pollQueueMaxEntries: 10000, // Oldest results are dropped beyond this count
+  
+  // Command firewall: allow or deny upstream commands by function code (requires protocol 'veeder-root')
+  firewallEnabled: false,
+  firewallRules: [{ action: 'allow', match: 'I*' }], // First match wins; match is a function code with * wildcards, or use pattern (regex)
+  firewallDefaultAction: 'deny', // Commands no rule matches, and unrecognised data: 'allow' or 'deny'
+  firewallResponse: '\u00019999FF1B\u0003', // Sent upstream for each denied command ('' = no response)
+  
+  // Data collection: post data received from the gauge to the device data endpoint when the relay stops
+  collectData: false,
+  outboxDir: '', // Where batches that could not be posted wait for retry (default: outbox next to the config file)
+  outboxMaxEntries: 1000, // Oldest batches are dropped beyond this count
+  outboxMaxBytes: 10485760, // Oldest batches are dropped beyond this much disk space
+  outboxMaxAge: 604800000, // Batches older than this are dropped undelivered
+  outboxRetryDelay: 60000, // Delay before the first retry, doubled after every failed attempt
+  outboxMaxRetryDelay: 3600000, // Upper bound for the retry delay
+  
+  // Gauge protocol decoding ('none' relays opaque bytes, 'veeder-root' attaches decoded records to relayed data)
+  protocol: 'none',
+  
+  // Session capture: record traffic from both sides for `tcp-serial-relay replay`
+  captureEnabled: false,
+  captureDir: '', // Where captures are written (default: captures next to the config file)
+  captureMaxBytes: 10485760, // A new capture file is started beyond this size
+  captureMaxFiles: 20, // Oldest captures of a channel are deleted beyond this count
+  
+  // Relay Channels
+  // Each entry ({ id, ...overrides }) runs its own TCP <-> Serial/TCP pair using the
+  // settings above as defaults. Leave empty for a single relay.
+  channels: [],
   
   // Connection Settings
   maxRetries: 3,
@@ -27,6 +133,20 @@ module.exports = {
   relayTimeout: 30000,
   bufferSize: 1024,
   
+  // Flow control
+  relayHighWaterMark: 65536, // Bytes queued towards either side before overflowPolicy applies
+  overflowPolicy: 'pause', // 'pause' (stop reading the other side), 'drop-oldest' or 'fail' (reject new data)
+  collectBufferMaxBytes: 1048576, // Collected data kept in memory (posted early with collectData, else oldest dropped)
+  
+  // Run Mode Settings
+  runMode: 'session', // 'session' (exit after relayTimeout) or 'daemon' (run until stopped)
+  reconnectDelay: 5000, // Delay before reconnecting a dropped client, doubled after each failed attempt
+  reconnectMaxDelay: 60000, // Longest delay between reconnect attempts
+  circuitBreakerThreshold: 5, // Failed reconnects in a row before a side's circuit opens
+  circuitBreakerResetTimeout: 60000, // Time an open circuit waits before a single trial reconnect
+  outageBufferMaxBytes: 65536, // Data held for a side while it is down (oldest dropped beyond this)
+  statusInterval: 300000, // How often status is posted while running in daemon mode
+  
   // Logging Settings
   logDataTransfers: true,
   logLevel: 'info'
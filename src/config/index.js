@@ -1,11 +1,32 @@
 // src/config/index.js
 const fs = require('fs');
+const net = require('net');
 const path = require('path');
 const https = require('https');
 const { logger } = require('../utils/logger');
-const { getDeviceId } = require('../utils/device-info');
+const { initDeviceIdentity, isValidDeviceId } = require('../utils/device-info');
+const { FRAMING_STRATEGIES } = require('../utils/packet-framer');
+const { OVERFLOW_POLICIES } = require('../utils/flow-control');
+const { FIREWALL_ACTIONS } = require('../services/command-firewall');
+const { PTY_MODES } = require('../utils/pty');
+const { loadScenario } = require('../utils/mock-serial-device');
+const { parseProbeFormat } = require('../services/serial-detector');
+const { describeSerialPath, isUsbMatcher, validateSerialPath } = require('../utils/serial-port-matcher');
+const { SIGNAL_LEVELS } = require('../utils/serial-line-control');
 const defaultConfig = require('./default-config');
 
+// Settings that apply to the whole process and cannot differ between channels
+const CHANNEL_PROCESS_WIDE_KEYS = ['channels', 'runMode', 'statusInterval', 'logLevel', 'deviceId'];
+
+/**
+ * Get the file the generated device identity is persisted in
+ * @param {string} configPath - Configuration file path
+ * @returns {string} Identity file path
+ */
+function getDeviceIdentityPath(configPath = getConfigPath()) {
+  return process.env.DEVICE_IDENTITY_PATH || path.join(path.dirname(configPath), 'device-identity.json');
+}
+
 /**
  * Get the configuration file path with proper precedence
  */
@@ -39,6 +60,7 @@ class ConfigManager {
   constructor() {
     this.configPath = getConfigPath();
     this.config = null;
+    this.deviceIdentity = null;
   }
 
   /**
@@ -96,8 +118,10 @@ class ConfigManager {
    */
   async postConfigToRemote(config, deviceId) {
     return new Promise((resolve) => {
+      // The upstream authentication secret never leaves the device
+      const { authSecret, ...postableConfig } = config;
       const postData = JSON.stringify({
-        ...config,
+        ...postableConfig,
         docId: deviceId
       });
       
@@ -148,6 +172,48 @@ class ConfigManager {
     });
   }
 
+  /**
+   * Resolve the device identity before any configuration is fetched. Only the
+   * local file's deviceId is considered, since the remote configuration is
+   * looked up by this ID.
+   * @returns {object} Device identity ({ deviceId, source })
+   */
+  resolveDeviceIdentity() {
+    let configuredId;
+
+    try {
+      if (fs.existsSync(this.configPath)) {
+        configuredId = JSON.parse(fs.readFileSync(this.configPath, 'utf8')).deviceId;
+      }
+    } catch (error) {
+      // An unreadable file is reported by loadFromFile()
+    }
+
+    if (process.env.DEVICE_ID && !isValidDeviceId(process.env.DEVICE_ID)) {
+      logger.warn('Ignoring invalid DEVICE_ID environment variable', { deviceId: process.env.DEVICE_ID });
+    }
+
+    const identity = initDeviceIdentity({
+      deviceId: configuredId,
+      identityPath: getDeviceIdentityPath(this.configPath)
+    });
+
+    if (identity.persistError) {
+      logger.warn('Could not persist device identity; it may change on the next start', {
+        identityPath: identity.identityPath,
+        error: identity.persistError
+      });
+    }
+
+    logger.info('Device identity resolved', {
+      deviceId: identity.deviceId,
+      source: identity.source
+    });
+
+    this.deviceIdentity = identity;
+    return identity;
+  }
+
   /**
    * Enhanced configuration loading with comprehensive error handling
    */
@@ -156,7 +222,7 @@ class ConfigManager {
       return this.config;
     }
 
-    const deviceId = getDeviceId();
+    const { deviceId } = this.resolveDeviceIdentity();
     logger.info(`Loading configuration for device: ${deviceId}`);
     logger.info(`Configuration path: ${this.configPath}`);
 
@@ -359,6 +425,11 @@ class ConfigManager {
     try {
       this.ensureConfigDirectory();
       const configToSave = { ...defaultConfig, ...remoteConfig };
+
+      // Keep a locally configured device ID, the remote config is keyed by it
+      if (this.deviceIdentity?.source === 'config') {
+        configToSave.deviceId = this.deviceIdentity.deviceId;
+      }
       fs.writeFileSync(this.configPath, JSON.stringify(configToSave, null, 2), 'utf8');
       logger.info(`Remote configuration saved to local file: ${this.configPath}`);
     } catch (error) {
@@ -403,9 +474,50 @@ class ConfigManager {
       logger.debug('Secondary TCP port overridden from environment');
     }
 
+    if (process.env.SECONDARY_TCP_MODE) {
+      this.config.secondaryTcpMode = process.env.SECONDARY_TCP_MODE;
+      logger.debug('Secondary TCP mode overridden from environment');
+    }
+
+    if (process.env.TCP_MODE) {
+      this.config.tcpMode = process.env.TCP_MODE;
+      logger.debug('TCP mode overridden from environment');
+    }
+
+    if (process.env.LISTEN_PORT) {
+      this.config.listenPort = parseInt(process.env.LISTEN_PORT, 10);
+      logger.debug('Listen port overridden from environment');
+    }
+
+    if (process.env.AUTH_SECRET) {
+      this.config.authSecret = process.env.AUTH_SECRET;
+      logger.debug('Authentication secret overridden from environment');
+    }
+
+    if (process.env.CAPTURE_ENABLED) {
+      this.config.captureEnabled = process.env.CAPTURE_ENABLED === 'true';
+      logger.debug('Session capture overridden from environment');
+    }
+
+    if (process.env.MOCK_SCENARIO) {
+      this.config.mockScenario = process.env.MOCK_SCENARIO;
+      logger.debug('Mock serial scenario overridden from environment');
+    }
+
+    if (process.env.RUN_MODE) {
+      this.config.runMode = process.env.RUN_MODE;
+      logger.debug('Run mode overridden from environment');
+    }
+
     // Mock environment override
     if (process.env.MOCK_ENV === 'true') {
       this.config.serialPath = '/dev/ttyMOCK0';
+      if (Array.isArray(this.config.channels)) {
+        this.config.channels = this.config.channels.map((channel, index) => ({
+          ...channel,
+          serialPath: `/dev/ttyMOCK${index}`
+        }));
+      }
       logger.info('Serial path overridden for mock environment');
     }
   }
@@ -418,28 +530,28 @@ class ConfigManager {
     const warnings = [];
 
     try {
-      // Validate TCP configuration
-      if (!this.config.tcpIp || typeof this.config.tcpIp !== 'string') {
-        errors.push('Invalid or missing TCP IP address');
-      } else if (!/^(\d{1,3}\.){3}\d{1,3}$/.test(this.config.tcpIp)) {
-        warnings.push('TCP IP address format may be invalid');
+      // Validate relay channels (a config without channels is a single channel)
+      if (this.config.channels !== undefined && !Array.isArray(this.config.channels)) {
+        errors.push('Invalid channels (must be an array)');
+      } else if (this.config.channels?.length > 0) {
+        this.validateChannels(errors, warnings);
+      } else {
+        this.validateConnectionConfig(this.config, errors, warnings);
       }
 
-      if (!this.config.tcpPort || !Number.isInteger(this.config.tcpPort) || 
-          this.config.tcpPort < 1 || this.config.tcpPort > 65535) {
-        errors.push('Invalid TCP port (must be integer 1-65535)');
+      if (this.config.deviceId && !isValidDeviceId(this.config.deviceId)) {
+        errors.push('Invalid deviceId (1-64 letters, digits, ".", "_" or "-")');
       }
 
-      // Validate connection type
-      if (!['serial', 'tcp'].includes(this.config.connectionType)) {
-        errors.push('Invalid connection type (must be "serial" or "tcp")');
+      // Validate run mode
+      if (!['session', 'daemon'].includes(this.config.runMode)) {
+        errors.push('Invalid run mode (must be "session" or "daemon")');
       }
 
-      // Connection-specific validations
-      if (this.config.connectionType === 'serial') {
-        this.validateSerialConfig(errors, warnings);
-      } else if (this.config.connectionType === 'tcp') {
-        this.validateSecondaryTcpConfig(errors, warnings);
+      if (this.config.runMode === 'daemon') {
+        if (!Number.isInteger(this.config.statusInterval) || this.config.statusInterval < 1000) {
+          errors.push('Invalid status interval (must be an integer of at least 1000ms)');
+        }
       }
 
       // Log warnings
@@ -468,54 +580,701 @@ class ConfigManager {
     }
   }
 
+  /**
+   * Validate the TCP and secondary connection settings of one relay
+   * @param {object} config - Base config or resolved channel config
+   * @param {string} prefix - Prefix for messages (identifies the channel)
+   */
+  validateConnectionConfig(config, errors, warnings, prefix = '') {
+    // Validate TCP mode
+    if (!['client', 'server'].includes(config.tcpMode)) {
+      errors.push(`${prefix}Invalid TCP mode (must be "client" or "server")`);
+    }
+
+    if (config.protocol !== undefined && !['veeder-root', 'none'].includes(config.protocol)) {
+      errors.push(`${prefix}Invalid protocol (must be "veeder-root" or "none")`);
+    }
+
+    if (config.pollSchedule !== undefined) {
+      this.validatePollSchedule(errors, warnings, config, prefix);
+    }
+
+    if (config.commandQueue || config.pollSchedule?.length > 0) {
+      if (!Number.isInteger(config.commandTimeout) || config.commandTimeout < 100) {
+        errors.push(`${prefix}Invalid command timeout (must be an integer of at least 100ms)`);
+      }
+
+      if (!Number.isInteger(config.commandQueueSize) || config.commandQueueSize < 1) {
+        errors.push(`${prefix}Invalid command queue size (must be a positive integer)`);
+      }
+    }
+
+    if (config.firewallEnabled) {
+      this.validateFirewallConfig(errors, warnings, config, prefix);
+    }
+
+    if (config.captureEnabled) {
+      this.validateCaptureConfig(errors, warnings, config, prefix);
+    }
+
+    if (config.collectData === true) {
+      this.validateOutboxConfig(errors, warnings, config, prefix);
+    }
+
+    this.validateFlowControlConfig(errors, warnings, config, prefix);
+    this.validateReconnectConfig(errors, warnings, config, prefix);
+
+    if (config.tlsEnabled) {
+      this.validateTlsConfig(errors, warnings, config, prefix);
+    }
+
+    if (config.authEnabled) {
+      this.validateAuthConfig(errors, warnings, config, prefix);
+    }
+
+    if (config.tcpMode === 'server') {
+      this.validateListenConfig(errors, warnings, config, prefix);
+    } else {
+      if (!config.tcpIp || typeof config.tcpIp !== 'string') {
+        errors.push(`${prefix}Invalid or missing TCP IP address`);
+      } else if (!/^(\d{1,3}\.){3}\d{1,3}$/.test(config.tcpIp)) {
+        warnings.push(`${prefix}TCP IP address format may be invalid`);
+      }
+
+      if (!config.tcpPort || !Number.isInteger(config.tcpPort) || 
+          config.tcpPort < 1 || config.tcpPort > 65535) {
+        errors.push(`${prefix}Invalid TCP port (must be integer 1-65535)`);
+      }
+
+      if (config.tcpFallbackEndpoints !== undefined) {
+        this.validateFallbackEndpoints(config, errors, prefix);
+      }
+    }
+
+    // Validate connection type
+    if (!['serial', 'tcp'].includes(config.connectionType)) {
+      errors.push(`${prefix}Invalid connection type (must be "serial" or "tcp")`);
+    }
+
+    // Connection-specific validations
+    if (config.connectionType === 'serial') {
+      this.validateSerialConfig(errors, warnings, config, prefix);
+    } else if (config.connectionType === 'tcp') {
+      this.validateSecondaryTcpConfig(errors, warnings, config, prefix);
+    }
+  }
+
+  /**
+   * Validate TLS configuration of the upstream connection
+   */
+  validateTlsConfig(errors, warnings, config = this.config, prefix = '') {
+    const files = {
+      tlsCaPath: 'CA certificate',
+      tlsCertPath: 'certificate',
+      tlsKeyPath: 'private key'
+    };
+
+    Object.entries(files).forEach(([key, label]) => {
+      const filePath = config[key];
+      if (!filePath) {
+        return;
+      }
+
+      if (typeof filePath !== 'string') {
+        errors.push(`${prefix}Invalid TLS ${label} path (must be a string)`);
+        return;
+      }
+
+      try {
+        fs.accessSync(filePath, fs.constants.R_OK);
+      } catch (error) {
+        errors.push(`${prefix}TLS ${label} not readable: ${filePath}`);
+      }
+    });
+
+    if (Boolean(config.tlsCertPath) !== Boolean(config.tlsKeyPath)) {
+      errors.push(`${prefix}TLS certificate and private key must be configured together`);
+    }
+
+    if (config.tcpMode === 'server' && !config.tlsCertPath) {
+      errors.push(`${prefix}TLS in listen mode requires tlsCertPath and tlsKeyPath`);
+    }
+
+    if (config.tlsServername && typeof config.tlsServername !== 'string') {
+      errors.push(`${prefix}Invalid TLS server name (must be a string)`);
+    }
+
+    if (typeof config.tlsRejectUnauthorized !== 'boolean') {
+      errors.push(`${prefix}Invalid tlsRejectUnauthorized (must be true or false)`);
+    } else if (!config.tlsRejectUnauthorized) {
+      warnings.push(`${prefix}TLS certificate verification is disabled (tlsRejectUnauthorized is false)`);
+    }
+  }
+
+  /**
+   * Validate upstream authentication configuration
+   */
+  validateAuthConfig(errors, warnings, config = this.config, prefix = '') {
+    if (config.tcpMode === 'server') {
+      errors.push(`${prefix}Upstream authentication is not supported in listen mode`);
+    }
+
+    if (typeof config.authSecret !== 'string' || config.authSecret.length === 0) {
+      errors.push(`${prefix}Authentication requires authSecret (or the AUTH_SECRET environment variable)`);
+    } else if (config.authSecret.length < 16) {
+      warnings.push(`${prefix}authSecret is shorter than 16 characters`);
+    }
+
+    if (!Number.isInteger(config.authTimeout) || config.authTimeout < 1000) {
+      errors.push(`${prefix}Invalid authentication timeout (must be an integer of at least 1000ms)`);
+    }
+  }
+
+  /**
+   * Validate listen (server) mode configuration
+   */
+  validateListenConfig(errors, warnings, config = this.config, prefix = '') {
+    if (typeof config.listenHost !== 'string' || !config.listenHost) {
+      errors.push(`${prefix}Invalid or missing listen host`);
+    }
+
+    if (!Number.isInteger(config.listenPort) || config.listenPort < 1 || config.listenPort > 65535) {
+      errors.push(`${prefix}Invalid listen port (must be integer 1-65535)`);
+    } else if (config.listenPort < 1024) {
+      warnings.push(`${prefix}Listen port below 1024 requires elevated privileges`);
+    }
+
+    if (!Number.isInteger(config.maxClients) || config.maxClients < 1) {
+      errors.push(`${prefix}Invalid max clients (must be a positive integer)`);
+    }
+
+    if (!Array.isArray(config.allowedIps)) {
+      errors.push(`${prefix}Invalid allowed IPs (must be an array of addresses or CIDR ranges)`);
+    } else {
+      config.allowedIps.forEach((entry) => {
+        const [address, bits, extra] = String(entry).split('/');
+        const family = net.isIP(address);
+        const maxBits = family === 6 ? 128 : 32;
+        const validBits = bits === undefined || (/^\d+$/.test(bits) && parseInt(bits, 10) <= maxBits);
+
+        if (!family || !validBits || extra !== undefined) {
+          errors.push(`${prefix}Invalid allowed IP "${entry}" (must be an address or CIDR range)`);
+        }
+      });
+
+      if (config.allowedIps.length === 0) {
+        warnings.push(`${prefix}Listen mode accepts connections from any address (allowedIps is empty)`);
+      }
+    }
+
+    // Secondary TCP endpoint must not be the relay's own listening socket
+    if (config.connectionType === 'tcp' && config.secondaryTcpPort === config.listenPort &&
+        ['127.0.0.1', 'localhost', config.listenHost].includes(config.secondaryTcpIp)) {
+      errors.push(`${prefix}Secondary TCP endpoint cannot be the relay's own listen address`);
+    }
+  }
+
+  /**
+   * Validate the ordered list of fallback upstream endpoints
+   */
+  validateFallbackEndpoints(config, errors, prefix = '') {
+    if (!Array.isArray(config.tcpFallbackEndpoints)) {
+      errors.push(`${prefix}Invalid TCP fallback endpoints (must be an array of { host, port })`);
+      return;
+    }
+
+    config.tcpFallbackEndpoints.forEach((endpoint, index) => {
+      if (!endpoint || typeof endpoint.host !== 'string' || !endpoint.host) {
+        errors.push(`${prefix}TCP fallback endpoint ${index + 1}: invalid or missing host`);
+      }
+
+      if (!Number.isInteger(endpoint?.port) || endpoint.port < 1 || endpoint.port > 65535) {
+        errors.push(`${prefix}TCP fallback endpoint ${index + 1}: invalid port (must be integer 1-65535)`);
+      }
+    });
+
+    if (config.tcpFallbackEndpoints.length > 0 &&
+        (!Number.isInteger(config.failbackInterval) || config.failbackInterval < 0)) {
+      errors.push(`${prefix}Invalid failback interval (must be a non-negative integer)`);
+    }
+  }
+
+  /**
+   * Validate the channels array and each resolved channel
+   */
+  validateChannels(errors, warnings) {
+    const seenIds = new Set();
+    const seenSerialPaths = new Map();
+    const seenListenPorts = new Map();
+
+    this.config.channels.forEach((channel, index) => {
+      const label = `Channel ${index + 1}`;
+
+      if (!channel || typeof channel !== 'object' || Array.isArray(channel)) {
+        errors.push(`${label}: must be an object`);
+        return;
+      }
+
+      if (typeof channel.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(channel.id)) {
+        errors.push(`${label}: invalid or missing id (letters, digits, "-" and "_" only)`);
+      } else if (seenIds.has(channel.id)) {
+        errors.push(`${label}: duplicate id "${channel.id}"`);
+      } else {
+        seenIds.add(channel.id);
+      }
+
+      const processWideKeys = CHANNEL_PROCESS_WIDE_KEYS.filter(key => key in channel);
+      if (processWideKeys.length > 0) {
+        errors.push(`${label}: ${processWideKeys.join(', ')} cannot be set per channel`);
+      }
+
+      const resolved = resolveChannelConfig(this.config, channel);
+      this.validateConnectionConfig(resolved, errors, warnings, `${label} (${channel.id}): `);
+
+      if (resolved.connectionType === 'serial' && resolved.serialPath) {
+        const serialPath = describeSerialPath(resolved.serialPath);
+        if (seenSerialPaths.has(serialPath)) {
+          errors.push(`${label}: serial path ${serialPath} is already used by channel "${seenSerialPaths.get(serialPath)}"`);
+        } else {
+          seenSerialPaths.set(serialPath, channel.id);
+        }
+      }
+
+      if (resolved.tcpMode === 'server') {
+        if (seenListenPorts.has(resolved.listenPort)) {
+          errors.push(`${label}: listen port ${resolved.listenPort} is already used by channel "${seenListenPorts.get(resolved.listenPort)}"`);
+        } else {
+          seenListenPorts.set(resolved.listenPort, channel.id);
+        }
+      }
+    });
+  }
+
   /**
    * Validate serial-specific configuration
    */
-  validateSerialConfig(errors, warnings) {
-    if (!this.config.serialPath || typeof this.config.serialPath !== 'string') {
-      errors.push('Invalid or missing serial path');
-    } else if (!this.config.serialPath.startsWith('/dev/')) {
-      warnings.push('Serial path does not start with /dev/ - may not be valid on this system');
+  validateSerialConfig(errors, warnings, config = this.config, prefix = '') {
+    const pty = config.serialPty !== undefined && config.serialPty !== 'none';
+    if (config.serialPty !== undefined && !PTY_MODES.includes(config.serialPty)) {
+      errors.push(`${prefix}Invalid serial pty mode (must be one of: ${PTY_MODES.join(', ')})`);
+    }
+
+    const pathErrors = config.serialPath ? validateSerialPath(config.serialPath) : [];
+    if (!config.serialPath) {
+      errors.push(`${prefix}Invalid or missing serial path`);
+    } else if (pathErrors.length > 0) {
+      pathErrors.forEach(error => errors.push(`${prefix}Invalid serial path: ${error}`));
+    } else if (isUsbMatcher(config.serialPath)) {
+      if (pty) {
+        errors.push(`${prefix}A pseudo-terminal needs a serial path, not a USB matcher`);
+      } else if (!config.serialPath.serialNumber) {
+        warnings.push(`${prefix}USB matcher without serialNumber fails if more than one such adapter is plugged in`);
+      }
+    } else if (pty && !path.isAbsolute(config.serialPath)) {
+      errors.push(`${prefix}Serial path must be absolute for a pseudo-terminal`);
+    } else if (!pty && !config.serialPath.startsWith('/dev/')) {
+      warnings.push(`${prefix}Serial path does not start with /dev/ - may not be valid on this system`);
     }
 
-    if (!this.config.serialBaud || !Number.isInteger(this.config.serialBaud) || 
-        this.config.serialBaud < 1) {
-      errors.push('Invalid serial baud rate (must be positive integer)');
+    if (!config.serialBaud || !Number.isInteger(config.serialBaud) || 
+        config.serialBaud < 1) {
+      errors.push(`${prefix}Invalid serial baud rate (must be positive integer)`);
     }
 
     const validParities = ['none', 'even', 'odd', 'mark', 'space'];
-    if (!validParities.includes(this.config.serialParity)) {
-      errors.push(`Invalid serial parity (must be one of: ${validParities.join(', ')})`);
+    if (!validParities.includes(config.serialParity)) {
+      errors.push(`${prefix}Invalid serial parity (must be one of: ${validParities.join(', ')})`);
+    }
+
+    if (![5, 6, 7, 8].includes(config.serialDataBits)) {
+      errors.push(`${prefix}Invalid serial data bits (must be 5, 6, 7, or 8)`);
+    }
+
+    if (![1, 1.5, 2].includes(config.serialStopBits)) {
+      errors.push(`${prefix}Invalid serial stop bits (must be 1, 1.5, or 2)`);
+    }
+
+    if (config.serialFraming !== undefined && config.serialFraming !== 'none') {
+      this.validateFramingConfig(errors, warnings, config, prefix);
+    }
+
+    this.validateLineControlConfig(errors, warnings, config, prefix);
+    this.validateWritePacingConfig(errors, warnings, config, prefix);
+
+    if (config.serialAutoDetect) {
+      this.validateAutoDetectConfig(errors, warnings, config, prefix);
+    }
+
+    if (config.mockScenario) {
+      if (typeof config.mockScenario !== 'string') {
+        errors.push(`${prefix}Invalid mock scenario path (must be a string)`);
+      } else if (process.env.MOCK_ENV === 'true') {
+        try {
+          loadScenario(config.mockScenario);
+        } catch (error) {
+          errors.push(`${prefix}${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Validate serial flow control and modem control line settings
+   */
+  validateLineControlConfig(errors, warnings, config = this.config, prefix = '') {
+    ['serialRtsCts', 'serialXonXoff', 'serialHupcl', 'serialRs485', 'serialRs485RtsOnSend'].forEach((key) => {
+      if (config[key] !== undefined && typeof config[key] !== 'boolean') {
+        errors.push(`${prefix}Invalid ${key} (must be true or false)`);
+      }
+    });
+
+    ['serialDtr', 'serialRts'].forEach((key) => {
+      if (config[key] !== undefined && !SIGNAL_LEVELS.includes(config[key])) {
+        errors.push(`${prefix}Invalid ${key} (must be one of: ${SIGNAL_LEVELS.join(', ')})`);
+      }
+    });
+
+    ['serialBreakDuration', 'serialRs485DelayBeforeSend', 'serialRs485DelayAfterSend'].forEach((key) => {
+      if (config[key] !== undefined && (!Number.isInteger(config[key]) || config[key] < 0)) {
+        errors.push(`${prefix}Invalid ${key} (must be a non-negative integer in ms)`);
+      }
+    });
+
+    if (config.serialRs485 && config.serialRtsCts) {
+      errors.push(`${prefix}RS-485 direction control and RTS/CTS flow control both need RTS; enable only one`);
+    }
+
+    if (config.serialRts && config.serialRts !== 'default' && (config.serialRs485 || config.serialRtsCts)) {
+      warnings.push(`${prefix}serialRts is ignored because RTS is used for ${config.serialRs485 ? 'RS-485 direction control' : 'flow control'}`);
+    }
+
+    const lineControlSet = config.serialRtsCts || config.serialXonXoff || config.serialRs485 ||
+      config.serialBreakDuration > 0 || ['serialDtr', 'serialRts'].some(key => config[key] && config[key] !== 'default');
+    if (lineControlSet && config.serialPty && config.serialPty !== 'none') {
+      warnings.push(`${prefix}Serial line control settings do not apply to a pseudo-terminal and are ignored`);
+    }
+  }
+
+  /**
+   * Validate serial write pacing
+   */
+  validateWritePacingConfig(errors, warnings, config = this.config, prefix = '') {
+    ['serialCharDelay', 'serialCommandGap', 'serialSettleTime'].forEach((key) => {
+      if (config[key] !== undefined && (!Number.isInteger(config[key]) || config[key] < 0)) {
+        errors.push(`${prefix}Invalid ${key} (must be a non-negative integer in ms)`);
+      }
+    });
+
+    // Every byte waits out the delay, so a long one makes ordinary commands take seconds
+    if (config.serialCharDelay > 100) {
+      warnings.push(`${prefix}serialCharDelay of ${config.serialCharDelay}ms makes a 10-byte command take over a second to send`);
+    }
+  }
+
+  /**
+   * Validate serial port auto-detection
+   */
+  validateAutoDetectConfig(errors, warnings, config = this.config, prefix = '') {
+    if (!Array.isArray(config.serialProbePorts) || config.serialProbePorts.some(port => typeof port !== 'string' || !port)) {
+      errors.push(`${prefix}Invalid serialProbePorts (must be an array of port paths)`);
+    }
+
+    if (!Array.isArray(config.serialProbeBaudRates) || config.serialProbeBaudRates.length === 0 ||
+        config.serialProbeBaudRates.some(baud => !Number.isInteger(baud) || baud < 1)) {
+      errors.push(`${prefix}Invalid serialProbeBaudRates (must be a non-empty array of positive integers)`);
+    }
+
+    if (!Array.isArray(config.serialProbeFormats) || config.serialProbeFormats.length === 0) {
+      errors.push(`${prefix}Invalid serialProbeFormats (must be a non-empty array)`);
+    } else {
+      config.serialProbeFormats.filter(format => !parseProbeFormat(format)).forEach((format) => {
+        errors.push(`${prefix}Invalid serial probe format "${format}" (expected dataBits/parity/stopBits, e.g. 7/odd/1)`);
+      });
+    }
+
+    if (!config.serialProbeCommand || typeof config.serialProbeCommand !== 'string') {
+      errors.push(`${prefix}Invalid or missing serialProbeCommand`);
+    }
+
+    if (config.serialProbeResponse) {
+      try {
+        new RegExp(config.serialProbeResponse);
+      } catch (error) {
+        errors.push(`${prefix}Invalid serialProbeResponse: ${error.message}`);
+      }
+    } else if (config.protocol !== 'veeder-root') {
+      warnings.push(`${prefix}Without serialProbeResponse or protocol "veeder-root", any reply to the probe is accepted, including one read with the wrong line settings`);
+    }
+
+    if (!Number.isInteger(config.serialProbeTimeout) || config.serialProbeTimeout < 100) {
+      errors.push(`${prefix}Invalid serialProbeTimeout (must be at least 100ms)`);
+    }
+  }
+
+  /**
+   * Validate the gauge poll schedule
+   */
+  validatePollSchedule(errors, warnings, config = this.config, prefix = '') {
+    if (!Array.isArray(config.pollSchedule)) {
+      errors.push(`${prefix}Invalid poll schedule (must be an array)`);
+      return;
+    }
+
+    if (config.pollSchedule.length === 0) {
+      return;
+    }
+
+    if (config.protocol !== 'veeder-root') {
+      errors.push(`${prefix}Gauge polling requires protocol "veeder-root"`);
+    }
+
+    config.pollSchedule.forEach((entry, index) => {
+      const label = `${prefix}Poll schedule entry ${index + 1}`;
+
+      // Only inquiry commands - polling must never change the gauge
+      if (typeof entry?.command !== 'string' || !/^[Ii][0-9A-Fa-f]{3}[0-9A-Za-z]{2}$/.test(entry.command)) {
+        errors.push(`${label}: command must be an inquiry function code such as "i20100"`);
+      }
+
+      if (!Number.isInteger(entry?.interval) || entry.interval < 60000) {
+        errors.push(`${label}: interval must be an integer of at least 60000ms`);
+      }
+    });
+
+    if (config.pollQueueDir && typeof config.pollQueueDir !== 'string') {
+      errors.push(`${prefix}Invalid poll queue directory (must be a string)`);
+    }
+
+    if (!Number.isInteger(config.pollQueueMaxEntries) || config.pollQueueMaxEntries < 1) {
+      errors.push(`${prefix}Invalid poll queue size (must be a positive integer)`);
     }
+  }
 
-    if (![5, 6, 7, 8].includes(this.config.serialDataBits)) {
-      errors.push('Invalid serial data bits (must be 5, 6, 7, or 8)');
+  /**
+   * Validate relay buffer limits and the overflow policy
+   */
+  validateFlowControlConfig(errors, warnings, config = this.config, prefix = '') {
+    if (!OVERFLOW_POLICIES.includes(config.overflowPolicy)) {
+      errors.push(`${prefix}Invalid overflow policy (must be one of: ${OVERFLOW_POLICIES.join(', ')})`);
     }
 
-    if (![1, 1.5, 2].includes(this.config.serialStopBits)) {
-      errors.push('Invalid serial stop bits (must be 1, 1.5, or 2)');
+    if (!Number.isInteger(config.relayHighWaterMark) || config.relayHighWaterMark < 1024) {
+      errors.push(`${prefix}Invalid relay high-water mark (must be an integer of at least 1024 bytes)`);
+    }
+
+    if (!Number.isInteger(config.collectBufferMaxBytes) || config.collectBufferMaxBytes < 1024) {
+      errors.push(`${prefix}Invalid collect buffer size (must be an integer of at least 1024 bytes)`);
+    }
+  }
+
+  /**
+   * Validate reconnect backoff, the circuit breaker and the outage buffer
+   */
+  validateReconnectConfig(errors, warnings, config = this.config, prefix = '') {
+    if (!Number.isInteger(config.reconnectDelay) || config.reconnectDelay < 0) {
+      errors.push(`${prefix}Invalid reconnect delay (must be a non-negative integer)`);
+    }
+
+    if (!Number.isInteger(config.reconnectMaxDelay) || config.reconnectMaxDelay < config.reconnectDelay) {
+      errors.push(`${prefix}Invalid reconnectMaxDelay (must be an integer of at least reconnectDelay)`);
+    }
+
+    if (!Number.isInteger(config.circuitBreakerThreshold) || config.circuitBreakerThreshold < 1) {
+      errors.push(`${prefix}Invalid circuitBreakerThreshold (must be a positive integer)`);
+    }
+
+    if (!Number.isInteger(config.circuitBreakerResetTimeout) || config.circuitBreakerResetTimeout < 1000) {
+      errors.push(`${prefix}Invalid circuitBreakerResetTimeout (must be an integer of at least 1000ms)`);
+    }
+
+    if (!Number.isInteger(config.outageBufferMaxBytes) || config.outageBufferMaxBytes < 0) {
+      errors.push(`${prefix}Invalid outageBufferMaxBytes (must be a non-negative integer)`);
+    }
+
+    // A session shorter than one open circuit cannot recover from it
+    if (config.runMode !== 'daemon' && config.circuitBreakerResetTimeout >= config.relayTimeout) {
+      warnings.push(`${prefix}circuitBreakerResetTimeout is not shorter than relayTimeout, so a session ends before an open circuit is retried`);
+    }
+  }
+
+  /**
+   * Validate the command firewall rules
+   */
+  validateFirewallConfig(errors, warnings, config = this.config, prefix = '') {
+    if (config.protocol !== 'veeder-root') {
+      errors.push(`${prefix}Command firewall requires protocol "veeder-root"`);
+    }
+
+    if (!Array.isArray(config.firewallRules)) {
+      errors.push(`${prefix}Invalid firewall rules (must be an array)`);
+    } else {
+      config.firewallRules.forEach((rule, index) => {
+        const label = `${prefix}Firewall rule ${index + 1}`;
+        if (!rule || !FIREWALL_ACTIONS.includes(rule.action)) {
+          errors.push(`${label}: invalid action (must be one of: ${FIREWALL_ACTIONS.join(', ')})`);
+          return;
+        }
+
+        if ((rule.match === undefined) === (rule.pattern === undefined)) {
+          errors.push(`${label}: must have exactly one of match or pattern`);
+        } else if (rule.match !== undefined && (typeof rule.match !== 'string' || !rule.match)) {
+          errors.push(`${label}: invalid match (must be a function code, e.g. "I201*")`);
+        } else if (rule.pattern !== undefined) {
+          try {
+            new RegExp(rule.pattern);
+          } catch (error) {
+            errors.push(`${label}: invalid pattern (${error.message})`);
+          }
+        }
+      });
+
+      if (config.firewallRules.length === 0 && config.firewallDefaultAction === 'allow') {
+        warnings.push(`${prefix}Command firewall has no rules and allows everything`);
+      }
+    }
+
+    if (!FIREWALL_ACTIONS.includes(config.firewallDefaultAction)) {
+      errors.push(`${prefix}Invalid firewall default action (must be one of: ${FIREWALL_ACTIONS.join(', ')})`);
+    }
+
+    if (typeof config.firewallResponse !== 'string') {
+      errors.push(`${prefix}Invalid firewall response (must be a string)`);
+    }
+  }
+
+  /**
+   * Validate session capture settings
+   */
+  validateCaptureConfig(errors, warnings, config = this.config, prefix = '') {
+    if (config.captureDir && typeof config.captureDir !== 'string') {
+      errors.push(`${prefix}Invalid capture directory (must be a string)`);
+    }
+
+    if (!Number.isInteger(config.captureMaxBytes) || config.captureMaxBytes < 1024) {
+      errors.push(`${prefix}Invalid capture file size (must be an integer of at least 1024 bytes)`);
+    }
+
+    if (!Number.isInteger(config.captureMaxFiles) || config.captureMaxFiles < 1) {
+      errors.push(`${prefix}Invalid capture file count (must be a positive integer)`);
+    }
+  }
+
+  /**
+   * Validate the outbox for collected data
+   */
+  validateOutboxConfig(errors, warnings, config = this.config, prefix = '') {
+    if (config.outboxDir && typeof config.outboxDir !== 'string') {
+      errors.push(`${prefix}Invalid outbox directory (must be a string)`);
+    }
+
+    if (!Number.isInteger(config.outboxMaxEntries) || config.outboxMaxEntries < 1) {
+      errors.push(`${prefix}Invalid outbox size (must be a positive integer)`);
+    }
+
+    if (!Number.isInteger(config.outboxMaxBytes) || config.outboxMaxBytes < 1024) {
+      errors.push(`${prefix}Invalid outbox byte limit (must be an integer of at least 1024)`);
+    }
+
+    if (!Number.isInteger(config.outboxMaxAge) || config.outboxMaxAge < 60000) {
+      errors.push(`${prefix}Invalid outbox max age (must be an integer of at least 60000ms)`);
+    }
+
+    if (!Number.isInteger(config.outboxRetryDelay) || config.outboxRetryDelay < 1000) {
+      errors.push(`${prefix}Invalid outbox retry delay (must be an integer of at least 1000ms)`);
+    }
+
+    if (!Number.isInteger(config.outboxMaxRetryDelay) || config.outboxMaxRetryDelay < config.outboxRetryDelay) {
+      errors.push(`${prefix}Invalid outbox max retry delay (must be an integer no less than outboxRetryDelay)`);
+    }
+  }
+
+  /**
+   * Validate serial read framing configuration
+   */
+  validateFramingConfig(errors, warnings, config = this.config, prefix = '') {
+    if (!FRAMING_STRATEGIES.includes(config.serialFraming)) {
+      errors.push(`${prefix}Invalid serial framing (must be one of: ${FRAMING_STRATEGIES.join(', ')})`);
+      return;
+    }
+
+    if (!Number.isInteger(config.framingTimeout) || config.framingTimeout < 0) {
+      errors.push(`${prefix}Invalid framing timeout (must be a non-negative integer)`);
+    } else if (config.serialFraming === 'timeout' && config.framingTimeout === 0) {
+      errors.push(`${prefix}Timeout framing requires a framing timeout above 0`);
+    }
+
+    if (!Number.isInteger(config.framingMaxFrameSize) || config.framingMaxFrameSize < 1) {
+      errors.push(`${prefix}Invalid maximum frame size (must be a positive integer)`);
+    }
+
+    switch (config.serialFraming) {
+      case 'delimiter':
+        if (typeof config.framingDelimiter !== 'string' || config.framingDelimiter.length === 0) {
+          errors.push(`${prefix}Delimiter framing requires a non-empty framingDelimiter`);
+        }
+        if (!Number.isInteger(config.framingTrailerLength) || config.framingTrailerLength < 0) {
+          errors.push(`${prefix}Invalid framing trailer length (must be a non-negative integer)`);
+        }
+        break;
+
+      case 'fixed':
+        if (!Number.isInteger(config.framingLength) || config.framingLength < 1 ||
+            config.framingLength > config.framingMaxFrameSize) {
+          errors.push(`${prefix}Fixed framing requires framingLength between 1 and framingMaxFrameSize`);
+        }
+        break;
+
+      case 'length-prefixed':
+        if (![1, 2, 4].includes(config.framingLengthBytes)) {
+          errors.push(`${prefix}Invalid framing length field size (must be 1, 2 or 4)`);
+        }
+        if (!['be', 'le'].includes(config.framingLengthEndian)) {
+          errors.push(`${prefix}Invalid framing length byte order (must be "be" or "le")`);
+        }
+        break;
+
+      default:
+        break;
     }
   }
 
   /**
    * Validate secondary TCP configuration
    */
-  validateSecondaryTcpConfig(errors, warnings) {
-    if (!this.config.secondaryTcpIp || typeof this.config.secondaryTcpIp !== 'string') {
-      errors.push('Invalid or missing secondary TCP IP address');
-    } else if (!/^(\d{1,3}\.){3}\d{1,3}$/.test(this.config.secondaryTcpIp)) {
-      warnings.push('Secondary TCP IP address format may be invalid');
+  validateSecondaryTcpConfig(errors, warnings, config = this.config, prefix = '') {
+    if (!config.secondaryTcpIp || typeof config.secondaryTcpIp !== 'string') {
+      errors.push(`${prefix}Invalid or missing secondary TCP IP address`);
+    } else if (!/^(\d{1,3}\.){3}\d{1,3}$/.test(config.secondaryTcpIp)) {
+      warnings.push(`${prefix}Secondary TCP IP address format may be invalid`);
     }
 
-    if (!this.config.secondaryTcpPort || !Number.isInteger(this.config.secondaryTcpPort) || 
-        this.config.secondaryTcpPort < 1 || this.config.secondaryTcpPort > 65535) {
-      errors.push('Invalid secondary TCP port (must be integer 1-65535)');
+    if (!config.secondaryTcpPort || !Number.isInteger(config.secondaryTcpPort) || 
+        config.secondaryTcpPort < 1 || config.secondaryTcpPort > 65535) {
+      errors.push(`${prefix}Invalid secondary TCP port (must be integer 1-65535)`);
     }
 
     // Check for port conflicts
-    if (this.config.tcpIp === this.config.secondaryTcpIp && 
-        this.config.tcpPort === this.config.secondaryTcpPort) {
-      errors.push('Primary and secondary TCP endpoints cannot be the same');
+    if (config.tcpMode !== 'server' && config.tcpIp === config.secondaryTcpIp && 
+        config.tcpPort === config.secondaryTcpPort) {
+      errors.push(`${prefix}Primary and secondary TCP endpoints cannot be the same`);
+    }
+
+    if (config.secondaryTcpMode !== undefined && !['persistent', 'transaction'].includes(config.secondaryTcpMode)) {
+      errors.push(`${prefix}Invalid secondaryTcpMode (must be 'persistent' or 'transaction')`);
+    }
+
+    if (config.secondaryTcpMode === 'transaction') {
+      if (config.secondaryTransactionTimeout !== undefined &&
+          (!Number.isInteger(config.secondaryTransactionTimeout) || config.secondaryTransactionTimeout < 1)) {
+        errors.push(`${prefix}Invalid secondaryTransactionTimeout (must be a positive integer in ms)`);
+      }
+      if (config.secondaryTransactionIdle !== undefined &&
+          (!Number.isInteger(config.secondaryTransactionIdle) || config.secondaryTransactionIdle < 0)) {
+        errors.push(`${prefix}Invalid secondaryTransactionIdle (must be a non-negative integer in ms)`);
+      }
+      if (config.secondaryTransactionIdle >= config.secondaryTransactionTimeout) {
+        warnings.push(`${prefix}secondaryTransactionIdle is not shorter than secondaryTransactionTimeout, so transactions only end on close or timeout`);
+      }
     }
   }
 
@@ -524,9 +1283,31 @@ class ConfigManager {
     const safeConfig = {
       tcpIp: this.config.tcpIp,
       tcpPort: this.config.tcpPort,
-      connectionType: this.config.connectionType
+      tcpFallbackEndpoints: (this.config.tcpFallbackEndpoints || []).map(e => `${e.host}:${e.port}`),
+      tcpMode: this.config.tcpMode,
+      tlsEnabled: Boolean(this.config.tlsEnabled),
+      authEnabled: Boolean(this.config.authEnabled),
+      connectionType: this.config.connectionType,
+      runMode: this.config.runMode
     };
 
+    if (this.config.tlsEnabled) {
+      safeConfig.tlsCaPath = this.config.tlsCaPath || null;
+      safeConfig.tlsCertPath = this.config.tlsCertPath || null;
+      safeConfig.tlsRejectUnauthorized = this.config.tlsRejectUnauthorized;
+    }
+
+    if (this.config.tcpMode === 'server') {
+      safeConfig.listenHost = this.config.listenHost;
+      safeConfig.listenPort = this.config.listenPort;
+      safeConfig.maxClients = this.config.maxClients;
+      safeConfig.allowedIps = this.config.allowedIps;
+    }
+
+    if (this.config.channels?.length > 0) {
+      safeConfig.channels = this.config.channels.map(channel => channel.id);
+    }
+
     if (this.config.connectionType === 'serial') {
       safeConfig.serialPath = this.config.serialPath;
       safeConfig.serialBaud = this.config.serialBaud;
@@ -536,6 +1317,7 @@ class ConfigManager {
     } else if (this.config.connectionType === 'tcp') {
       safeConfig.secondaryTcpIp = this.config.secondaryTcpIp;
       safeConfig.secondaryTcpPort = this.config.secondaryTcpPort;
+      safeConfig.secondaryTcpMode = this.config.secondaryTcpMode;
     }
 
     return safeConfig;
@@ -575,12 +1357,39 @@ class ConfigManager {
   }
 }
 
+/**
+ * Merge a channel entry over the base config
+ * @param {object} baseConfig - Top-level configuration
+ * @param {object} channel - Entry of the channels array
+ * @returns {object} Configuration for a single relay channel
+ */
+function resolveChannelConfig(baseConfig, channel) {
+  const { channels, ...base } = baseConfig;
+  return { ...base, ...channel, channelId: channel.id };
+}
+
+/**
+ * Resolve the relay channels described by a configuration. A config without
+ * a channels array describes a single, unnamed channel (channelId null).
+ * @param {object} config - Top-level configuration
+ * @returns {object[]} One configuration per relay channel
+ */
+function resolveChannels(config) {
+  if (!Array.isArray(config.channels) || config.channels.length === 0) {
+    const { channels, ...base } = config;
+    return [{ ...base, channelId: null }];
+  }
+
+  return config.channels.map(channel => resolveChannelConfig(config, channel));
+}
+
 // Singleton instance
 const configManager = new ConfigManager();
 
 module.exports = {
   configManager,
   getConfigPath,
+  resolveChannels,
   loadConfig: () => configManager.load(),
   getConfig: () => configManager.get(),
   updateConfig: (newConfig) => configManager.update(newConfig)
@@ -3,6 +3,7 @@ let currentStatus = {};
 let currentConfig = {};
 let statusUpdateInterval;
 let logsUpdateInterval;
+let outboxUpdateInterval;
 
 // Initialize dashboard
 document.addEventListener('DOMContentLoaded', function() {
@@ -43,6 +44,11 @@ function setupEventListeners() {
     const configForm = document.getElementById('config-form');
     if (configForm) {
         configForm.addEventListener('submit', saveConfig);
+        configForm.querySelectorAll('input[type="checkbox"]').forEach(element => {
+            element.addEventListener('change', () => {
+                element.dataset.changed = 'true';
+            });
+        });
         
         // Connection type change handler
         const connectionType = document.getElementById('connectionType');
@@ -56,6 +62,7 @@ function setupEventListeners() {
 async function loadInitialData() {
     await Promise.all([
         fetchStatus(),
+        fetchOutbox(),
         loadConfig(),
         refreshLogs()
     ]);
@@ -64,6 +71,7 @@ async function loadInitialData() {
 // Start periodic status updates
 function startStatusUpdates() {
     statusUpdateInterval = setInterval(fetchStatus, 5000);
+    outboxUpdateInterval = setInterval(fetchOutbox, 30000);
     logsUpdateInterval = setInterval(refreshLogs, 30000); // Refresh logs every 30 seconds
 }
 
@@ -129,10 +137,81 @@ function updateStatusDisplay() {
     updateConnectionStatus('tcp-status', currentStatus.connections?.tcp);
     updateConnectionStatus('secondary-status', currentStatus.connections?.secondary);
     
+    // Update per-channel statuses
+    updateChannels();
+    
     // Update metrics
     updateMetrics();
 }
 
+function updateChannels() {
+    const section = document.getElementById('channels-section');
+    const container = document.getElementById('channels-status');
+    if (!section || !container) return;
+    
+    const channels = Object.entries(currentStatus.channels || {});
+    section.hidden = channels.length === 0;
+    
+    container.innerHTML = channels.map(([channelId, channel]) => {
+        const tcp = connectionBadge(channel.connections?.tcp);
+        const secondary = connectionBadge(channel.connections?.secondary);
+        const metrics = channel.metrics || {};
+        
+        return `
+            <div class="status-card channel-card">
+                <h3>${escapeHtml(channelId)}</h3>
+                <p class="channel-message">${escapeHtml(channel.message || '')}</p>
+                <div class="channel-row"><span>TCP</span>${tcp}</div>
+                <div class="channel-row"><span>Secondary</span>${secondary}</div>
+                <div class="channel-row"><span>Transfers</span><span>${metrics.dataTransfers || 0}</span></div>
+                <div class="channel-row"><span>Errors</span><span>${metrics.errors || 0}</span></div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Batches of collected data waiting to be uploaded
+async function fetchOutbox() {
+    try {
+        const data = await apiCall('/outbox');
+        updateOutbox(data.outboxes || []);
+    } catch (error) {
+        console.error('Failed to fetch outbox:', error);
+    }
+}
+
+function updateOutbox(outboxes) {
+    const section = document.getElementById('outbox-section');
+    const container = document.getElementById('outbox-status');
+    if (!section || !container) return;
+    
+    const pending = outboxes.filter(outbox => outbox.stats.pending > 0);
+    section.hidden = pending.length === 0;
+    
+    container.innerHTML = pending.map((outbox) => {
+        const { stats } = outbox;
+        
+        return `
+            <div class="status-card channel-card">
+                <h3>${escapeHtml(outbox.channelId || 'Relay')}</h3>
+                <div class="channel-row"><span>Pending batches</span><span>${stats.pending}</span></div>
+                <div class="channel-row"><span>Size</span><span>${(stats.bytes / 1024).toFixed(1)} KB</span></div>
+                <div class="channel-row"><span>Oldest</span><span>${new Date(stats.oldest).toLocaleString()}</span></div>
+                <div class="channel-row"><span>Next retry</span><span>${new Date(stats.nextAttemptAt).toLocaleString()}</span></div>
+            </div>
+        `;
+    }).join('');
+}
+
+function connectionBadge(connection) {
+    if (!connection || typeof connection !== 'object') {
+        return '<span class="status-badge unknown">Unknown</span>';
+    }
+    return connection.connected
+        ? '<span class="status-badge connected">Connected</span>'
+        : '<span class="status-badge disconnected">Disconnected</span>';
+}
+
 function updateConnectionStatus(elementId, connection) {
     const element = document.getElementById(elementId);
     if (element) {
@@ -205,7 +284,10 @@ function populateConfigForm() {
         const element = document.getElementById(key);
         if (element) {
             if (element.type === 'checkbox') {
-                element.checked = currentConfig[key];
+                element.checked = Boolean(currentConfig[key]);
+            } else if (currentConfig[key] && typeof currentConfig[key] === 'object') {
+                // e.g. a USB matcher in serialPath
+                element.value = JSON.stringify(currentConfig[key]);
             } else {
                 element.value = currentConfig[key] || '';
             }
@@ -227,15 +309,26 @@ async function saveConfig(e) {
             const element = document.getElementById(key);
             if (element) {
                 if (element.type === 'checkbox') {
-                    newConfig[key] = element.checked;
+                    continue; // Handled below
                 } else if (element.type === 'number') {
                     newConfig[key] = parseInt(value) || 0;
+                } else if (key === 'serialPath' && value.trim().startsWith('{')) {
+                    newConfig[key] = JSON.parse(value);
                 } else {
                     newConfig[key] = value;
                 }
             }
         }
         
+        // Unchecked boxes are not part of the form data but must still be saved.
+        // A setting missing from the file is only written once it is changed,
+        // so its default (which may be true) is not overwritten by the form.
+        e.target.querySelectorAll('input[type="checkbox"]').forEach(element => {
+            if (element.name in currentConfig || element.dataset.changed === 'true') {
+                newConfig[element.name] = element.checked;
+            }
+        });
+        
         await apiCall('/config', {
             method: 'POST',
             body: JSON.stringify(newConfig)
@@ -284,6 +377,12 @@ async function refreshPorts() {
             datalist.innerHTML = data.ports.map(port => 
                 `<option value="${port.path}">${port.path} - ${port.manufacturer || 'Unknown'}</option>`
             ).join('');
+
+            // USB adapters can also be chosen by ID, which survives re-plugging
+            datalist.innerHTML += data.ports.filter(port => port.vendorId && port.productId).map(port => {
+                const matcher = { vendorId: port.vendorId, productId: port.productId, ...(port.serialNumber && { serialNumber: port.serialNumber }) };
+                return `<option value='${JSON.stringify(matcher)}'>${port.path} by USB ID</option>`;
+            }).join('');
             
             showNotification(`Found ${data.ports.length} serial port(s)`, 'success');
         } else {
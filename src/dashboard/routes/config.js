@@ -1,6 +1,8 @@
 // src/dashboard/routes/config.js
 const fs = require('fs');
 const path = require('path');
+const { validateSerialPath } = require('../../utils/serial-port-matcher');
+const { SIGNAL_LEVELS } = require('../../utils/serial-line-control');
 
 class ConfigRoutes {
   constructor() {
@@ -201,13 +203,15 @@ class ConfigRoutes {
     const requiredFields = [
       { field: 'tcpIp', type: 'string', message: 'TCP IP address is required' },
       { field: 'tcpPort', type: 'number', message: 'TCP port is required' },
-      { field: 'serialPath', type: 'string', message: 'Serial path is required' },
+      { field: 'serialPath', type: 'serialPath', message: 'Serial path is required' },
       { field: 'serialBaud', type: 'number', message: 'Serial baud rate is required' }
     ];
 
     for (const req of requiredFields) {
       if (!config.hasOwnProperty(req.field)) {
         errors.push(`Missing required field: ${req.field}`);
+      } else if (req.type === 'serialPath') {
+        validateSerialPath(config[req.field]).forEach(error => errors.push(`${req.field} ${error}`));
       } else if (req.type === 'number' && !Number.isInteger(config[req.field])) {
         errors.push(`${req.field} must be a number`);
       } else if (req.type === 'string' && typeof config[req.field] !== 'string') {
@@ -236,6 +240,23 @@ class ConfigRoutes {
       errors.push('Serial stop bits must be 1, 1.5, or 2');
     }
 
+    ['serialDtr', 'serialRts'].forEach((field) => {
+      if (config[field] && !SIGNAL_LEVELS.includes(config[field])) {
+        errors.push(`${field} must be one of: ${SIGNAL_LEVELS.join(', ')}`);
+      }
+    });
+
+    ['serialBreakDuration', 'serialRs485DelayBeforeSend', 'serialRs485DelayAfterSend',
+      'serialCharDelay', 'serialCommandGap', 'serialSettleTime'].forEach((field) => {
+      if (config[field] !== undefined && (!Number.isInteger(config[field]) || config[field] < 0)) {
+        errors.push(`${field} must be a non-negative number of ms`);
+      }
+    });
+
+    if (config.serialRs485 && config.serialRtsCts) {
+      errors.push('RS-485 direction control cannot be combined with RTS/CTS flow control');
+    }
+
     if (config.maxRetries && config.maxRetries < 0) {
       errors.push('Max retries must be non-negative');
     }
@@ -110,6 +110,7 @@ class DashboardServer {
     this.app.get('/api/logs', this.getLogs.bind(this));
     this.app.get('/api/health', this.getHealth.bind(this));
     this.app.get('/api/ports', this.getPorts.bind(this));
+    this.app.get('/api/outbox', this.getOutbox.bind(this));
     
     // Control routes - using specific paths instead of parameters
     this.app.post('/api/control/start', (req, res) => this.controlService(req, res, 'start'));
@@ -180,6 +181,7 @@ class DashboardServer {
           bytesTransferredTcpToSecondaryTcp: 0,
           bytesTransferredSecondaryTcpToTcp: 0
         },
+        channels: latestStatus?.channels || {},
         systemMetrics: {
           uptime: os.uptime(),
           totalMemory: os.totalmem(),
@@ -321,6 +323,34 @@ class DashboardServer {
     }
   }
 
+  async getOutbox(req, res) {
+    try {
+      const { openOutboxes } = require('../services/outbox');
+      const defaultConfig = require('../config/default-config');
+
+      let config = { ...defaultConfig };
+      if (fs.existsSync(this.configPath)) {
+        config = { ...config, ...JSON.parse(fs.readFileSync(this.configPath, 'utf8')) };
+      }
+
+      // Same default location the relay uses: next to its configuration file
+      if (!config.outboxDir) {
+        config.outboxDir = path.join(path.dirname(this.configPath), 'outbox');
+      }
+
+      const outboxes = openOutboxes(config).map(outbox => ({
+        channelId: outbox.channelId,
+        stats: outbox.getStats(),
+        batches: outbox.list()
+      }));
+
+      res.json({ outboxes });
+    } catch (error) {
+      console.error('Error in getOutbox:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
   async getPorts(req, res) {
     try {
       // Try to load SerialPort dynamically
@@ -0,0 +1,400 @@
+// src/protocols/veeder-root-emulator.js
+// Stateful Veeder-Root TLS console emulator for testing without a gauge
+
+const EventEmitter = require('events');
+const {
+  SOH,
+  ETX,
+  UNRECOGNISED_COMMAND,
+  TANK_ALARM_TYPES,
+  INVENTORY_FIELDS,
+  DELIVERY_FIELDS,
+  VeederRootDecoder,
+  encodeResponse,
+  encodeHexFloat,
+  encodeTimestamp
+} = require('./veeder-root');
+
+// Volume correction to 60°F per °F (gasoline)
+const THERMAL_EXPANSION = 0.00068;
+
+// Deliveries kept per tank for i202
+const MAX_DELIVERIES = 10;
+
+const DEFAULT_STATE = {
+  station: ['FUEL EXPRESSO ZIPZ', '12671 ANTIOCH RD', 'O.P. KS. 66213'],
+  tanks: [
+    { tank: 1, product: 'UNLEADED', productCode: '1', capacity: 12000, diameter: 96, volume: 7598, water: 0, temperature: 64.3 },
+    { tank: 2, product: 'PREMIUM', productCode: '2', capacity: 10000, diameter: 96, volume: 1976, water: 0, temperature: 62.3 }
+  ],
+  salesRate: 120, // Gallons per hour drawn from each tank
+  // Fractions of capacity, water in inches
+  limits: {
+    highProduct: 0.95,
+    overfill: 0.9,
+    deliveryNeeded: 0.2,
+    lowProduct: 0.1,
+    highWaterWarning: 1.5,
+    highWater: 2
+  }
+};
+
+// Alarm types raised from the tank state, checked in this order
+const ALARM_CHECKS = [
+  { type: '07', active: (tank, limits) => tank.volume >= tank.capacity * limits.highProduct },
+  { type: '04', active: (tank, limits) => tank.volume >= tank.capacity * limits.overfill },
+  { type: '05', active: (tank, limits) => tank.volume <= tank.capacity * limits.lowProduct },
+  { type: '11', active: (tank, limits) => tank.volume <= tank.capacity * limits.deliveryNeeded },
+  { type: '03', active: (tank, limits) => tank.water >= limits.highWater },
+  { type: '10', active: (tank, limits) => tank.water >= limits.highWaterWarning }
+];
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Format a date the way the console prints it, e.g. "OCT 19, 2026  8:05 AM"
+ * @param {Date} date - Date to format
+ * @returns {string} Display date
+ */
+function formatDisplayDate(date) {
+  const hours = date.getHours() % 12 || 12;
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${MONTHS[date.getMonth()]} ${String(date.getDate()).padStart(2, '0')}, ${date.getFullYear()}` +
+    `  ${hours}:${minutes} ${date.getHours() < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Emulates a TLS console: holds tank state, answers inventory (201),
+ * delivery (202) and alarm (301) inquiries in display and computer format,
+ * drifts inventory as product is sold and raises alarms from the state.
+ * Heights and water volumes assume a linear tank.
+ *
+ * Events: 'alarm' ({ tank, type, description, active }), 'delivery' (delivery)
+ */
+class VeederRootEmulator extends EventEmitter {
+  /**
+   * @param {object} [state] - Overrides of DEFAULT_STATE (station, tanks, salesRate, limits)
+   * @param {object} [options]
+   * @param {number} [options.driftInterval] - How often inventory drifts, in ms (0 = never)
+   * @param {number} [options.timeScale] - Simulated time per real time, to drift faster
+   */
+  constructor(state = {}, { driftInterval = 60000, timeScale = 1 } = {}) {
+    super();
+    this.station = state.station || DEFAULT_STATE.station;
+    this.salesRate = state.salesRate ?? DEFAULT_STATE.salesRate;
+    this.limits = { ...DEFAULT_STATE.limits, ...state.limits };
+    this.tanks = (state.tanks || DEFAULT_STATE.tanks).map(tank => ({
+      productCode: String(tank.tank),
+      diameter: 96,
+      water: 0,
+      temperature: 60,
+      ...tank,
+      deliveries: (tank.deliveries || []).map(delivery => ({
+        ...delivery,
+        start: new Date(delivery.start),
+        end: new Date(delivery.end)
+      }))
+    }));
+    this.driftInterval = driftInterval;
+    this.timeScale = timeScale;
+    this.driftTimer = null;
+    this.lastDrift = null;
+    this.alarms = new Map(); // tank number -> Set of active alarm types
+    this.updateAlarms();
+  }
+
+  /**
+   * Start drifting inventory
+   */
+  start() {
+    if (this.driftTimer || this.driftInterval <= 0) {
+      return;
+    }
+    this.lastDrift = Date.now();
+    this.driftTimer = setInterval(() => {
+      const now = Date.now();
+      this.drift((now - this.lastDrift) * this.timeScale / 3600000);
+      this.lastDrift = now;
+    }, this.driftInterval);
+  }
+
+  stop() {
+    clearInterval(this.driftTimer);
+    this.driftTimer = null;
+  }
+
+  /**
+   * Create a command parser for one connection
+   * @returns {Function} (data) => Buffer[] responses to the commands completed by the data
+   */
+  createSession() {
+    const decoder = new VeederRootDecoder({ direction: 'command' });
+    return data => decoder.push(data).map(command => this.respond(command));
+  }
+
+  /**
+   * Answer one decoded command
+   * @param {object} command - Record from VeederRootDecoder
+   * @returns {Buffer} Response frame
+   */
+  respond(command) {
+    const tanks = command.error ? null : this.selectTanks(command.selector);
+    const handler = {
+      201: this.inventoryResponse,
+      202: this.deliveryResponse,
+      301: this.alarmResponse
+    }[command.function];
+
+    if (!handler || !tanks || !command.functionCode.match(/^[Ii]/)) {
+      return Buffer.from(`${SOH}${UNRECOGNISED_COMMAND}${ETX}`, 'latin1');
+    }
+    return handler.call(this, command, tanks, new Date());
+  }
+
+  /**
+   * @param {string} selector - '00' for all tanks, or a tank number
+   * @returns {object[]|null} Selected tanks, or null if there is no such tank
+   */
+  selectTanks(selector) {
+    if (selector === '00') {
+      return this.tanks;
+    }
+    const tank = this.tanks.find(candidate => candidate.tank === parseInt(selector, 10));
+    return tank ? [tank] : null;
+  }
+
+  /**
+   * Get the measurements of a tank
+   * @param {object} tank - Tank state
+   * @returns {object} Values named as INVENTORY_FIELDS
+   */
+  measure(tank) {
+    return {
+      volume: tank.volume,
+      tcVolume: tank.volume * (1 - THERMAL_EXPANSION * (tank.temperature - 60)),
+      ullage: tank.capacity - tank.volume,
+      height: tank.volume / tank.capacity * tank.diameter,
+      water: tank.water,
+      temperature: tank.temperature,
+      waterVolume: tank.water / tank.diameter * tank.capacity
+    };
+  }
+
+  /**
+   * @param {object} command - Decoded command
+   * @param {string[]} lines - Report lines after the function code
+   * @param {Date} now - Report time
+   * @returns {Buffer} Display format frame
+   */
+  displayResponse(command, lines, now) {
+    const text = [
+      '',
+      command.functionCode,
+      formatDisplayDate(now),
+      '',
+      ...this.station,
+      '',
+      ...lines,
+      ''
+    ].join('\r\n');
+    return Buffer.from(`${SOH}${text}${ETX}`, 'latin1');
+  }
+
+  inventoryResponse(command, tanks, now) {
+    if (command.format === 'display') {
+      return this.displayResponse(command, [
+        'IN-TANK INVENTORY',
+        '',
+        'TANK PRODUCT             VOLUME TC VOLUME   ULLAGE   HEIGHT    WATER     TEMP',
+        ...tanks.map((tank) => {
+          const values = this.measure(tank);
+          return `${String(tank.tank).padStart(3)}  ${tank.product.padEnd(20)}` +
+            `${values.volume.toFixed(0).padStart(6)}${values.tcVolume.toFixed(0).padStart(10)}` +
+            `${values.ullage.toFixed(0).padStart(9)}${values.height.toFixed(2).padStart(9)}` +
+            `${values.water.toFixed(2).padStart(9)}${values.temperature.toFixed(2).padStart(9)}`;
+        })
+      ], now);
+    }
+
+    const data = tanks.map((tank) => {
+      const values = this.measure(tank);
+      const status = this.hasDeliveryInProgress(tank, now) ? 1 : 0;
+      return `${String(tank.tank).padStart(2, '0')}${tank.productCode}${status.toString(16).padStart(4, '0')}` +
+        `${INVENTORY_FIELDS.length.toString(16).toUpperCase().padStart(2, '0')}` +
+        INVENTORY_FIELDS.map(field => encodeHexFloat(values[field])).join('');
+    }).join('');
+    return encodeResponse(`${command.functionCode}${encodeTimestamp(now)}${data}`);
+  }
+
+  deliveryResponse(command, tanks, now) {
+    if (command.format === 'display') {
+      return this.displayResponse(command, [
+        'DELIVERY REPORT',
+        ...tanks.flatMap(tank => [
+          '',
+          `T ${tank.tank}:${tank.product}`,
+          ...(tank.deliveries.length === 0 ? ['NO DELIVERIES'] : []),
+          ...tank.deliveries.flatMap(delivery => [
+            `  START: ${formatDisplayDate(delivery.start)}  VOLUME ${delivery.startingVolume.toFixed(0)}`,
+            `    END: ${formatDisplayDate(delivery.end)}  VOLUME ${delivery.endingVolume.toFixed(0)}`,
+            `  GROSS INCREASE ${(delivery.endingVolume - delivery.startingVolume).toFixed(0)}` +
+              `  TC NET INCREASE ${(delivery.endingTcVolume - delivery.startingTcVolume).toFixed(0)}`
+          ])
+        ])
+      ], now);
+    }
+
+    const data = tanks.map(tank => (
+      `${String(tank.tank).padStart(2, '0')}${tank.productCode}${tank.deliveries.length.toString(16).toUpperCase().padStart(2, '0')}` +
+      tank.deliveries.map(delivery => (
+        `${encodeTimestamp(delivery.start)}${encodeTimestamp(delivery.end)}` +
+        `${DELIVERY_FIELDS.length.toString(16).toUpperCase().padStart(2, '0')}` +
+        DELIVERY_FIELDS.map(field => encodeHexFloat(delivery[field])).join('')
+      )).join('')
+    )).join('');
+    return encodeResponse(`${command.functionCode}${encodeTimestamp(now)}${data}`);
+  }
+
+  alarmResponse(command, tanks, now) {
+    if (command.format === 'display') {
+      const lines = tanks.flatMap(tank => (
+        [...this.alarms.get(tank.tank)].map(type => (
+          `T ${tank.tank}:${tank.product.padEnd(20)}${TANK_ALARM_TYPES[type].toUpperCase()}`
+        ))
+      ));
+      return this.displayResponse(command, ['IN-TANK ALARMS', '', ...(lines.length > 0 ? lines : ['NO ACTIVE ALARMS'])], now);
+    }
+
+    const data = tanks.map((tank) => {
+      const types = [...this.alarms.get(tank.tank)];
+      return `${String(tank.tank).padStart(2, '0')}${types.length.toString(16).toUpperCase().padStart(2, '0')}${types.join('')}`;
+    }).join('');
+    return encodeResponse(`${command.functionCode}${encodeTimestamp(now)}${data}`);
+  }
+
+  /**
+   * @param {object} tank - Tank state
+   * @param {Date} now - Current time
+   * @returns {boolean} True while a recorded delivery is still running
+   */
+  hasDeliveryInProgress(tank, now) {
+    return tank.deliveries.some(delivery => delivery.end > now);
+  }
+
+  /**
+   * @param {number} number - Tank number
+   * @returns {object} Tank state
+   */
+  getTank(number) {
+    const tank = this.tanks.find(candidate => candidate.tank === number);
+    if (!tank) {
+      throw new Error(`No tank ${number}`);
+    }
+    return tank;
+  }
+
+  /**
+   * Record a delivery that has just ended
+   * @param {number} number - Tank number
+   * @param {number} gallons - Volume delivered (limited by the free capacity)
+   * @param {object} [options]
+   * @param {number} [options.duration] - Length of the delivery in ms
+   * @returns {object} The recorded delivery
+   */
+  deliver(number, gallons, { duration = 20 * 60000 } = {}) {
+    const tank = this.getTank(number);
+    const before = this.measure(tank);
+    tank.volume = Math.min(tank.capacity, tank.volume + gallons);
+    const after = this.measure(tank);
+
+    const end = new Date();
+    const delivery = {
+      tank: tank.tank,
+      start: new Date(end.getTime() - duration),
+      end,
+      startingVolume: before.volume,
+      startingTcVolume: before.tcVolume,
+      startingWater: before.water,
+      startingTemperature: before.temperature,
+      endingVolume: after.volume,
+      endingTcVolume: after.tcVolume,
+      endingWater: after.water,
+      endingTemperature: after.temperature,
+      startingHeight: before.height,
+      endingHeight: after.height
+    };
+    tank.deliveries = [delivery, ...tank.deliveries].slice(0, MAX_DELIVERIES);
+
+    this.emit('delivery', delivery);
+    this.updateAlarms();
+    return delivery;
+  }
+
+  /**
+   * Change the state of a tank directly
+   * @param {number} number - Tank number
+   * @param {object} values - Any of volume, water, temperature
+   */
+  update(number, values) {
+    const tank = this.getTank(number);
+    ['volume', 'water', 'temperature'].forEach((field) => {
+      if (values[field] !== undefined) {
+        tank[field] = values[field];
+      }
+    });
+    tank.volume = Math.max(0, Math.min(tank.capacity, tank.volume));
+    this.updateAlarms();
+  }
+
+  /**
+   * Advance inventory by the product sold in a period
+   * @param {number} hours - Simulated hours elapsed
+   */
+  drift(hours) {
+    this.tanks.forEach((tank) => {
+      tank.volume = Math.max(0, tank.volume - this.salesRate * hours);
+      tank.temperature += (Math.random() - 0.5) * 0.2;
+    });
+    this.updateAlarms();
+  }
+
+  /**
+   * Re-evaluate alarms, emitting 'alarm' for each one raised or cleared
+   */
+  updateAlarms() {
+    this.tanks.forEach((tank) => {
+      const previous = this.alarms.get(tank.tank) || new Set();
+      const current = new Set(ALARM_CHECKS
+        .filter(check => check.active(tank, this.limits))
+        .map(check => check.type));
+
+      [...current].filter(type => !previous.has(type)).forEach((type) => {
+        this.emit('alarm', { tank: tank.tank, type, description: TANK_ALARM_TYPES[type], active: true });
+      });
+      [...previous].filter(type => !current.has(type)).forEach((type) => {
+        this.emit('alarm', { tank: tank.tank, type, description: TANK_ALARM_TYPES[type], active: false });
+      });
+      this.alarms.set(tank.tank, current);
+    });
+  }
+
+  /**
+   * Get the state of every tank
+   * @returns {object[]} Tank measurements, alarms and delivery counts
+   */
+  getStatus() {
+    return this.tanks.map(tank => ({
+      tank: tank.tank,
+      product: tank.product,
+      capacity: tank.capacity,
+      ...this.measure(tank),
+      alarms: [...this.alarms.get(tank.tank)].map(type => TANK_ALARM_TYPES[type]),
+      deliveries: tank.deliveries.length
+    }));
+  }
+}
+
+module.exports = {
+  DEFAULT_STATE,
+  VeederRootEmulator
+};
@@ -0,0 +1,464 @@
+// src/protocols/veeder-root.js
+// Veeder-Root TLS serial protocol (computer and display formats)
+
+const SOH = '\x01';
+const ETX = '\x03';
+
+// Longest frame kept while waiting for ETX before the buffer is discarded
+const MAX_FRAME_LENGTH = 65536;
+
+// Function code: I (display) / i (computer) / S / s, 3-char function, 2-char tank or device
+const FUNCTION_CODE_PATTERN = /^([IiSs])([0-9A-Fa-f]{3})([0-9A-Za-z]{2})/;
+
+// Response sent by the console for an unrecognised command
+const UNRECOGNISED_COMMAND = '9999FF1B';
+
+// In-tank alarm type numbers
+const TANK_ALARM_TYPES = {
+  '01': 'Tank setup data warning',
+  '02': 'Tank leak alarm',
+  '03': 'Tank high water alarm',
+  '04': 'Tank overfill alarm',
+  '05': 'Tank low product alarm',
+  '06': 'Tank sudden loss alarm',
+  '07': 'Tank high product alarm',
+  '08': 'Tank invalid fuel level alarm',
+  '09': 'Tank probe out alarm',
+  '10': 'Tank high water warning',
+  '11': 'Tank delivery needed warning',
+  '12': 'Tank maximum product alarm',
+  '13': 'Tank gross leak test fail alarm',
+  '14': 'Tank periodic leak test fail alarm',
+  '15': 'Tank annual leak test fail alarm',
+  '16': 'Tank periodic test needed warning',
+  '17': 'Tank annual test needed warning',
+  '18': 'Tank periodic test needed alarm',
+  '19': 'Tank annual test needed alarm',
+  '20': 'Tank leak test active'
+};
+
+const INVENTORY_FIELDS = [
+  'volume', 'tcVolume', 'ullage', 'height', 'water', 'temperature', 'waterVolume'
+];
+
+const DELIVERY_FIELDS = [
+  'startingVolume', 'startingTcVolume', 'startingWater', 'startingTemperature',
+  'endingVolume', 'endingTcVolume', 'endingWater', 'endingTemperature',
+  'startingHeight', 'endingHeight'
+];
+
+/**
+ * Compute the checksum of a computer format response: the 16-bit two's
+ * complement of the sum of all characters from SOH through "&&"
+ * @param {string} text - Frame text from SOH through "&&" inclusive
+ * @returns {string} 4 uppercase hex digits
+ */
+function computeChecksum(text) {
+  let sum = 0;
+  for (let i = 0; i < text.length; i++) {
+    sum += text.charCodeAt(i);
+  }
+  return ((0x10000 - (sum & 0xFFFF)) & 0xFFFF).toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Build a command frame
+ * @param {string} functionCode - e.g. 'i20100'
+ * @returns {Buffer} SOH-prefixed command
+ */
+function encodeCommand(functionCode) {
+  return Buffer.from(`${SOH}${functionCode}`, 'latin1');
+}
+
+/**
+ * Frame a computer format response: SOH, body, "&&", checksum, ETX
+ * @param {string} body - Function code, timestamp and data
+ * @returns {Buffer} Response frame
+ */
+function encodeResponse(body) {
+  const text = `${SOH}${body}&&`;
+  return Buffer.from(`${text}${computeChecksum(text)}${ETX}`, 'latin1');
+}
+
+/**
+ * Encode a number as an IEEE-754 single precision float in 8 hex characters
+ * @param {number} value - Value to encode
+ * @returns {string} Uppercase hex digits
+ */
+function encodeHexFloat(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeFloatBE(value);
+  return buffer.toString('hex').toUpperCase();
+}
+
+/**
+ * Format a date as a YYMMDDHHmm console timestamp (local time)
+ * @param {Date} date - Date to encode
+ * @returns {string} 10 digit timestamp
+ */
+function encodeTimestamp(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(date.getFullYear() % 100)}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}`;
+}
+
+/**
+ * Decode an IEEE-754 single precision float sent as 8 hex characters
+ * @param {string} hex - Hex digits
+ * @returns {number} Value rounded to the precision of a 32-bit float
+ */
+function decodeHexFloat(hex) {
+  return Number(Buffer.from(hex, 'hex').readFloatBE(0).toPrecision(7));
+}
+
+/**
+ * Convert a YYMMDDHHmm console timestamp (local time at the console)
+ * @param {string} value - 10 digit timestamp
+ * @returns {string|null} ISO-like date time without zone, or null if malformed
+ */
+function decodeTimestamp(value) {
+  const match = /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour, minute] = match;
+  return `20${year}-${month}-${day}T${hour}:${minute}:00`;
+}
+
+/**
+ * Sequential reader over the data portion of a computer format response
+ */
+class FieldReader {
+  constructor(text) {
+    this.text = text;
+    this.offset = 0;
+  }
+
+  get remaining() {
+    return this.text.length - this.offset;
+  }
+
+  read(length) {
+    if (this.remaining < length) {
+      throw new Error(`truncated data at offset ${this.offset}`);
+    }
+    const value = this.text.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+
+  readHex(length) {
+    const value = this.read(length);
+    if (!/^[0-9A-Fa-f]+$/.test(value)) {
+      throw new Error(`invalid hex "${value}" at offset ${this.offset - length}`);
+    }
+    return parseInt(value, 16);
+  }
+
+  readTimestamp() {
+    const value = this.read(10);
+    const timestamp = decodeTimestamp(value);
+    if (!timestamp) {
+      throw new Error(`invalid timestamp "${value}"`);
+    }
+    return timestamp;
+  }
+
+  /**
+   * Read a field count followed by that many hex floats
+   * @param {string[]} names - Names of the known fields, in order
+   * @returns {object} Named fields; fields beyond `names` go to `extra`
+   */
+  readFloats(names = []) {
+    const count = this.readHex(2);
+    const fields = {};
+    const extra = [];
+    for (let i = 0; i < count; i++) {
+      const value = decodeHexFloat(this.read(8));
+      if (i < names.length) {
+        fields[names[i]] = value;
+      } else {
+        extra.push(value);
+      }
+    }
+    if (extra.length > 0) {
+      fields.extra = extra;
+    }
+    return fields;
+  }
+}
+
+/**
+ * i201 in-tank inventory: TT p ssss NN fields... per tank
+ */
+function decodeInventory(reader) {
+  const tanks = [];
+  while (reader.remaining > 0) {
+    const tank = parseInt(reader.read(2), 10);
+    const product = reader.read(1);
+    const status = reader.readHex(4);
+    tanks.push({
+      tank,
+      product,
+      status: {
+        deliveryInProgress: Boolean(status & 0x1),
+        leakTestInProgress: Boolean(status & 0x2),
+        invalidHeight: Boolean(status & 0x4)
+      },
+      ...reader.readFloats(INVENTORY_FIELDS)
+    });
+  }
+  return { tanks };
+}
+
+/**
+ * i202 in-tank deliveries: TT p dd, then per delivery start, end, NN fields...
+ */
+function decodeDeliveries(reader) {
+  const deliveries = [];
+  while (reader.remaining > 0) {
+    const tank = parseInt(reader.read(2), 10);
+    const product = reader.read(1);
+    const count = reader.readHex(2);
+    for (let i = 0; i < count; i++) {
+      deliveries.push({
+        tank,
+        product,
+        start: reader.readTimestamp(),
+        end: reader.readTimestamp(),
+        ...reader.readFloats(DELIVERY_FIELDS)
+      });
+    }
+  }
+  return { deliveries };
+}
+
+/**
+ * i207 leak test results: TT p, test start, NN fields... per tank.
+ * Field meaning depends on the console's leak test method, so values are
+ * returned in order.
+ */
+function decodeLeakTests(reader) {
+  const tests = [];
+  while (reader.remaining > 0) {
+    const tank = parseInt(reader.read(2), 10);
+    const product = reader.read(1);
+    const started = reader.readTimestamp();
+    const { extra: values = [] } = reader.readFloats();
+    tests.push({ tank, product, started, values });
+  }
+  return { tests };
+}
+
+/**
+ * Alarm reports (i301, i373): per tank or sensor TT nn followed by nn
+ * 2-digit alarm type numbers
+ */
+function decodeAlarms(reader) {
+  const alarms = [];
+  while (reader.remaining > 0) {
+    const id = parseInt(reader.read(2), 10);
+    const count = reader.readHex(2);
+    for (let i = 0; i < count; i++) {
+      const type = reader.read(2);
+      alarms.push({ id, type, description: TANK_ALARM_TYPES[type] || null });
+    }
+  }
+  return { alarms };
+}
+
+// Supported functions, keyed by the 3-char function number
+const FUNCTIONS = {
+  '201': { name: 'inventory', decode: decodeInventory },
+  '202': { name: 'deliveries', decode: decodeDeliveries },
+  '207': { name: 'leakTests', decode: decodeLeakTests },
+  '301': { name: 'alarms', decode: decodeAlarms },
+  '373': { name: 'alarms', decode: decodeAlarms }
+};
+
+/**
+ * Split a function code into its parts
+ * @param {string} text - Text starting with the function code
+ * @returns {object|null} { functionCode, function, selector, format }
+ */
+function parseFunctionCode(text) {
+  const match = FUNCTION_CODE_PATTERN.exec(text);
+  if (!match) {
+    return null;
+  }
+  const [functionCode, prefix, number, selector] = match;
+  return {
+    functionCode,
+    function: number.toUpperCase(),
+    selector,
+    format: prefix === 'i' || prefix === 's' ? 'computer' : 'display',
+    name: FUNCTIONS[number.toUpperCase()]?.name || null
+  };
+}
+
+/**
+ * Decode a command sent to the console
+ * @param {string} body - Frame text after SOH
+ * @returns {object} Decoded command record
+ */
+function decodeCommand(body) {
+  const code = parseFunctionCode(body);
+  if (!code) {
+    return { type: 'command', raw: body, error: 'unrecognised command' };
+  }
+  const data = body.slice(code.functionCode.length);
+  return {
+    type: 'command',
+    ...code,
+    ...(data && { data })
+  };
+}
+
+/**
+ * Decode a response from the console
+ * @param {string} body - Frame text between SOH and ETX
+ * @returns {object} Decoded response record
+ */
+function decodeResponse(body) {
+  if (body === UNRECOGNISED_COMMAND) {
+    return { type: 'response', error: 'command not recognised by console' };
+  }
+
+  // Display format starts with CR LF before the function code and has no checksum
+  if (/^\r?\n/.test(body)) {
+    const lines = body.split(/\r?\n/).map(line => line.trimEnd()).filter(Boolean);
+    const code = parseFunctionCode(lines[0] || '');
+    return {
+      type: 'response',
+      ...(code || { format: 'display' }),
+      checksumValid: null,
+      lines: code ? lines.slice(1) : lines
+    };
+  }
+
+  const code = parseFunctionCode(body);
+  if (!code) {
+    return { type: 'response', raw: body, error: 'unrecognised response' };
+  }
+
+  const record = { type: 'response', ...code };
+  const separator = body.lastIndexOf('&&');
+  if (separator === -1 || body.length - separator !== 6) {
+    return { ...record, checksumValid: false, error: 'missing checksum' };
+  }
+
+  const checksum = body.slice(separator + 2).toUpperCase();
+  record.checksumValid = computeChecksum(`${SOH}${body.slice(0, separator + 2)}`) === checksum;
+  if (!record.checksumValid) {
+    return { ...record, error: 'checksum mismatch' };
+  }
+
+  const reader = new FieldReader(body.slice(code.functionCode.length, separator));
+  try {
+    record.timestamp = reader.readTimestamp();
+    const handler = FUNCTIONS[code.function];
+    if (handler) {
+      record.data = handler.decode(reader);
+    }
+  } catch (error) {
+    record.error = `malformed ${code.functionCode} response: ${error.message}`;
+  }
+  return record;
+}
+
+/**
+ * Incremental decoder for one direction of the stream. Frames may span
+ * several chunks; incomplete frames are kept until the rest arrives.
+ */
+class VeederRootDecoder {
+  /**
+   * @param {object} options
+   * @param {string} options.direction - 'command' (to the console) or 'response' (from it)
+   */
+  constructor({ direction }) {
+    this.direction = direction;
+    this.buffer = '';
+  }
+
+  /**
+   * Feed received bytes
+   * @param {Buffer} data - Received data
+   * @returns {object[]} Records for the frames completed by this data
+   */
+  push(data) {
+    this.buffer += data.toString('latin1');
+    const records = this.direction === 'command' ? this.extractCommands() : this.extractResponses();
+
+    if (this.buffer.length > MAX_FRAME_LENGTH) {
+      this.buffer = '';
+    }
+    return records;
+  }
+
+  /**
+   * Commands are not terminated; each runs until the next SOH or CR
+   */
+  extractCommands() {
+    const records = [];
+    let start;
+    while ((start = this.buffer.indexOf(SOH)) !== -1) {
+      const rest = this.buffer.slice(start + 1);
+      const end = rest.search(/[\x01\r\n]/);
+      const body = end === -1 ? rest : rest.slice(0, end);
+
+      // Wait for the rest of a function code split across chunks
+      if (end === -1 && body.length < 6) {
+        this.buffer = this.buffer.slice(start);
+        return records;
+      }
+
+      records.push(decodeCommand(body));
+      this.buffer = end === -1 ? '' : rest.slice(end);
+    }
+    this.buffer = '';
+    return records;
+  }
+
+  /**
+   * Responses run from SOH to ETX
+   */
+  extractResponses() {
+    const records = [];
+    let start;
+    while ((start = this.buffer.indexOf(SOH)) !== -1) {
+      const end = this.buffer.indexOf(ETX, start + 1);
+      if (end === -1) {
+        this.buffer = this.buffer.slice(start);
+        return records;
+      }
+      records.push(decodeResponse(this.buffer.slice(start + 1, end)));
+      this.buffer = this.buffer.slice(end + 1);
+    }
+    this.buffer = '';
+    return records;
+  }
+
+  /**
+   * Drop any partial frame, e.g. after a reconnect
+   */
+  reset() {
+    this.buffer = '';
+  }
+}
+
+module.exports = {
+  SOH,
+  ETX,
+  UNRECOGNISED_COMMAND,
+  TANK_ALARM_TYPES,
+  INVENTORY_FIELDS,
+  DELIVERY_FIELDS,
+  computeChecksum,
+  encodeCommand,
+  encodeResponse,
+  encodeHexFloat,
+  encodeTimestamp,
+  decodeCommand,
+  decodeResponse,
+  VeederRootDecoder
+};
@@ -0,0 +1,241 @@
+// src/services/channel-manager.js
+const EventEmitter = require('events');
+const { logger } = require('../utils/logger');
+const { updateStatus } = require('../utils/status-manager');
+const { resolveChannels } = require('../config');
+const RelayService = require('./relay-service');
+
+// Events that end a channel's session
+const FINISH_EVENTS = ['completed', 'timeout', 'stopped'];
+
+/**
+ * Runs one RelayService per configured channel and presents them to the
+ * application as a single service. Without a channels array in the config
+ * it manages exactly one relay and passes its events through unchanged.
+ */
+class ChannelManager extends EventEmitter {
+  constructor(config) {
+    super();
+    this.config = config;
+    this.channels = new Map();
+    this.results = new Map();
+    this.isRunning = false;
+    this.isStopping = false;
+    this.finished = false;
+
+    resolveChannels(config).forEach((channelConfig) => {
+      const key = channelConfig.channelId || 'default';
+      this.channels.set(key, new RelayService(channelConfig));
+    });
+  }
+
+  /**
+   * Check if more than one channel is configured
+   * @returns {boolean} True when running several relays
+   */
+  isMultiChannel() {
+    return Array.isArray(this.config.channels) && this.config.channels.length > 0;
+  }
+
+  /**
+   * Start all channels
+   */
+  async start() {
+    if (this.isRunning) {
+      logger.warn('Channel manager is already running');
+      return;
+    }
+
+    if (!this.isMultiChannel()) {
+      const relay = this.channels.get('default');
+      this.forwardEvents(relay);
+      await relay.start();
+      this.isRunning = true;
+      return;
+    }
+
+    logger.info(`Starting ${this.channels.size} relay channels`, {
+      channels: [...this.channels.keys()]
+    });
+
+    this.channels.forEach((relay, channelId) => this.setupChannelHandlers(relay, channelId));
+
+    const entries = [...this.channels.entries()];
+    const results = await Promise.allSettled(entries.map(([, relay]) => relay.start()));
+
+    const failures = [];
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        const [channelId] = entries[index];
+        logger.error(`Channel ${channelId} failed to start`, { error: result.reason.message });
+        failures.push({ channelId, error: result.reason });
+      }
+    });
+
+    if (failures.length === entries.length) {
+      throw failures[0].error;
+    }
+
+    failures.forEach(({ channelId, error }) => {
+      this.recordResult(channelId, 'error', { success: false, reason: error.message });
+    });
+
+    this.isRunning = true;
+    updateStatus({
+      message: `Relay running on ${entries.length - failures.length} of ${entries.length} channels`
+    });
+    this.emit('started');
+  }
+
+  /**
+   * Pass every event of a single relay through to the application
+   * @param {RelayService} relay - The only relay
+   */
+  forwardEvents(relay) {
+    ['started', 'dataRelayed', 'relayError', 'clientDisconnected', 'error', ...FINISH_EVENTS]
+      .forEach((eventName) => {
+        relay.on(eventName, (...args) => this.emit(eventName, ...args));
+      });
+  }
+
+  /**
+   * Wire the events of one channel in multi-channel mode
+   * @param {RelayService} relay - Channel relay
+   * @param {string} channelId - Channel identifier
+   */
+  setupChannelHandlers(relay, channelId) {
+    ['dataRelayed', 'relayError', 'clientDisconnected'].forEach((eventName) => {
+      relay.on(eventName, (info) => this.emit(eventName, { channelId, ...info }));
+    });
+
+    FINISH_EVENTS.forEach((eventName) => {
+      relay.on(eventName, (result) => {
+        this.recordResult(channelId, eventName, result);
+        this.stopChannel(relay, channelId);
+      });
+    });
+
+    // A failing channel is stopped on its own, the others keep relaying
+    relay.on('error', (error) => {
+      logger.error(`Channel ${channelId} error`, { error: error.message, phase: error.phase });
+      this.recordResult(channelId, 'error', { success: false, reason: error.message });
+      this.stopChannel(relay, channelId);
+    });
+  }
+
+  /**
+   * Stop a single channel that finished before the others. Once every
+   * channel has finished the application stops them all through stop().
+   * @param {RelayService} relay - Channel relay
+   * @param {string} channelId - Channel identifier
+   */
+  async stopChannel(relay, channelId) {
+    if (this.finished || this.isStopping || !relay.isRunning) {
+      return;
+    }
+
+    try {
+      await relay.stop();
+    } catch (error) {
+      logger.error(`Error stopping channel ${channelId}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Record the outcome of a channel and emit the overall outcome once
+   * every channel has finished
+   * @param {string} channelId - Channel identifier
+   * @param {string} outcome - Event that ended the channel
+   * @param {object} result - Result reported by the channel
+   */
+  recordResult(channelId, outcome, result = {}) {
+    if (this.finished || this.isStopping || this.results.has(channelId)) {
+      return;
+    }
+
+    this.results.set(channelId, {
+      outcome,
+      success: Boolean(result.success),
+      reason: result.reason
+    });
+    logger.info(`Channel ${channelId} finished (${outcome})`, result);
+
+    if (this.results.size < this.channels.size) {
+      return;
+    }
+
+    this.finished = true;
+    const channels = Object.fromEntries(this.results);
+    const succeeded = [...this.results.values()].filter(r => r.success).length;
+
+    if ([...this.results.values()].every(r => r.outcome === 'error')) {
+      const error = new Error(`All ${this.channels.size} channels failed`);
+      error.phase = 'channels';
+      error.channels = channels;
+      this.emit('error', error);
+      return;
+    }
+
+    this.emit('completed', {
+      success: succeeded === this.channels.size,
+      reason: `${succeeded} of ${this.channels.size} channels relayed data successfully`,
+      channels
+    });
+  }
+
+  /**
+   * Stop all channels
+   */
+  async stop() {
+    if (!this.isRunning) {
+      logger.warn('Channel manager is not running');
+      return;
+    }
+
+    if (!this.isMultiChannel()) {
+      await this.channels.get('default').stop();
+      this.isRunning = false;
+      return;
+    }
+
+    this.isStopping = true;
+    await Promise.allSettled([...this.channels.values()].map(relay => relay.stop()));
+    this.isRunning = false;
+
+    const stats = this.getStats();
+    this.emit('stopped', {
+      success: Object.values(stats.channels).some(channel => channel.dataRelayed),
+      stats
+    });
+  }
+
+  /**
+   * Get statistics for every channel
+   * @returns {object} Channel statistics keyed by channel ID
+   */
+  getStats() {
+    return {
+      isRunning: this.isRunning,
+      channelCount: this.channels.size,
+      channels: Object.fromEntries(
+        [...this.channels.entries()].map(([channelId, relay]) => [channelId, relay.getStats()])
+      )
+    };
+  }
+
+  /**
+   * Get health status for every channel
+   * @returns {object} Health status
+   */
+  getHealthStatus() {
+    return {
+      isRunning: this.isRunning,
+      channelCount: this.channels.size,
+      channels: Object.fromEntries(
+        [...this.channels.entries()].map(([channelId, relay]) => [channelId, relay.getHealthStatus()])
+      )
+    };
+  }
+}
+
+module.exports = ChannelManager;
@@ -0,0 +1,203 @@
+// src/services/command-firewall.js
+const { logger, auditLogger } = require('../utils/logger');
+const { SOH, decodeCommand } = require('../protocols/veeder-root');
+
+const FIREWALL_ACTIONS = ['allow', 'deny'];
+
+// SOH + prefix + 3-char function + 2-char selector
+const FUNCTION_CODE_LENGTH = 6;
+
+/**
+ * Turn a firewall rule into a matcher
+ * @param {object} rule - { action, match } or { action, pattern }
+ * @returns {object} { action, test, source }
+ */
+function compileRule(rule) {
+  if (rule.pattern) {
+    const pattern = new RegExp(rule.pattern);
+    return { action: rule.action, test: code => pattern.test(code), source: `pattern ${rule.pattern}` };
+  }
+
+  // Function code with * wildcards, e.g. "I*" or "s602*"; the letter case is ignored
+  const escaped = rule.match.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  const pattern = new RegExp(`^${escaped}$`, 'i');
+  return { action: rule.action, test: code => pattern.test(code), source: rule.match };
+}
+
+/**
+ * Allows or denies Veeder-Root commands from upstream before they reach the
+ * gauge. Rules are checked in order and the first match wins; commands no
+ * rule matches, and data that is not a recognisable command, get the
+ * default action. Blocked commands are written to the audit log.
+ *
+ * Bytes that arrive without a leading SOH continue the previous command and
+ * share its verdict; the continuation of a denied command is dropped without
+ * being reported again. A command cut off before its function code is complete
+ * is held until the next data arrives. Both are tracked per upstream client.
+ */
+class CommandFirewall {
+  /**
+   * @param {object} config - Relay configuration
+   */
+  constructor(config) {
+    this.channelId = config.channelId || null;
+    this.rules = config.firewallRules.map(compileRule);
+    this.defaultAction = config.firewallDefaultAction;
+    this.response = config.firewallResponse ? Buffer.from(config.firewallResponse, 'latin1') : null;
+    this.streams = new Map(); // Per upstream client: { held, lastAction }
+    this.stats = {
+      allowed: 0,
+      denied: 0,
+      lastDenied: null
+    };
+  }
+
+  /**
+   * Find the action for a function code
+   * @param {string|null} functionCode - Function code, or null if unrecognised
+   * @returns {object} { action, rule } where rule describes the matching rule (null for the default)
+   */
+  evaluate(functionCode) {
+    const rule = functionCode ? this.rules.find(candidate => candidate.test(functionCode)) : null;
+    return rule ?
+      { action: rule.action, rule: rule.source } :
+      { action: this.defaultAction, rule: null };
+  }
+
+  /**
+   * Remove the commands the policy denies
+   * @param {Buffer} data - Data from upstream
+   * @param {object} [metadata] - Data metadata (client in listen mode)
+   * @returns {object} { allowed: Buffer|null, denied: object[] }
+   */
+  filter(data, metadata = {}) {
+    const stream = this.getStream(metadata.client);
+    if (stream.held) {
+      data = Buffer.concat([stream.held, data]);
+      stream.held = null;
+    }
+
+    const text = data.toString('latin1');
+    const starts = [];
+    for (let i = text.indexOf(SOH); i !== -1; i = text.indexOf(SOH, i + 1)) {
+      starts.push(i);
+    }
+
+    const segments = [];
+    if (starts[0] !== 0) {
+      segments.push({ start: 0, end: starts[0] ?? text.length, continuation: true });
+    }
+    starts.forEach((start, index) => {
+      segments.push({ start, end: starts[index + 1] ?? text.length });
+    });
+
+    const allowed = [];
+    const denied = [];
+
+    segments.forEach((segment, index) => {
+      const bytes = data.subarray(segment.start, segment.end);
+
+      if (segment.continuation && stream.lastAction) {
+        if (stream.lastAction === 'allow') {
+          allowed.push(bytes);
+        }
+        return;
+      }
+
+      // Wait for the rest of the function code before deciding
+      if (!segment.continuation && index === segments.length - 1 && bytes.length < FUNCTION_CODE_LENGTH + 1) {
+        stream.held = Buffer.from(bytes);
+        return;
+      }
+
+      // Data before any command is not a recognisable command
+      const body = text.slice(segment.start + 1, segment.end).replace(/[\r\n]+$/, '');
+      const functionCode = segment.continuation ? null : decodeCommand(body).functionCode || null;
+      const { action, rule } = this.evaluate(functionCode);
+      stream.lastAction = action;
+
+      if (action === 'allow') {
+        allowed.push(bytes);
+      } else {
+        denied.push({ functionCode, rule, data: bytes });
+      }
+    });
+
+    this.stats.allowed += allowed.length;
+    denied.forEach(command => this.audit(command, metadata));
+
+    return {
+      allowed: allowed.length > 0 ? Buffer.concat(allowed) : null,
+      denied
+    };
+  }
+
+  /**
+   * Record a blocked command
+   * @param {object} command - { functionCode, rule, data }
+   * @param {object} metadata - Data metadata
+   */
+  audit(command, metadata) {
+    this.stats.denied++;
+    this.stats.lastDenied = {
+      functionCode: command.functionCode,
+      timestamp: new Date().toISOString()
+    };
+
+    const entry = {
+      event: 'command-denied',
+      channelId: this.channelId,
+      functionCode: command.functionCode,
+      rule: command.rule || `default (${this.defaultAction})`,
+      client: metadata.client,
+      bytes: command.data.length,
+      hex: command.data.toString('hex')
+    };
+    auditLogger.warn('Command denied by firewall', entry);
+    logger.warn('Command denied by firewall', {
+      functionCode: command.functionCode || 'unrecognised',
+      rule: entry.rule,
+      client: metadata.client
+    });
+  }
+
+  /**
+   * @param {string} [client] - Upstream client (listen mode)
+   * @returns {object} Parser state of the client's command stream
+   */
+  getStream(client = 'upstream') {
+    if (!this.streams.has(client)) {
+      this.streams.set(client, { held: null, lastAction: null });
+    }
+    return this.streams.get(client);
+  }
+
+  /**
+   * Drop held partial commands, e.g. when upstream disconnects
+   * @param {string} [client] - Only this upstream client (default: all)
+   */
+  reset(client) {
+    if (client) {
+      this.streams.delete(client);
+    } else {
+      this.streams.clear();
+    }
+  }
+
+  /**
+   * Get firewall statistics
+   * @returns {object} Firewall stats
+   */
+  getStats() {
+    return {
+      rules: this.rules.map(({ action, source }) => ({ action, match: source })),
+      defaultAction: this.defaultAction,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = {
+  FIREWALL_ACTIONS,
+  CommandFirewall
+};
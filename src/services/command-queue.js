@@ -0,0 +1,296 @@
+// src/services/command-queue.js
+const EventEmitter = require('events');
+const { logger } = require('../utils/logger');
+const { SOH, decodeCommand } = require('../protocols/veeder-root');
+
+/**
+ * Transaction layer in front of the gauge-side client. Commands are written
+ * one at a time; the next is sent once the current one has been answered or
+ * its response timeout has expired.
+ *
+ * A response is matched to a command by function code when the Veeder-Root
+ * protocol is decoded. Otherwise the first data received after the write
+ * answers the command.
+ *
+ * Commands sent with request() belong to the relay itself (e.g. the gauge
+ * poller): their responses are returned to the caller instead of being
+ * relayed upstream.
+ *
+ * Events: 'completed' ({ command, latency }), 'timeout' ({ command, timeout })
+ */
+class CommandQueue extends EventEmitter {
+  /**
+   * @param {object} client - SerialClient or SecondaryTcpClient
+   * @param {object} config - Relay configuration
+   */
+  constructor(client, config) {
+    super();
+    this.client = client;
+    this.matchByFunction = config.protocol === 'veeder-root';
+    this.timeout = config.commandTimeout || 5000;
+    this.maxQueued = config.commandQueueSize || 32;
+    this.queue = [];
+    this.current = null;
+    this.stats = {
+      completed: 0,
+      timedOut: 0,
+      failed: 0,
+      rejected: 0
+    };
+    this.commands = new Map(); // Latency stats per command
+  }
+
+  /**
+   * Queue data from upstream for the gauge
+   * @param {Buffer} data - Data containing one or more commands
+   * @returns {Promise} Resolves when every command in the data has been written
+   */
+  enqueue(data) {
+    const commands = this.splitCommands(data);
+
+    if (this.queue.length + commands.length > this.maxQueued) {
+      this.stats.rejected += commands.length;
+      return Promise.reject(new Error(`Command queue full (${this.maxQueued} commands waiting)`));
+    }
+
+    const written = commands.map(command => new Promise((resolve, reject) => {
+      this.queue.push({ ...command, resolve, reject });
+    }));
+
+    this.dispatch();
+    return Promise.all(written);
+  }
+
+  /**
+   * Send a single command on behalf of the relay and wait for its response
+   * @param {Buffer} data - Command
+   * @returns {Promise<object>} { data, records, latency } of the response
+   */
+  request(data) {
+    if (this.queue.length >= this.maxQueued) {
+      this.stats.rejected++;
+      return Promise.reject(new Error(`Command queue full (${this.maxQueued} commands waiting)`));
+    }
+
+    const [command] = this.splitCommands(data);
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        ...command,
+        data,
+        private: true,
+        chunks: [],
+        records: [],
+        resolve: () => {},
+        reject,
+        onResponse: resolve
+      });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Split upstream data into individual commands
+   * @param {Buffer} data - Data from upstream
+   * @returns {object[]} Commands ({ data, key, functionCode })
+   */
+  splitCommands(data) {
+    if (!this.matchByFunction) {
+      return [{ data, key: 'raw' }];
+    }
+
+    // Each Veeder-Root command starts with SOH; leading bytes stay with the first one
+    const text = data.toString('latin1');
+    const starts = [];
+    for (let i = text.indexOf(SOH); i !== -1; i = text.indexOf(SOH, i + 1)) {
+      starts.push(i);
+    }
+    if (starts.length === 0) {
+      return [{ data, key: 'raw' }];
+    }
+    starts[0] = 0;
+
+    return starts.map((start, index) => {
+      const end = starts[index + 1] ?? text.length;
+      const body = text.slice(start, end).replace(/^[^\x01]*\x01/, '');
+      const { functionCode } = decodeCommand(body.replace(/[\r\n]+$/, ''));
+      return {
+        data: data.subarray(start, end),
+        key: functionCode || 'raw',
+        functionCode
+      };
+    });
+  }
+
+  /**
+   * Write the next command if none is outstanding
+   */
+  async dispatch() {
+    if (this.current || this.queue.length === 0) {
+      return;
+    }
+
+    const command = this.queue.shift();
+    this.current = command;
+    command.sentAt = Date.now();
+
+    try {
+      await this.client.send(command.data);
+    } catch (error) {
+      this.stats.failed++;
+      this.current = null;
+      command.reject(error);
+      this.dispatch();
+      return;
+    }
+
+    // The response may already have been matched while send() resolved
+    if (this.current !== command) {
+      command.resolve();
+      return;
+    }
+
+    command.timer = setTimeout(() => this.handleTimeout(command), this.timeout);
+    command.resolve();
+  }
+
+  /**
+   * Match data received from the gauge to the outstanding command
+   * @param {Buffer} data - Received data
+   * @param {object[]} records - Protocol records decoded from the data
+   * @returns {boolean} True if the data answers a request() and must not be relayed
+   */
+  handleResponse(data, records = []) {
+    const command = this.current;
+    if (!command) {
+      return false;
+    }
+
+    if (command.private) {
+      command.chunks.push(data);
+      command.records.push(...records);
+    }
+
+    if (this.matchByFunction && command.functionCode) {
+      const answered = records.some(record => record.type === 'response' &&
+        (record.functionCode?.slice(1) === command.functionCode.slice(1) ||
+         (!record.functionCode && record.error)));
+      if (!answered) {
+        return Boolean(command.private);
+      }
+    }
+
+    this.complete(command);
+    return Boolean(command.private);
+  }
+
+  /**
+   * Record a completed transaction and move on
+   * @param {object} command - Answered command
+   */
+  complete(command) {
+    clearTimeout(command.timer);
+    const latency = Date.now() - command.sentAt;
+
+    this.stats.completed++;
+    const stats = this.getCommandStats(command.key);
+    stats.count++;
+    stats.lastLatency = latency;
+    stats.totalLatency += latency;
+    stats.minLatency = Math.min(stats.minLatency ?? latency, latency);
+    stats.maxLatency = Math.max(stats.maxLatency ?? latency, latency);
+
+    logger.debug('Command answered', { command: command.key, latency });
+    this.emit('completed', { command: command.key, latency });
+
+    if (command.private) {
+      command.onResponse({ data: Buffer.concat(command.chunks), records: command.records, latency });
+    }
+
+    this.current = null;
+    this.dispatch();
+  }
+
+  /**
+   * Give up waiting for the response to a command
+   * @param {object} command - Command that was not answered
+   */
+  handleTimeout(command) {
+    if (this.current !== command) {
+      return;
+    }
+
+    this.stats.timedOut++;
+    this.getCommandStats(command.key).timeouts++;
+
+    logger.warn('No response to command within timeout', { command: command.key, timeout: this.timeout });
+    this.emit('timeout', { command: command.key, timeout: this.timeout });
+
+    if (command.private) {
+      command.reject(new Error(`No response to ${command.key} within ${this.timeout}ms`));
+    }
+
+    this.current = null;
+    this.dispatch();
+  }
+
+  /**
+   * Get (and lazily create) the latency stats of a command
+   * @param {string} key - Function code, or 'raw'
+   * @returns {object} Command stats
+   */
+  getCommandStats(key) {
+    if (!this.commands.has(key)) {
+      this.commands.set(key, {
+        count: 0,
+        timeouts: 0,
+        totalLatency: 0,
+        lastLatency: null,
+        minLatency: null,
+        maxLatency: null
+      });
+    }
+    return this.commands.get(key);
+  }
+
+  /**
+   * Drop the outstanding and queued commands, e.g. when the gauge disconnects
+   * @param {string} reason - Why the commands were dropped
+   */
+  clear(reason) {
+    if (this.current) {
+      clearTimeout(this.current.timer);
+      if (this.current.private) {
+        this.current.reject(new Error(`Command dropped: ${reason}`));
+      }
+      this.current = null;
+    }
+
+    const dropped = this.queue.splice(0);
+    dropped.forEach(command => command.reject(new Error(`Command dropped: ${reason}`)));
+    this.stats.failed += dropped.length;
+  }
+
+  /**
+   * Get queue statistics with per-command latency
+   * @returns {object} Queue stats
+   */
+  getStats() {
+    const commands = {};
+    this.commands.forEach((stats, key) => {
+      const { totalLatency, ...rest } = stats;
+      commands[key] = {
+        ...rest,
+        averageLatency: stats.count > 0 ? Math.round(totalLatency / stats.count) : null
+      };
+    });
+
+    return {
+      queued: this.queue.length,
+      outstanding: this.current?.key || null,
+      ...this.stats,
+      commands
+    };
+  }
+}
+
+module.exports = CommandQueue;
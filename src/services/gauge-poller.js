@@ -0,0 +1,258 @@
+// src/services/gauge-poller.js
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { logger } = require('../utils/logger');
+const { getConfigPath } = require('../config');
+const { getDeviceId } = require('../utils/device-info');
+const { postDeviceData } = require('../utils/data-endpoint');
+const { encodeCommand } = require('../protocols/veeder-root');
+const DiskQueue = require('../utils/disk-queue');
+
+// Wait before retrying a poll that failed (bounded by the entry's interval)
+const POLL_RETRY_DELAY = 60000;
+
+// Records posted per upload request
+const UPLOAD_BATCH_SIZE = 100;
+
+/**
+ * Get the directory the poll results of a channel are stored in
+ * @param {object} config - Relay configuration
+ * @returns {string} Directory path
+ */
+function getPollQueueDir(config) {
+  const baseDir = config.pollQueueDir || path.join(path.dirname(getConfigPath()), 'poll-queue');
+  return path.join(baseDir, config.channelId || 'default');
+}
+
+/**
+ * Polls the gauge on its own schedule, independent of upstream, and stores
+ * the results on disk until they have been uploaded to the data endpoint.
+ * Commands go through the relay's CommandQueue so they never interleave
+ * with commands from upstream, and their responses are not relayed.
+ */
+class GaugePoller extends EventEmitter {
+  /**
+   * @param {object} config - Relay configuration
+   * @param {CommandQueue} commandQueue - Queue in front of the gauge-side client
+   */
+  constructor(config, commandQueue) {
+    super();
+    this.config = config;
+    this.channelId = config.channelId || null;
+    this.commandQueue = commandQueue;
+    this.schedule = config.pollSchedule.map(entry => ({
+      command: entry.command,
+      interval: entry.interval,
+      retryAt: 0
+    }));
+
+    const directory = getPollQueueDir(config);
+    this.queue = new DiskQueue(path.join(directory, 'records'), {
+      maxEntries: config.pollQueueMaxEntries
+    });
+    this.statePath = path.join(directory, 'poll-state.json');
+    this.lastPolled = this.loadState();
+
+    this.timer = null;
+    this.isPolling = false;
+    this.isUploading = false;
+    this.stats = {
+      polls: 0,
+      failures: 0,
+      uploaded: 0,
+      lastPoll: null,
+      lastUpload: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Load when each command was last polled, so schedules survive restarts
+   * @returns {object} Timestamps keyed by command
+   */
+  loadState() {
+    try {
+      return JSON.parse(fs.readFileSync(this.statePath, 'utf8')).lastPolled || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  saveState() {
+    try {
+      fs.writeFileSync(this.statePath, JSON.stringify({ lastPolled: this.lastPolled }, null, 2), 'utf8');
+    } catch (error) {
+      logger.warn('Could not save poll state', { path: this.statePath, error: error.message });
+    }
+  }
+
+  /**
+   * Get the time an entry is next due
+   * @param {object} entry - Schedule entry
+   * @returns {number} Timestamp
+   */
+  getNextDue(entry) {
+    const due = (this.lastPolled[entry.command] || 0) + entry.interval;
+    return Math.max(due, entry.retryAt);
+  }
+
+  /**
+   * Poll every command that is due
+   */
+  async pollDue() {
+    if (this.isPolling) {
+      return;
+    }
+
+    this.isPolling = true;
+    try {
+      const now = Date.now();
+      for (const entry of this.schedule) {
+        if (this.getNextDue(entry) <= now) {
+          await this.poll(entry);
+        }
+      }
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Send one scheduled command and store the response
+   * @param {object} entry - Schedule entry
+   */
+  async poll(entry) {
+    const polledAt = new Date();
+
+    try {
+      const response = await this.commandQueue.request(encodeCommand(entry.command));
+      const record = response.records.find(item => item.type === 'response') || null;
+
+      const id = this.queue.push({
+        polledAt: polledAt.toISOString(),
+        command: entry.command,
+        ...(this.channelId && { channelId: this.channelId }),
+        latency: response.latency,
+        record,
+        data: response.data.toString('hex')
+      });
+
+      this.lastPolled[entry.command] = polledAt.getTime();
+      entry.retryAt = 0;
+      this.saveState();
+      this.stats.polls++;
+      this.stats.lastPoll = polledAt.toISOString();
+
+      logger.info('Gauge polled', { command: entry.command, id, latency: response.latency, error: record?.error });
+      this.emit('polled', { command: entry.command, id, record });
+    } catch (error) {
+      entry.retryAt = Date.now() + Math.min(POLL_RETRY_DELAY, entry.interval);
+      this.stats.failures++;
+      this.stats.lastError = error.message;
+
+      logger.warn('Gauge poll failed', { command: entry.command, error: error.message });
+      this.emit('pollFailed', { command: entry.command, error: error.message });
+    }
+  }
+
+  /**
+   * Upload stored results, oldest first, until the queue is empty or an
+   * upload fails. Each record keeps the time it was polled.
+   * @returns {Promise<number>} Number of records uploaded
+   */
+  async upload() {
+    if (this.isUploading) {
+      return 0;
+    }
+
+    this.isUploading = true;
+    let uploaded = 0;
+
+    try {
+      let entries;
+      while ((entries = this.queue.peek(UPLOAD_BATCH_SIZE)).length > 0) {
+        const success = await postDeviceData({
+          deviceId: getDeviceId(),
+          ...(this.channelId && { channelId: this.channelId }),
+          source: 'poller',
+          protocol: this.config.protocol,
+          records: entries
+        });
+
+        if (!success) {
+          logger.info('Poll results kept for a later upload', { pending: this.queue.size() });
+          break;
+        }
+
+        this.queue.remove(entries.map(entry => entry.id));
+        uploaded += entries.length;
+      }
+    } catch (error) {
+      logger.error('Error uploading poll results', { error: error.message });
+    } finally {
+      this.isUploading = false;
+    }
+
+    if (uploaded > 0) {
+      this.stats.uploaded += uploaded;
+      this.stats.lastUpload = new Date().toISOString();
+      logger.info('Poll results uploaded', { uploaded, pending: this.queue.size() });
+    }
+    return uploaded;
+  }
+
+  /**
+   * Poll and upload on schedule until stopped (daemon mode)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    logger.info('Starting gauge poller', {
+      schedule: this.schedule.map(({ command, interval }) => ({ command, interval })),
+      pending: this.queue.size()
+    });
+    this.scheduleNext(0);
+  }
+
+  /**
+   * @param {number} delay - Time until the next run
+   */
+  scheduleNext(delay) {
+    this.timer = setTimeout(async () => {
+      await this.pollDue();
+      await this.upload();
+
+      if (this.timer) {
+        const nextDue = Math.min(...this.schedule.map(entry => this.getNextDue(entry)));
+        this.scheduleNext(Math.max(1000, nextDue - Date.now()));
+      }
+    }, delay);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Get poller statistics
+   * @returns {object} Poller stats
+   */
+  getStats() {
+    return {
+      schedule: this.schedule.map(entry => ({
+        command: entry.command,
+        interval: entry.interval,
+        lastPolled: this.lastPolled[entry.command] ?
+          new Date(this.lastPolled[entry.command]).toISOString() : null
+      })),
+      pending: this.queue.size(),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = GaugePoller;
@@ -0,0 +1,272 @@
+// src/services/outbox.js
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { getConfigPath, resolveChannels } = require('../config');
+const { postDeviceData } = require('../utils/data-endpoint');
+const DiskQueue = require('../utils/disk-queue');
+
+/**
+ * Get the directory the outbox of a channel is kept in
+ * @param {object} config - Relay (channel) configuration
+ * @returns {string} Directory path
+ */
+function getOutboxDir(config) {
+  const baseDir = config.outboxDir || path.join(path.dirname(getConfigPath()), 'outbox');
+  return path.join(baseDir, config.channelId || 'default');
+}
+
+/**
+ * Derive a stable batch ID from the collected packets, so the same batch is
+ * never spooled twice and the endpoint can discard repeated uploads
+ * @param {object} source - { deviceId, channelId }
+ * @param {object[]} packets - Collected packets ({ timestamp, data })
+ * @returns {string} Batch ID
+ */
+function createBatchId(source, packets) {
+  const hash = crypto.createHash('sha256');
+  hash.update(`${source.deviceId}/${source.channelId || ''}`);
+  packets.forEach((packet) => {
+    hash.update(`\n${packet.timestamp}:${packet.data}`);
+  });
+  return hash.digest('hex').slice(0, 32);
+}
+
+/**
+ * Durable outbox for collected data. A batch that cannot be posted is
+ * spooled to disk and retried with exponential backoff on later runs, until
+ * it is delivered or dropped by the age/size caps.
+ */
+class Outbox {
+  /**
+   * @param {object} config - Relay (channel) configuration
+   */
+  constructor(config) {
+    this.channelId = config.channelId || null;
+    this.directory = getOutboxDir(config);
+    this.queue = new DiskQueue(this.directory, { maxEntries: config.outboxMaxEntries });
+    this.maxBytes = config.outboxMaxBytes;
+    this.maxAge = config.outboxMaxAge;
+    this.retryDelay = config.outboxRetryDelay;
+    this.maxRetryDelay = config.outboxMaxRetryDelay;
+    this.isFlushing = false;
+    this.stats = {
+      sent: 0,
+      spooled: 0,
+      duplicates: 0,
+      dropped: 0,
+      lastSent: null
+    };
+  }
+
+  /**
+   * Post a batch, spooling it if the endpoint does not accept it. A batch
+   * that cannot be spooled either (disk full, no permission) is dropped.
+   * @param {object} payload - Payload with a batchId
+   * @returns {Promise<boolean>} True if the batch was delivered now
+   */
+  async send(payload) {
+    if (this.has(payload.batchId)) {
+      this.stats.duplicates++;
+      logger.info('Batch is already in the outbox', { batchId: payload.batchId });
+      return false;
+    }
+
+    if (await postDeviceData(payload)) {
+      this.stats.sent++;
+      this.stats.lastSent = new Date().toISOString();
+      return true;
+    }
+
+    try {
+      this.spool(payload);
+    } catch (error) {
+      this.stats.dropped++;
+      logger.error('Upload failed and the batch could not be spooled, batch dropped', {
+        batchId: payload.batchId,
+        error: error.message
+      });
+    }
+    return false;
+  }
+
+  /**
+   * Write a batch to the spool directory
+   * @param {object} payload - Payload with a batchId
+   */
+  spool(payload) {
+    const now = Date.now();
+    const id = this.queue.push({
+      batchId: payload.batchId,
+      createdAt: new Date(now).toISOString(),
+      attempts: 1,
+      lastAttempt: new Date(now).toISOString(),
+      nextAttemptAt: new Date(now + this.getRetryDelay(1)).toISOString(),
+      payload
+    });
+
+    this.stats.spooled++;
+    this.prune();
+    logger.warn('Upload failed, batch spooled for retry', { batchId: payload.batchId, id, pending: this.queue.size() });
+  }
+
+  /**
+   * @param {string} batchId - Batch ID
+   * @returns {boolean} True if the batch is waiting in the outbox
+   */
+  has(batchId) {
+    return this.queue.peek(Infinity).some(entry => entry.batchId === batchId);
+  }
+
+  /**
+   * Get the delay before the next attempt, doubling with every failure
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.maxRetryDelay, this.retryDelay * 2 ** (attempts - 1));
+  }
+
+  /**
+   * Retry spooled batches that are due, oldest first. Stops at the first
+   * failure, since the remaining batches go to the same endpoint.
+   * @param {object} [options]
+   * @param {boolean} [options.force] - Ignore the backoff and retry every batch now
+   * @returns {Promise<number>} Number of batches delivered
+   */
+  async flush({ force = false } = {}) {
+    if (this.isFlushing) {
+      return 0;
+    }
+
+    this.isFlushing = true;
+    let delivered = 0;
+
+    try {
+      this.prune();
+
+      for (const entry of this.queue.peek(Infinity)) {
+        if (!force && Date.parse(entry.nextAttemptAt) > Date.now()) {
+          continue;
+        }
+
+        if (await postDeviceData(entry.payload)) {
+          this.queue.remove([entry.id]);
+          delivered++;
+          continue;
+        }
+
+        const attempts = entry.attempts + 1;
+        const retryDelay = this.getRetryDelay(attempts);
+        this.queue.update(entry.id, {
+          ...entry,
+          attempts,
+          lastAttempt: new Date().toISOString(),
+          nextAttemptAt: new Date(Date.now() + retryDelay).toISOString()
+        });
+        logger.info('Spooled batch kept for a later retry', { batchId: entry.batchId, attempts, retryDelay });
+        break;
+      }
+    } catch (error) {
+      logger.error('Error flushing outbox', { error: error.message });
+    } finally {
+      this.isFlushing = false;
+    }
+
+    if (delivered > 0) {
+      this.stats.sent += delivered;
+      this.stats.lastSent = new Date().toISOString();
+      logger.info('Spooled batches delivered', { delivered, pending: this.queue.size() });
+    }
+    return delivered;
+  }
+
+  /**
+   * Drop batches older than outboxMaxAge, then the oldest batches until the
+   * spool fits in outboxMaxBytes
+   * @returns {number} Number of batches dropped
+   */
+  prune() {
+    const cutoff = Date.now() - this.maxAge;
+    const entries = this.queue.peek(Infinity);
+    const dropped = entries
+      .filter(entry => Date.parse(entry.createdAt) < cutoff)
+      .map(entry => entry.id);
+
+    let bytes = this.queue.bytes();
+    for (const entry of entries) {
+      if (bytes <= this.maxBytes) {
+        break;
+      }
+      if (!dropped.includes(entry.id)) {
+        dropped.push(entry.id);
+      }
+      bytes -= Buffer.byteLength(JSON.stringify(entry));
+    }
+
+    this.queue.remove(dropped);
+    const trimmed = this.queue.trim();
+
+    if (dropped.length + trimmed > 0) {
+      this.stats.dropped += dropped.length + trimmed;
+      logger.warn('Dropped undelivered batches from the outbox', {
+        dropped: dropped.length + trimmed,
+        pending: this.queue.size()
+      });
+    }
+    return dropped.length + trimmed;
+  }
+
+  /**
+   * Summarise the pending batches without their data
+   * @returns {object[]} Pending batches, oldest first
+   */
+  list() {
+    return this.queue.peek(Infinity).map(({ payload, ...entry }) => ({
+      ...entry,
+      size: JSON.stringify(payload).length,
+      records: payload.records?.length || 0
+    }));
+  }
+
+  /**
+   * Drop every pending batch
+   * @returns {number} Number of batches dropped
+   */
+  clear() {
+    const ids = this.queue.ids();
+    this.queue.remove(ids);
+    return ids.length;
+  }
+
+  /**
+   * Get outbox statistics
+   * @returns {object} Outbox stats
+   */
+  getStats() {
+    const pending = this.queue.peek(Infinity);
+    return {
+      pending: pending.length,
+      bytes: this.queue.bytes(),
+      oldest: pending[0]?.createdAt || null,
+      nextAttemptAt: pending.map(entry => entry.nextAttemptAt).sort()[0] || null,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Open the outbox of every channel described by a configuration
+ * @param {object} config - Top-level configuration
+ * @returns {Outbox[]} One outbox per channel
+ */
+function openOutboxes(config) {
+  return resolveChannels(config).map(channelConfig => new Outbox(channelConfig));
+}
+
+module.exports = {
+  Outbox,
+  createBatchId,
+  getOutboxDir,
+  openOutboxes
+};
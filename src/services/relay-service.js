@@ -1,12 +1,29 @@
 // src/services/relay-service.js
 const EventEmitter = require('events');
-const https = require('https');
 const { logger } = require('../utils/logger');
-const { updateStatus, updateConnection, incrementMetric, registerConnection } = require('../utils/status-manager');
+const { updateStatus, updateChannel, updateConnection, incrementMetric, registerConnection } = require('../utils/status-manager');
 const TcpClient = require('./tcp-client');
+const TcpServer = require('./tcp-server');
 const SerialClient = require('./serial-client');
 const SecondaryTcpClient = require('./secondary-tcp-client');
+const CommandQueue = require('./command-queue');
+const GaugePoller = require('./gauge-poller');
+const { Outbox, createBatchId } = require('./outbox');
 const { getDeviceId } = require('../utils/device-info');
+const { isTlsCertificateError } = require('../utils/tls-config');
+const { DATA_ENDPOINT } = require('../utils/data-endpoint');
+const { UpstreamHandshake } = require('../utils/upstream-auth');
+const { VeederRootDecoder } = require('../protocols/veeder-root');
+const { RelayBuffer } = require('../utils/flow-control');
+const { createConnectionRetryHandler } = require('../utils/retry-handler');
+const { CircuitBreaker } = require('../utils/circuit-breaker');
+const { CommandFirewall } = require('./command-firewall');
+const { SessionCapture } = require('./session-capture');
+const { SerialDetector, saveDetectedSettings } = require('./serial-detector');
+const { getConfigPath } = require('../config');
+
+// Time allowed for each side to connect when a session starts (ms)
+const SESSION_CONNECT_DEADLINE = 30000;
 
 /**
  * Main relay service that coordinates TCP and Serial/TCP connections
@@ -15,14 +32,123 @@ class RelayService extends EventEmitter {
   constructor(config) {
     super();
     this.config = config;
+    this.channelId = config.channelId || null;
     this.tcpClient = null;
     this.secondaryClient = null; // Can be either SerialClient or SecondaryTcpClient
     this.isRunning = false;
+    this.isStopping = false;
     this.dataRelayed = false;
     this.relayTimeout = null;
+    this.reconnectTimers = { tcp: null, secondary: null };
+    this.reconnecting = { tcp: false, secondary: false };
+    this.abortController = null; // Cancels connects and reconnects in progress on stop()
+    this.circuitBreakers = {
+      tcp: this.createCircuitBreaker('tcp'),
+      secondary: this.createCircuitBreaker('secondary')
+    };
+    this.outages = {
+      tcp: { disconnects: 0, reconnections: 0, downSince: null, downtime: 0 },
+      secondary: { disconnects: 0, reconnections: 0, downSince: null, downtime: 0 }
+    };
     this.startTime = null;
     this.sentMacAddress = false;
     this.secondaryDataBuffer = []; // Buffer to collect data from secondary client
+    this.secondaryDataBytes = 0;
+    this.pendingPosts = new Set(); // Early posts of a full collection buffer, awaited by stop()
+    this.relayBuffers = null; // Bounded queues towards each side (flow control)
+    this.upstreamHandshake = null;
+    this.upstreamAuthenticated = !this.isAuthEnabled();
+    this.commandQueue = null;
+    this.gaugePoller = null;
+    this.outbox = null;
+    this.capture = null;
+    this.commandFirewall = this.config.firewallEnabled ? new CommandFirewall(this.config) : null;
+    this.protocolDecoders = this.createProtocolDecoders();
+  }
+
+  /**
+   * Create the bounded queue in front of one side. With the 'pause' overflow
+   * policy the other side stops being read while the queue is full.
+   * @param {string} destination - 'tcp' or 'secondary'
+   * @param {object} source - Client whose data is queued
+   * @param {Function} send - Writes one chunk to the destination
+   * @returns {RelayBuffer} Relay buffer
+   */
+  createRelayBuffer(destination, source, send) {
+    const buffer = new RelayBuffer(this.getClientName(destination), send, {
+      highWaterMark: this.config.relayHighWaterMark,
+      policy: this.config.overflowPolicy
+    });
+
+    buffer.on('pause', () => {
+      logger.warn(`${buffer.name} buffer full, pausing reads from the other side`, buffer.getStats());
+      source.pause();
+      this.reportStatus({ buffers: this.getBufferStats() });
+    });
+
+    buffer.on('resume', () => {
+      logger.info(`${buffer.name} buffer drained, resuming reads`, { queuedBytes: buffer.queuedBytes });
+      source.resume();
+      this.reportStatus({ buffers: this.getBufferStats() });
+    });
+
+    buffer.on('overflow', ({ policy, bytes }) => {
+      logger.warn(`${buffer.name} buffer overflow`, { policy, bytes, highWaterMark: buffer.highWaterMark });
+      this.reportMetric('bufferOverflows');
+      this.reportMetric('bytesDropped', bytes);
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Get the occupancy of the relay and collection buffers
+   * @returns {object} Buffer stats
+   */
+  getBufferStats() {
+    return {
+      toSecondary: this.relayBuffers?.toSecondary.getStats() || null,
+      toTcp: this.relayBuffers?.toTcp.getStats() || null,
+      collected: {
+        bytes: this.secondaryDataBytes,
+        packets: this.secondaryDataBuffer.length,
+        maxBytes: this.config.collectBufferMaxBytes
+      }
+    };
+  }
+
+  /**
+   * Create the decoders for the configured gauge protocol
+   * @returns {object|null} Command and response decoders, or null when disabled
+   */
+  createProtocolDecoders() {
+    if (this.config.protocol !== 'veeder-root') {
+      return null;
+    }
+    return {
+      command: new VeederRootDecoder({ direction: 'command' }),
+      response: new VeederRootDecoder({ direction: 'response' })
+    };
+  }
+
+  /**
+   * Decode relayed data into protocol records
+   * @param {string} direction - 'command' (upstream to gauge) or 'response'
+   * @param {Buffer} data - Relayed data
+   * @returns {object[]} Records for the frames completed by this data
+   */
+  decodeProtocolData(direction, data) {
+    if (!this.protocolDecoders) {
+      return [];
+    }
+
+    const records = this.protocolDecoders[direction].push(data);
+    records.forEach((record) => {
+      if (record.error) {
+        logger.warn('Protocol decode error', { direction, functionCode: record.functionCode, error: record.error });
+      }
+    });
+    return records;
   }
 
   /**
@@ -35,43 +161,109 @@ async start() {
   }
 
   this.startTime = Date.now();
+  this.abortController = new AbortController();
   logger.info('Starting TCP-Serial/TCP relay service', {
     config: this.getSafeConfigForLogging()
   });
 
-  updateStatus({ message: 'Initializing relay service...' });
+  this.reportStatus({ message: 'Initializing relay service...' });
 
   try {
-    // Initialize clients
-    this.tcpClient = new TcpClient(this.config);
+    // Initialize the upstream side: dial out, or accept connections in server mode
+    if (this.isServerMode()) {
+      this.tcpClient = new TcpServer(this.config);
+      logger.info('Upstream side listening for incoming connections');
+    } else {
+      this.tcpClient = new TcpClient(this.config);
+    }
     
     // Initialize secondary client based on connection type
     if (this.config.connectionType === 'tcp') {
       this.secondaryClient = new SecondaryTcpClient(this.config);
       logger.info('Configured for TCP-to-TCP relay mode');
     } else {
+      if (this.config.serialAutoDetect && process.env.MOCK_ENV !== 'true') {
+        await this.detectSerialSettings();
+      }
       this.secondaryClient = new SerialClient(this.config);
       logger.info('Configured for TCP-to-Serial relay mode');
     }
+    this.trackRetries(this.tcpClient.retryHandler);
+    this.trackRetries(this.secondaryClient.retryHandler);
+
+    // One outstanding command at a time towards the gauge (polling shares the queue)
+    if (this.config.commandQueue || this.isPollingEnabled()) {
+      this.commandQueue = new CommandQueue(this.secondaryClient, this.config);
+      this.commandQueue.on('timeout', () => this.reportMetric('commandTimeouts'));
+    }
+
+    if (this.isPollingEnabled()) {
+      this.gaugePoller = new GaugePoller(this.config, this.commandQueue);
+      this.gaugePoller.on('polled', () => this.reportMetric('gaugePolls'));
+    }
+
+    this.relayBuffers = {
+      toSecondary: this.createRelayBuffer('secondary', this.tcpClient, (data) => (
+        this.commandQueue ? this.commandQueue.enqueue(data) : this.secondaryClient.send(data)
+      )),
+      toTcp: this.createRelayBuffer('tcp', this.secondaryClient, data => this.tcpClient.send(data))
+    };
+
+    // Collected data that cannot be posted is spooled and retried on later runs
+    if (this.config.collectData === true) {
+      this.outbox = new Outbox(this.config);
+    }
+
+    // Record the session for replay before any connection events occur
+    if (this.config.captureEnabled) {
+      this.capture = new SessionCapture(this.config);
+      this.capture.open({ deviceId: this.getUpstreamId(), config: this.getSafeConfigForLogging() });
+    }
 
     // Register connections for cleanup
-    registerConnection('tcp', this.tcpClient);
-    registerConnection('secondary', this.secondaryClient);
+    const connectionPrefix = this.channelId ? `${this.channelId}:` : '';
+    registerConnection(`${connectionPrefix}tcp`, this.tcpClient);
+    registerConnection(`${connectionPrefix}secondary`, this.secondaryClient);
 
     // Setup event handlers BEFORE connecting
     this.setupEventHandlers();
 
-    // Connect both clients with enhanced error handling
-    await this.connectClients();
+    if (this.isDaemonMode()) {
+      // In daemon mode each side connects (and reconnects) on its own,
+      // so an unreachable endpoint does not prevent the service from starting
+      this.isRunning = true;
+      await this.connectClientsIndependently();
+      if (this.abortController.signal.aborted) {
+        return; // stop() was called while connecting
+      }
+      this.gaugePoller?.start();
+    } else {
+      // Connect both clients with enhanced error handling
+      try {
+        await this.connectClients();
+      } catch (error) {
+        if (this.gaugePoller && error.clientType === 'tcp') {
+          await this.pollWithoutUpstream();
+        }
+        throw error;
+      }
+
+      if (this.gaugePoller) {
+        await this.gaugePoller.pollDue();
+        this.gaugePoller.upload();
+      }
+    }
 
     // Setup data relay
     this.setupDataRelay();
 
-    // Start relay timeout
-    this.startRelayTimeout();
+    // Start relay timeout (session mode only - daemon mode runs until stopped)
+    if (!this.isDaemonMode()) {
+      this.startRelayTimeout();
+    }
 
     this.isRunning = true;
-    updateStatus({ 
+    this.reportStatus({ 
       message: 'Relay service running and waiting for data...',
       connections: {
         tcp: this.tcpClient.getStats(),
@@ -81,7 +273,8 @@ async start() {
 
     logger.info('Relay service started successfully', {
       duration: Date.now() - this.startTime,
-      connectionType: this.config.connectionType
+      connectionType: this.config.connectionType,
+      runMode: this.config.runMode
     });
 
     this.emit('started');
@@ -89,23 +282,244 @@ async start() {
   } catch (error) {
       logger.error('Failed to start relay service', { error: error.message });
       await this.stop();
+      this.capture?.close();
       throw error;
     }
   }
 
+  /**
+   * Find the serial port and line settings the gauge answers on, and use them
+   * for this run. If nothing answers, the configured settings are kept.
+   */
+  async detectSerialSettings() {
+    this.reportStatus({ message: 'Detecting serial port...' });
+
+    const result = await new SerialDetector(this.config).detect();
+    if (!result) {
+      this.reportConnection('secondary', {
+        detection: { detected: false, at: new Date().toISOString() }
+      });
+      return;
+    }
+
+    const changed = Object.keys(result.settings).some(key => result.settings[key] !== this.config[key]);
+    this.config = { ...this.config, ...result.settings };
+    this.reportConnection('secondary', {
+      detection: { detected: true, changed, ...result.settings, at: new Date().toISOString() }
+    });
+
+    if (changed && this.config.serialAutoDetectSave) {
+      try {
+        saveDetectedSettings(getConfigPath(), result.settings, this.channelId);
+        logger.info('Detected serial settings saved to the configuration file');
+      } catch (error) {
+        logger.warn('Could not save detected serial settings', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Check if the service runs continuously instead of as a one-shot session
+   * @returns {boolean} True in daemon mode
+   */
+  isDaemonMode() {
+    return this.config.runMode === 'daemon';
+  }
+
+  /**
+   * Check if upstream systems connect to the relay instead of the other way round
+   * @returns {boolean} True in server (listen) mode
+   */
+  isServerMode() {
+    return this.config.tcpMode === 'server';
+  }
+
+  /**
+   * Check if the relay polls the gauge on its own schedule
+   * @returns {boolean} True when pollSchedule has entries
+   */
+  isPollingEnabled() {
+    return Array.isArray(this.config.pollSchedule) && this.config.pollSchedule.length > 0;
+  }
+
+  /**
+   * Collect due poll results while upstream is unreachable (session mode),
+   * so an outage does not leave gaps in the stored history
+   */
+  async pollWithoutUpstream() {
+    logger.info('Upstream unreachable - polling the gauge before exiting');
+
+    try {
+      await this.secondaryClient.connect({ signal: this.abortController.signal });
+      await this.gaugePoller.pollDue();
+      await this.gaugePoller.upload();
+    } catch (error) {
+      logger.warn('Gauge poll without upstream failed', { error: error.message });
+    } finally {
+      this.isStopping = true;
+      await this.secondaryClient.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Check if the upstream connection must pass the challenge-response handshake
+   * @returns {boolean} True when authentication is enabled (client mode only)
+   */
+  isAuthEnabled() {
+    return Boolean(this.config.authEnabled) && !this.isServerMode();
+  }
+
+  /**
+   * Run the upstream handshake; relaying starts once the server acknowledges it
+   * @param {string} deviceId - Identifier sent to the server
+   */
+  startUpstreamHandshake(deviceId) {
+    const handshake = new UpstreamHandshake({
+      deviceId,
+      secret: this.config.authSecret,
+      timeout: this.config.authTimeout || 10000,
+      send: (line) => this.tcpClient.send(Buffer.from(line))
+    });
+
+    this.upstreamHandshake = handshake;
+    this.upstreamAuthenticated = false;
+    this.reportConnection('tcp', { authenticated: false });
+
+    handshake.start()
+      .then((remainder) => {
+        if (this.upstreamHandshake !== handshake) {
+          return;
+        }
+
+        this.upstreamHandshake = null;
+        this.upstreamAuthenticated = true;
+        logger.info('Upstream authentication succeeded');
+        this.reportConnection('tcp', { authenticated: true });
+        this.relayBuffers?.toTcp.release();
+
+        // Commands sent right behind the acknowledgement
+        if (remainder.length > 0) {
+          this.handleDataFromTcp(remainder, {
+            source: 'tcp',
+            bytes: remainder.length,
+            hex: remainder.toString('hex'),
+            ascii: remainder.toString('ascii').replace(/[^\x20-\x7E]/g, '.')
+          });
+        }
+      })
+      .catch((error) => {
+        if (this.upstreamHandshake !== handshake) {
+          return;
+        }
+
+        this.upstreamHandshake = null;
+        this.handleAuthenticationFailure(error);
+      });
+  }
+
+  /**
+   * Drop a handshake in progress without reporting it (connection lost)
+   */
+  abandonUpstreamHandshake() {
+    const handshake = this.upstreamHandshake;
+    this.upstreamHandshake = null;
+    this.upstreamAuthenticated = !this.isAuthEnabled();
+    handshake?.cancel('connection closed');
+  }
+
+  /**
+   * Handle a failed or timed out upstream handshake
+   * @param {Error} error - Authentication error (phase 'authentication')
+   */
+  async handleAuthenticationFailure(error) {
+    logger.error('Upstream authentication failed', { error: error.message, phase: error.phase });
+    this.reportMetric('errors');
+    this.reportConnection('tcp', { authenticated: false, lastError: error.message });
+
+    // Daemon mode drops the connection and tries again after reconnectDelay
+    if (this.isDaemonMode()) {
+      await this.tcpClient.close();
+      this.scheduleReconnect('tcp');
+      return;
+    }
+
+    error.clientType = 'tcp';
+    this.emit('error', error);
+  }
+
+  /**
+   * Update status, scoped to this relay's channel when running multi-channel
+   * @param {object} updates - Status updates
+   */
+  reportStatus(updates) {
+    if (this.channelId) {
+      updateChannel(this.channelId, updates);
+    } else {
+      updateStatus(updates);
+    }
+  }
+
+  /**
+   * Update a connection status, scoped to this relay's channel
+   * @param {string} connectionType - 'tcp' or 'secondary'
+   * @param {object} connectionStatus - Connection details
+   */
+  reportConnection(connectionType, connectionStatus) {
+    updateConnection(connectionType, connectionStatus, this.channelId);
+  }
+
+  /**
+   * Increment a metric, attributing it to this relay's channel as well
+   * @param {string} metric - Metric name
+   * @param {number} value - Value to add (default: 1)
+   */
+  reportMetric(metric, value = 1) {
+    incrementMetric(metric, value, this.channelId);
+  }
+
+  /**
+   * Get the identifier this relay announces to the TCP server.
+   * Channels append their channel ID (unless given an explicit upstreamId)
+   * so the server can tell the gauges of one site apart.
+   * @returns {string} Upstream identifier
+   */
+  getUpstreamId() {
+    if (this.config.upstreamId) {
+      return this.config.upstreamId;
+    }
+    const deviceId = getDeviceId();
+    return this.channelId ? `${deviceId}-${this.channelId}` : deviceId;
+  }
+
   /**
    * Get safe config for logging (without sensitive data)
    */
   getSafeConfigForLogging() {
     const safeConfig = {
-      tcpIp: this.config.tcpIp,
-      tcpPort: this.config.tcpPort,
-      connectionType: this.config.connectionType
+      channelId: this.channelId,
+      tcpMode: this.config.tcpMode,
+      tlsEnabled: Boolean(this.config.tlsEnabled),
+      authEnabled: this.isAuthEnabled(),
+      connectionType: this.config.connectionType,
+      runMode: this.config.runMode
     };
 
+    if (this.isServerMode()) {
+      safeConfig.listenHost = this.config.listenHost;
+      safeConfig.listenPort = this.config.listenPort;
+      safeConfig.maxClients = this.config.maxClients;
+    } else {
+      safeConfig.tcpIp = this.config.tcpIp;
+      safeConfig.tcpPort = this.config.tcpPort;
+      safeConfig.tcpFallbackEndpoints = (this.config.tcpFallbackEndpoints || []).map(e => `${e.host}:${e.port}`);
+    }
+
     if (this.config.connectionType === 'serial') {
       safeConfig.serialPath = this.config.serialPath;
       safeConfig.serialBaud = this.config.serialBaud;
+      safeConfig.serialParity = this.config.serialParity;
+      safeConfig.serialDataBits = this.config.serialDataBits;
+      safeConfig.serialStopBits = this.config.serialStopBits;
     } else if (this.config.connectionType === 'tcp') {
       safeConfig.secondaryTcpIp = this.config.secondaryTcpIp;
       safeConfig.secondaryTcpPort = this.config.secondaryTcpPort;
@@ -120,52 +534,50 @@ async start() {
 async connectClients() {
   const secondaryType = this.config.connectionType === 'tcp' ? 'secondary TCP' : 'Serial';
   logger.info(`Connecting to TCP and ${secondaryType} endpoints...`);
+  let connectingClient = 'tcp';
 
   try {
-    // Connect TCP client with timeout
-    updateStatus({ message: 'Connecting to TCP server...' });
+    // Connect TCP client, giving up (and cancelling its retries) at the deadline
+    this.reportStatus({ message: 'Connecting to TCP server...' });
     
-    const tcpConnectPromise = this.tcpClient.connect();
-    const tcpTimeout = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('TCP connection timeout')), 30000);
+    await this.tcpClient.connect({
+      signal: this.abortController.signal,
+      deadline: SESSION_CONNECT_DEADLINE
     });
     
-    await Promise.race([tcpConnectPromise, tcpTimeout]);
-    
-    updateConnection('tcp', { 
+    this.reportConnection('tcp', { 
       connected: true, 
       ...this.tcpClient.getStats() 
     });
 
     // Connect Secondary client with timeout
-    updateStatus({ message: `Connecting to ${secondaryType} endpoint...` });
+    connectingClient = 'secondary';
+    this.reportStatus({ message: `Connecting to ${secondaryType} endpoint...` });
     
-    const secondaryConnectPromise = this.secondaryClient.connect();
-    const secondaryTimeout = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error(`${secondaryType} connection timeout`)), 30000);
+    await this.secondaryClient.connect({
+      signal: this.abortController.signal,
+      deadline: SESSION_CONNECT_DEADLINE
     });
     
-    await Promise.race([secondaryConnectPromise, secondaryTimeout]);
-    
-    updateConnection('secondary', { 
+    this.reportConnection('secondary', { 
       connected: true, 
       ...this.secondaryClient.getStats() 
     });
 
     logger.info('Both connections established successfully');
-    incrementMetric('totalConnections');
+    this.reportMetric('totalConnections');
     
   } catch (error) {
     // Enhanced error with context
     const connectionError = new Error(`Connection failed during ${secondaryType} setup: ${error.message}`);
     connectionError.originalError = error;
-    connectionError.phase = 'connection';
-    connectionError.clientType = error.message.includes('TCP') ? 'tcp' : 'secondary';
+    connectionError.phase = isTlsCertificateError(error) ? 'tls' : 'connection';
+    connectionError.clientType = connectingClient;
     
     logger.error('Failed to establish connections', {
       error: connectionError.message,
       originalError: error.message,
-      phase: 'connection',
+      phase: connectionError.phase,
       tcpConnected: this.tcpClient?.isConnected || false,
       secondaryConnected: this.secondaryClient?.isConnected || false
     });
@@ -186,6 +598,211 @@ async connectClients() {
   }
 }
 
+  /**
+   * Connect each client on its own, scheduling a reconnect for any side
+   * that cannot be reached instead of failing the whole service (daemon mode)
+   */
+  async connectClientsIndependently() {
+    const secondaryType = this.config.connectionType === 'tcp' ? 'secondary TCP' : 'Serial';
+    logger.info(`Connecting to TCP and ${secondaryType} endpoints independently...`);
+    this.reportStatus({ message: 'Connecting to endpoints...' });
+
+    const { signal } = this.abortController;
+    const results = await Promise.allSettled([
+      this.tcpClient.connect({ signal }),
+      this.secondaryClient.connect({ signal })
+    ]);
+
+    ['tcp', 'secondary'].forEach((clientType, index) => {
+      const result = results[index];
+
+      if (result.status === 'fulfilled') {
+        const client = clientType === 'tcp' ? this.tcpClient : this.secondaryClient;
+        this.reportConnection(clientType, { connected: true, ...client.getStats() });
+        this.reportMetric('totalConnections');
+      } else if (!signal.aborted) {
+        logger.warn(`Initial ${this.getClientName(clientType)} connection failed`, {
+          error: result.reason?.message
+        });
+        this.scheduleReconnect(clientType);
+      }
+    });
+  }
+
+  /**
+   * Create the circuit breaker that limits reconnects of one side
+   * @param {string} clientType - 'tcp' or 'secondary'
+   * @returns {CircuitBreaker} Circuit breaker
+   */
+  createCircuitBreaker(clientType) {
+    const clientName = this.getClientName(clientType);
+    const breaker = new CircuitBreaker(clientName, {
+      failureThreshold: this.config.circuitBreakerThreshold ?? 5,
+      resetTimeout: this.config.circuitBreakerResetTimeout ?? 60000
+    });
+
+    breaker.on('open', ({ failures, retryIn }) => {
+      logger.error(`${clientName} circuit open after ${failures} failed reconnects`, { retryIn });
+      this.reportMetric('circuitBreakerTrips');
+      this.reportConnection(clientType, { circuit: breaker.getStats() });
+    });
+
+    breaker.on('half-open', () => {
+      logger.info(`${clientName} circuit half-open, trying one reconnect`);
+      this.reportConnection(clientType, { circuit: breaker.getStats() });
+    });
+
+    breaker.on('close', () => {
+      logger.info(`${clientName} circuit closed`);
+      this.reportConnection(clientType, { circuit: breaker.getStats() });
+    });
+
+    return breaker;
+  }
+
+  /**
+   * Schedule a reconnect of a single client. The other side keeps running.
+   * @param {string} clientType - 'tcp' or 'secondary'
+   * @param {number} delay - Time before the reconnect starts (ms)
+   */
+  scheduleReconnect(clientType, delay = this.config.reconnectDelay ?? 5000) {
+    if (this.isStopping || this.reconnectTimers[clientType] || this.reconnecting[clientType]) {
+      return;
+    }
+
+    const breaker = this.circuitBreakers[clientType];
+    logger.info(`Reconnecting ${this.getClientName(clientType)} client in ${delay}ms`);
+    this.reportConnection(clientType, { connected: false, reconnecting: true, circuit: breaker.getStats() });
+
+    this.reconnectTimers[clientType] = setTimeout(() => {
+      this.reconnectTimers[clientType] = null;
+      this.reconnectClient(clientType);
+    }, delay);
+  }
+
+  /**
+   * Reconnect one client with backoff. Each attempt is a single connect
+   * (one try per upstream endpoint, without the client's own retries), so
+   * every failed attempt counts once towards the side's circuit breaker;
+   * once it opens, the next attempt waits until it half-opens.
+   * @param {string} clientType - 'tcp' or 'secondary'
+   */
+  async reconnectClient(clientType) {
+    if (this.isStopping) {
+      return;
+    }
+
+    const client = clientType === 'tcp' ? this.tcpClient : this.secondaryClient;
+    const clientName = this.getClientName(clientType);
+    const breaker = this.circuitBreakers[clientType];
+    const retryHandler = createConnectionRetryHandler({
+      maxRetries: this.config.circuitBreakerThreshold ?? 5,
+      baseDelay: this.config.reconnectDelay ?? 5000,
+      maxDelay: this.config.reconnectMaxDelay ?? 60000,
+      // The breaker says when to try again
+      policies: { CIRCUIT_OPEN: 'fail' }
+    });
+
+    this.reconnecting[clientType] = true;
+    try {
+      await retryHandler.execute(async (attempt, signal) => {
+        breaker.assertAllowed();
+        try {
+          await client.connect({ signal, maxRetries: 1 });
+        } catch (error) {
+          if (!signal.aborted) {
+            breaker.recordFailure();
+          }
+          throw error;
+        }
+        breaker.recordSuccess();
+      }, `${clientName} reconnect`, {}, { signal: this.abortController.signal });
+    } catch (error) {
+      this.reconnecting[clientType] = false;
+      if (this.isStopping) {
+        return;
+      }
+
+      logger.warn(`${clientName} reconnect failed`, { error: error.message, circuit: breaker.state });
+      this.scheduleReconnect(clientType, breaker.getRetryIn() || this.config.reconnectMaxDelay || 60000);
+      return;
+    }
+
+    this.reconnecting[clientType] = false;
+    this.outages[clientType].reconnections++;
+    this.reportMetric('reconnections');
+    this.reportConnection(clientType, { connected: true, reconnecting: false, ...client.getStats() });
+    logger.info(`${clientName} client reconnected`);
+  }
+
+  /**
+   * Count the retries of a client's connection attempts in the status metrics
+   * @param {RetryHandler} retryHandler - The client's retry handler
+   */
+  trackRetries(retryHandler) {
+    retryHandler.on('retry', () => this.reportMetric('retries'));
+    retryHandler.on('failure', ({ reason }) => {
+      // Cancelled by stop() - not a failure of the endpoint
+      if (reason !== 'aborted') {
+        this.reportMetric('retryFailures');
+      }
+    });
+  }
+
+  /**
+   * Note the end of a side's outage
+   * @param {string} clientType - 'tcp' or 'secondary'
+   */
+  endOutage(clientType) {
+    const outage = this.outages[clientType];
+    if (outage.downSince) {
+      outage.downtime += Date.now() - outage.downSince;
+      outage.downSince = null;
+    }
+  }
+
+  /**
+   * Get disconnects, reconnects, downtime and circuit state of each side
+   * @returns {object} Outage stats for 'tcp' and 'secondary'
+   */
+  getOutageStats() {
+    const stats = {};
+    ['tcp', 'secondary'].forEach((clientType) => {
+      const { downSince, downtime, ...counts } = this.outages[clientType];
+      stats[clientType] = {
+        ...counts,
+        down: Boolean(downSince),
+        downtime: downtime + (downSince ? Date.now() - downSince : 0),
+        circuit: this.circuitBreakers[clientType].getStats()
+      };
+    });
+    return stats;
+  }
+
+  /**
+   * Cancel any pending reconnect timers
+   */
+  clearReconnectTimers() {
+    Object.keys(this.reconnectTimers).forEach((clientType) => {
+      if (this.reconnectTimers[clientType]) {
+        clearTimeout(this.reconnectTimers[clientType]);
+        this.reconnectTimers[clientType] = null;
+      }
+    });
+  }
+
+  /**
+   * Get a human readable client name
+   * @param {string} clientType - 'tcp' or 'secondary'
+   * @returns {string} Client name
+   */
+  getClientName(clientType) {
+    if (clientType === 'tcp') {
+      return 'TCP';
+    }
+    return this.config.connectionType === 'tcp' ? 'Secondary TCP' : 'Serial';
+  }
+
   /**
  * Enhanced event handler setup with error propagation
  */
@@ -195,24 +812,86 @@ setupEventHandlers() {
   // TCP Client events
   this.tcpClient.on('connected', (info) => {
     logger.info('TCP client connected', info);
-    const deviceId = getDeviceId();
+    this.capture?.recordEvent('tcp', 'connected', info);
+    this.reportConnection('tcp', { connected: true, ...info });
+    this.endOutage('tcp');
+
+    // A new socket starts reading; keep it paused while the gauge side is backed up
+    if (this.relayBuffers?.toSecondary.paused) {
+      this.tcpClient.pause();
+    }
+
+    // Connectivity is back - upload poll results and batches stored during the outage
+    this.gaugePoller?.upload();
+    this.outbox?.flush();
+
+    // Upstream systems dialing in already know which relay they reached
+    if (this.isServerMode()) {
+      this.relayBuffers?.toTcp.release();
+      return;
+    }
+
+    const deviceId = this.getUpstreamId();
+
+    // Listen for the challenge before the server can send it
+    if (this.isAuthEnabled()) {
+      this.startUpstreamHandshake(deviceId);
+    }
+
     logger.info(`Sending MAC address to TCP server: ${deviceId}`);
     this.tcpClient.send(deviceId).catch(error => {
       logger.error('Failed to send device ID', { error: error.message });
       this.emit('error', new Error(`Failed to send device ID: ${error.message}`));
     });
-    updateConnection('tcp', { connected: true, ...info });
+
+    // Gauge data held during the outage follows the device ID (or the handshake)
+    if (this.upstreamAuthenticated) {
+      this.relayBuffers?.toTcp.release();
+    }
+  });
+
+  // Upstream clients of the listening server (server mode)
+  this.tcpClient.on('clientConnected', (info) => {
+    this.capture?.recordEvent('tcp', 'clientConnected', info);
+    this.reportConnection('tcp', { clientCount: info.clients });
+  });
+
+  this.tcpClient.on('clientDisconnected', (info) => {
+    this.capture?.recordEvent('tcp', 'clientDisconnected', info);
+    this.commandFirewall?.reset(info.client);
+    this.reportConnection('tcp', { clientCount: info.clients });
+  });
+
+  // Replies from the device while no upstream client is connected
+  this.tcpClient.on('dataDropped', ({ bytes }) => {
+    this.reportMetric('bytesDropped', bytes);
+  });
+
+  // Upstream moved to another endpoint of the failover list
+  this.tcpClient.on('failover', () => {
+    this.reportMetric('failovers');
+    this.reportConnection('tcp', { ...this.tcpClient.getStats() });
   });
 
   this.tcpClient.on('disconnected', (info) => {
     logger.warn('TCP client disconnected', info);
-    updateConnection('tcp', { connected: false, ...info });
+    this.capture?.recordEvent('tcp', 'disconnected', info);
+    this.abandonUpstreamHandshake();
+    this.protocolDecoders?.command.reset();
+    this.commandFirewall?.reset();
+    this.relayBuffers?.toTcp.hold(this.config.outageBufferMaxBytes ?? 65536);
+    this.reportConnection('tcp', { connected: false, ...info });
     this.handleDisconnection('tcp', info);
   });
 
   // ENHANCED: Handle client errors that should bubble up
   this.tcpClient.on('error', (errorInfo) => {
     logger.error('TCP client error', errorInfo);
+
+    // Daemon mode, and a session once running, recover through reconnects instead of shutting down
+    if (this.isDaemonMode() || this.isRunning) {
+      return;
+    }
     
     // If it's a fatal error during startup, emit to parent
     if (!errorInfo.retryable || errorInfo.phase === 'connection') {
@@ -230,24 +909,52 @@ setupEventHandlers() {
       bytes: data.length,
       hex: metadata.hex
     });
+
+    // Handshake replies are consumed here and never reach the secondary side
+    if (this.upstreamHandshake) {
+      this.upstreamHandshake.handleData(data);
+      return;
+    }
+
+    if (!this.upstreamAuthenticated) {
+      logger.warn('Dropping TCP data received before upstream authentication', { bytes: data.length });
+      return;
+    }
+
     this.handleDataFromTcp(data, metadata);
   });
 
   // Secondary Client events with similar error handling
   this.secondaryClient.on('connected', (info) => {
     logger.info(`${secondaryType} client connected`, info);
-    updateConnection('secondary', { connected: true, ...info });
+    this.capture?.recordEvent('secondary', 'connected', info);
+    this.reportConnection('secondary', { connected: true, ...info });
+    this.endOutage('secondary');
+    this.relayBuffers?.toSecondary.release();
+
+    if (this.relayBuffers?.toTcp.paused) {
+      this.secondaryClient.pause();
+    }
   });
 
   this.secondaryClient.on('disconnected', (info) => {
     logger.warn(`${secondaryType} client disconnected`, info);
-    updateConnection('secondary', { connected: false, ...info });
+    this.capture?.recordEvent('secondary', 'disconnected', info);
+    this.protocolDecoders?.response.reset();
+    this.commandQueue?.clear(`${secondaryType} client disconnected`);
+    this.relayBuffers?.toSecondary.hold(this.config.outageBufferMaxBytes ?? 65536);
+    this.reportConnection('secondary', { connected: false, ...info });
     this.handleDisconnection('secondary', info);
   });
 
   // ENHANCED: Handle secondary client errors
   this.secondaryClient.on('error', (errorInfo) => {
     logger.error(`${secondaryType} client error`, errorInfo);
+
+    // Daemon mode, and a session once running, recover through reconnects instead of shutting down
+    if (this.isDaemonMode() || this.isRunning) {
+      return;
+    }
     
     // If it's a fatal error during startup, emit to parent
     if (!errorInfo.retryable || errorInfo.phase === 'connection') {
@@ -265,19 +972,35 @@ setupEventHandlers() {
       bytes: data.length,
       hex: metadata.hex
     });
+    this.capture?.recordData('secondary', data, metadata);
     
+    if (metadata.frame) {
+      this.reportMetric('framesReceived');
+      if (metadata.incomplete) {
+        this.reportMetric('incompleteFrames');
+      }
+    }
+
+    const records = this.decodeProtocolData('response', data);
+
+    // Responses to the relay's own poll commands are not relayed upstream
+    if (this.commandQueue?.handleResponse(data, records)) {
+      return;
+    }
+
     // Store data in buffer
-    this.secondaryDataBuffer.push({
+    this.collectSecondaryData({
       timestamp: new Date().toISOString(),
       data: data.toString('hex'),
       length: data.length,
-      metadata
+      metadata,
+      records
     });
     
     if (!this.sentMacAddress) {
       this.sentMacAddress = true;
     }
-    this.handleDataFromSecondary(data, metadata);
+    this.handleDataFromSecondary(data, metadata, records);
   });
 }
 
@@ -300,6 +1023,21 @@ setupEventHandlers() {
    * @param {object} metadata - Data metadata
    */
   async handleDataFromTcp(data, metadata) {
+    this.capture?.recordData('tcp', data, metadata);
+
+    if (this.commandFirewall) {
+      const { allowed, denied } = this.commandFirewall.filter(data, metadata);
+      if (denied.length > 0) {
+        this.handleBlockedCommands(denied, metadata);
+      }
+      if (!allowed) {
+        return;
+      }
+      data = allowed;
+    }
+
+    const records = this.decodeProtocolData('command', data);
+
     try {
       const destinationType = this.config.connectionType === 'tcp' ? 'Secondary TCP' : 'Serial';
       logger.debug(`Relaying data from TCP to ${destinationType}`, {
@@ -307,19 +1045,20 @@ setupEventHandlers() {
         hex: metadata.hex
       });
 
-      await this.secondaryClient.send(data);
+      await this.relayBuffers.toSecondary.push(data);
       
       this.markDataRelayed();
       
       const metricName = this.config.connectionType === 'tcp' ? 
         'bytesTransferredTcpToSecondaryTcp' : 'bytesTransferredTcpToSerial';
-      incrementMetric(metricName, data.length);
-      incrementMetric('dataTransfers');
+      this.reportMetric(metricName, data.length);
+      this.reportMetric('dataTransfers');
 
       this.emit('dataRelayed', {
         direction: this.config.connectionType === 'tcp' ? 'tcp-to-secondary-tcp' : 'tcp-to-serial',
         bytes: data.length,
-        metadata
+        metadata,
+        records
       });
 
     } catch (error) {
@@ -328,7 +1067,7 @@ setupEventHandlers() {
         error: error.message,
         dataLength: data.length
       });
-      incrementMetric('errors');
+      this.reportMetric('errors');
       this.emit('relayError', {
         direction: this.config.connectionType === 'tcp' ? 'tcp-to-secondary-tcp' : 'tcp-to-serial',
         error: error.message,
@@ -337,12 +1076,43 @@ setupEventHandlers() {
     }
   }
 
+  /**
+   * Answer commands the firewall blocked, so upstream is not left waiting
+   * @param {object[]} denied - Blocked commands ({ functionCode, rule, data })
+   * @param {object} metadata - Data metadata
+   */
+  handleBlockedCommands(denied, metadata) {
+    this.reportMetric('commandsBlocked', denied.length);
+    this.emit('commandBlocked', {
+      commands: denied.map(({ functionCode, rule }) => ({ functionCode, rule })),
+      client: metadata.client
+    });
+
+    const response = this.commandFirewall.response;
+    if (!response) {
+      return;
+    }
+
+    denied.forEach(() => {
+      this.relayBuffers.toTcp.push(response).catch((error) => {
+        logger.warn('Failed to answer blocked command', { error: error.message });
+      });
+    });
+  }
+
   /**
    * Handle data received from Secondary client (Serial or TCP)
    * @param {Buffer} data - Received data
    * @param {object} metadata - Data metadata
+   * @param {object[]} records - Protocol records decoded from the data
    */
-  async handleDataFromSecondary(data, metadata) {
+  async handleDataFromSecondary(data, metadata, records = []) {
+    // While upstream is down (or re-authenticating) the data is held for it
+    if (!this.upstreamAuthenticated && !this.relayBuffers?.toTcp.held) {
+      logger.warn('Not relaying data to TCP before upstream authentication', { bytes: data.length });
+      return;
+    }
+
     try {
       const sourceType = this.config.connectionType === 'tcp' ? 'Secondary TCP' : 'Serial';
       logger.debug(`Relaying data from ${sourceType} to TCP`, {
@@ -350,19 +1120,20 @@ setupEventHandlers() {
         hex: metadata.hex
       });
 
-      await this.tcpClient.send(data);
+      await this.relayBuffers.toTcp.push(data);
       
       this.markDataRelayed();
       
       const metricName = this.config.connectionType === 'tcp' ? 
         'bytesTransferredSecondaryTcpToTcp' : 'bytesTransferredSerialToTcp';
-      incrementMetric(metricName, data.length);
-      incrementMetric('dataTransfers');
+      this.reportMetric(metricName, data.length);
+      this.reportMetric('dataTransfers');
 
       this.emit('dataRelayed', {
         direction: this.config.connectionType === 'tcp' ? 'secondary-tcp-to-tcp' : 'serial-to-tcp',
         bytes: data.length,
-        metadata
+        metadata,
+        records
       });
 
     } catch (error) {
@@ -371,7 +1142,7 @@ setupEventHandlers() {
         error: error.message,
         dataLength: data.length
       });
-      incrementMetric('errors');
+      this.reportMetric('errors');
       this.emit('relayError', {
         direction: this.config.connectionType === 'tcp' ? 'secondary-tcp-to-tcp' : 'serial-to-tcp',
         error: error.message,
@@ -386,12 +1157,11 @@ setupEventHandlers() {
    * @param {object} info - Disconnection info
    */
   handleDisconnection(clientType, info) {
-    const clientName = clientType === 'tcp' ? 'TCP' : 
-      (this.config.connectionType === 'tcp' ? 'Secondary TCP' : 'Serial');
+    const clientName = this.getClientName(clientType);
     
     logger.warn(`${clientName} client disconnected`, info);
     
-    updateConnection(clientType, { connected: false, ...info });
+    this.reportConnection(clientType, { connected: false, ...info });
     
     this.emit('clientDisconnected', {
       clientType,
@@ -400,14 +1170,20 @@ setupEventHandlers() {
       hadDataRelay: this.dataRelayed
     });
 
-    // If either client disconnects, stop the relay
-    if (this.isRunning) {
-      const message = `${clientName} connection lost${this.dataRelayed ? ' after successful data relay' : ' before data relay'}`;
-      this.emit('stopped', {
-        success: this.dataRelayed,
-        reason: message
-      });
+    if (this.isStopping || !this.isRunning) {
+      return;
+    }
+
+    const outage = this.outages[clientType];
+    if (!outage.downSince && info?.wasConnected !== false) {
+      outage.disconnects++;
+      outage.downSince = Date.now();
+      this.reportMetric('disconnections');
     }
+
+    // Only the dropped side reconnects, the other stays up. A session is
+    // judged when relayTimeout ends, not on the first disconnect.
+    this.scheduleReconnect(clientType);
   }
 
   /**
@@ -417,7 +1193,7 @@ setupEventHandlers() {
     if (!this.dataRelayed) {
       this.dataRelayed = true;
       logger.info('First data relay successful - relay is now active');
-      updateStatus({ message: 'Data relay active' });
+      this.reportStatus({ message: 'Data relay active' });
     }
   }
 
@@ -430,26 +1206,34 @@ setupEventHandlers() {
     logger.info(`Starting relay timeout: ${timeoutMs}ms`);
     
     this.relayTimeout = setTimeout(() => {
+      // The outcome covers the whole window, including any recovered disconnects
+      const outages = this.getOutageStats();
+      this.reportStatus({ outages });
+
       if (!this.dataRelayed) {
         logger.warn('Relay timeout: No data transferred within timeout period', {
           timeoutMs,
           tcpConnected: this.tcpClient?.isConnected,
-          secondaryConnected: this.secondaryClient?.isConnected
+          secondaryConnected: this.secondaryClient?.isConnected,
+          outages
         });
         
         this.emit('timeout', {
           success: false,
-          reason: `Timeout: No data relayed within ${timeoutMs}ms`
+          reason: `Timeout: No data relayed within ${timeoutMs}ms`,
+          outages
         });
       } else {
         logger.info('Relay completed successfully within timeout period', {
           timeoutMs,
-          totalBytesTransferred: this.getTotalBytesTransferred()
+          totalBytesTransferred: this.getTotalBytesTransferred(),
+          outages
         });
         
         this.emit('completed', {
           success: true,
-          reason: 'Data relay completed successfully'
+          reason: 'Data relay completed successfully',
+          outages
         });
       }
     }, timeoutMs);
@@ -477,13 +1261,22 @@ setupEventHandlers() {
     const connectionType = this.config.connectionType;
     
     return {
+      channelId: this.channelId,
       isRunning: this.isRunning,
+      runMode: this.config.runMode,
       dataRelayed: this.dataRelayed,
       duration: this.startTime ? Date.now() - this.startTime : 0,
       totalBytesTransferred: this.getTotalBytesTransferred(),
       connectionType: connectionType,
       tcp: this.tcpClient?.getStats() || null,
       secondary: this.secondaryClient?.getStats() || null,
+      commandQueue: this.commandQueue?.getStats() || null,
+      poller: this.gaugePoller?.getStats() || null,
+      outbox: this.outbox?.getStats() || null,
+      buffers: this.getBufferStats(),
+      outages: this.getOutageStats(),
+      firewall: this.commandFirewall?.getStats() || null,
+      capture: this.capture?.getStats() || null,
       config: this.getSafeConfigForLogging()
     };
   }
@@ -504,81 +1297,75 @@ setupEventHandlers() {
   }
 
   /**
-   * Post collected data to the device data endpoint
-   * @returns {Promise<boolean>} Success status
+   * Add a packet to the collection buffer, keeping it under
+   * collectBufferMaxBytes. With collectData the full buffer is posted as a
+   * batch (spooled if the endpoint is unreachable); otherwise the oldest
+   * packets are dropped.
+   * @param {object} packet - Collected packet
    */
-  async postDataToEndpoint() {
-    if (this.secondaryDataBuffer.length === 0) {
+  collectSecondaryData(packet) {
+    this.secondaryDataBuffer.push(packet);
+    this.secondaryDataBytes += packet.length;
+
+    if (this.secondaryDataBytes <= this.config.collectBufferMaxBytes) {
+      return;
+    }
+
+    if (this.config.collectData === true) {
+      const packets = this.secondaryDataBuffer;
+      this.secondaryDataBuffer = [];
+      this.secondaryDataBytes = 0;
+      logger.info('Collection buffer full, posting collected data early', { packets: packets.length });
+      const post = this.postDataToEndpoint(packets)
+        .catch((error) => {
+          logger.error('Failed to post collected data', { error: error.message, packets: packets.length });
+          this.reportMetric('errors');
+        })
+        .finally(() => this.pendingPosts.delete(post));
+      this.pendingPosts.add(post);
+      return;
+    }
+
+    while (this.secondaryDataBytes > this.config.collectBufferMaxBytes && this.secondaryDataBuffer.length > 1) {
+      this.secondaryDataBytes -= this.secondaryDataBuffer.shift().length;
+    }
+  }
+
+  /**
+   * Post collected data to the device data endpoint. A batch that cannot be
+   * delivered is spooled to the outbox and retried on a later run.
+   * @param {object[]} [packets] - Collected packets (default: the collection buffer)
+   * @returns {Promise<boolean>} True if the batch was delivered now
+   */
+  async postDataToEndpoint(packets = this.secondaryDataBuffer) {
+    if (packets.length === 0) {
       logger.info('No secondary data to post to endpoint');
       return false;
     }
 
     const deviceId = getDeviceId();
+    const batchId = createBatchId({ deviceId, channelId: this.channelId }, packets);
     
     // Combine all data into a single string (hex format)
-    const combinedData = this.secondaryDataBuffer.map(packet => packet.data).join('');
+    const combinedData = packets.map(packet => packet.data).join('');
+    const records = packets.flatMap(packet => packet.records || []);
     
-    return new Promise((resolve) => {
-      const postData = JSON.stringify({
-        deviceId,
-        data: combinedData
-      });
-      
-      const options = {
-        hostname: 'us-central1-tcp-gateway-26246.cloudfunctions.net',
-        path: '/deviceData',
-        port: 443,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': postData.length
-        }
-      };
-      
-      logger.info('Posting collected data to endpoint', { 
-        endpoint: 'https://us-central1-tcp-gateway-26246.cloudfunctions.net/deviceData',
-        deviceId,
-        dataSize: combinedData.length,
-        packetCount: this.secondaryDataBuffer.length
-      });
-      
-      const req = https.request(options, (res) => {
-        let responseData = '';
-        
-        res.on('data', (chunk) => {
-          responseData += chunk;
-        });
-        
-        res.on('end', () => {
-          if (res.statusCode === 200 || res.statusCode === 201) {
-            logger.info('Data successfully posted to endpoint', { 
-              statusCode: res.statusCode,
-              response: responseData.substring(0, 100) // Log only first 100 chars
-            });
-            resolve(true);
-          } else {
-            logger.warn('Failed to post data to endpoint', { 
-              statusCode: res.statusCode,
-              response: responseData.substring(0, 100)
-            });
-            resolve(false);
-          }
-        });
-      });
-      
-      req.on('error', (error) => {
-        logger.error('Error posting data to endpoint', { error: error.message });
-        resolve(false);
-      });
-      
-      req.setTimeout(10000, () => {
-        logger.warn('Data posting request timed out');
-        req.abort();
-        resolve(false);
-      });
-      
-      req.write(postData);
-      req.end();
+    logger.info('Posting collected data to endpoint', { 
+      endpoint: `https://${DATA_ENDPOINT.hostname}${DATA_ENDPOINT.path}`,
+      deviceId,
+      batchId,
+      dataSize: combinedData.length,
+      packetCount: packets.length,
+      recordCount: records.length
+    });
+    
+    return this.outbox.send({
+      deviceId,
+      ...(this.channelId && { channelId: this.channelId }),
+      batchId,
+      collectedAt: packets[0].timestamp,
+      data: combinedData,
+      ...(this.protocolDecoders && { protocol: this.config.protocol, records })
     });
   }
 
@@ -610,6 +1397,9 @@ setupEventHandlers() {
       if (packet.metadata && packet.metadata.ascii) {
         console.log(`  Data (ascii): ${packet.metadata.ascii}`);
       }
+      packet.records?.forEach((record) => {
+        console.log(`  Decoded: ${record.functionCode || record.type} ${record.name || ''} ${record.error ? `(${record.error})` : ''}`.trimEnd());
+      });
     });
     
     console.log('\n===== END OF SECONDARY DATA BUFFER =====');
@@ -620,24 +1410,41 @@ setupEventHandlers() {
    * @returns {Promise} Promise that resolves when stopped
    */
   async stop() {
+    // Cancel connects and reconnects in progress, including their retry delays
+    this.abortController?.abort();
+
     if (!this.isRunning) {
       logger.warn('Relay service is not running');
       return;
     }
 
     logger.info('Stopping relay service');
+    this.isStopping = true;
+    this.clearReconnectTimers();
+    this.gaugePoller?.stop();
 
     // Output collected secondary data
     this.outputSecondaryDataBuffer();
     
     // Post data to endpoint if collectData is enabled
     if (this.config.collectData === true) {
+      // Let early posts of a full buffer finish first
+      await Promise.all(this.pendingPosts);
+
       logger.info('Data collection is enabled, posting data to endpoint');
-      await this.postDataToEndpoint();
+      const delivered = await this.postDataToEndpoint();
+
+      // Retry batches spooled by earlier runs, unless the endpoint just refused this one
+      if (delivered || this.secondaryDataBuffer.length === 0) {
+        await this.outbox.flush();
+      }
     }
     
     // Clear the buffer after posting
     this.secondaryDataBuffer = [];
+    this.secondaryDataBytes = 0;
+    this.relayBuffers?.toSecondary.clear('relay stopped');
+    this.relayBuffers?.toTcp.clear('relay stopped');
 
     // Clear timeout
     if (this.relayTimeout) {
@@ -657,8 +1464,11 @@ setupEventHandlers() {
     } catch (error) {
       logger.error('Error closing connections', { error: error.message });
     }
+    this.capture?.close();
 
     this.isRunning = false;
+    this.isStopping = false;
+    const finalStats = this.getStats();
     logger.info('Relay service stopped', {
       dataRelayed: this.dataRelayed,
       duration: finalStats.duration,
@@ -666,7 +1476,7 @@ setupEventHandlers() {
       connectionType: this.config.connectionType
     });
 
-    updateStatus({
+    this.reportStatus({
       message: this.dataRelayed ? 'Relay service stopped after successful data transfer' : 'Relay service stopped without data transfer',
       connections: {
         tcp: { connected: false },
@@ -686,8 +1496,10 @@ setupEventHandlers() {
    */
   getHealthStatus() {
     return {
+      channelId: this.channelId,
       isRunning: this.isRunning,
       dataRelayed: this.dataRelayed,
+      upstreamAuthenticated: this.upstreamAuthenticated,
       connectionType: this.config.connectionType,
       tcpConnected: this.tcpClient?.isConnected || false,
       secondaryConnected: this.secondaryClient?.isConnected || false,
@@ -3,10 +3,23 @@ const net = require('net');
 const EventEmitter = require('events');
 const { logger, dataLogger } = require('../utils/logger');
 const { createConnectionRetryHandler } = require('../utils/retry-handler');
+const { writeWithBackpressure } = require('../utils/flow-control');
+
+// Time to wait for a response before a transaction is closed without one
+const DEFAULT_TRANSACTION_TIMEOUT = 5000;
+
+// Quiet time after response data that ends a transaction
+const DEFAULT_TRANSACTION_IDLE = 500;
 
 /**
  * Secondary TCP Client for TCP-to-TCP relay functionality
- * This client connects to a secondary TCP server when connectionType is 'tcp'
+ * This client connects to a secondary TCP server when connectionType is 'tcp'.
+ *
+ * With secondaryTcpMode 'transaction' no connection is kept open: every
+ * send() opens one, writes the command, collects the response and closes
+ * it again. The device closing the socket then ends a transaction, not the
+ * session, as with gauges and serial-to-Ethernet adapters that hang up after
+ * each response.
  */
 class SecondaryTcpClient extends EventEmitter {
   constructor(config) {
@@ -25,13 +38,27 @@ class SecondaryTcpClient extends EventEmitter {
     this.lastHeartbeatTime = 0;
     this.heartbeatInterval = null;
     this.reconnectInProgress = false;
+    this.paused = false;
+    this.transactionChain = Promise.resolve(); // Transactions run one at a time
+    this.transactionStats = { transactions: 0, timeouts: 0, failed: 0, lastDuration: null };
+  }
+
+  /**
+   * @returns {boolean} Whether a connection is opened per command
+   */
+  isTransactionMode() {
+    return this.config.secondaryTcpMode === 'transaction';
   }
 
   /**
    * Connect to secondary TCP server
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels connecting, also between retries
+   * @param {number} [options.deadline] - Time budget (ms)
+   * @param {number} [options.maxRetries] - Attempts (default: maxRetries)
    * @returns {Promise} Promise that resolves when connected
    */
-  async connect() {
+  async connect(options = {}) {
     if (this.isConnected) {
       logger.debug('Secondary TCP client already connected');
       return;
@@ -44,20 +71,27 @@ class SecondaryTcpClient extends EventEmitter {
 
     logger.info('Initiating secondary TCP connection', {
       host: this.config.secondaryTcpIp,
-      port: this.config.secondaryTcpPort
+      port: this.config.secondaryTcpPort,
+      mode: this.isTransactionMode() ? 'transaction' : 'persistent'
     });
 
+    if (this.isTransactionMode()) {
+      return this.connectTransactionMode(options);
+    }
+
     try {
       await this.retryHandler.execute(
-        async (attempt) => {
+        async (attempt, attemptSignal) => {
           this.connectionAttempts = attempt;
+          attemptSignal.addEventListener('abort', () => this.cleanup(), { once: true });
           return this.attemptConnection();
         },
         'Secondary TCP connection',
         {
           host: this.config.secondaryTcpIp,
           port: this.config.secondaryTcpPort
-        }
+        },
+        options
       );
       
       // Start heartbeat after successful connection
@@ -74,6 +108,238 @@ class SecondaryTcpClient extends EventEmitter {
     }
   }
 
+  /**
+   * Start a transaction mode session: check that the device accepts
+   * connections, then close again until there is something to send
+   * @param {object} [options] - connect() options
+   */
+  async connectTransactionMode(options = {}) {
+    this.isConnecting = true;
+    try {
+      const socket = await this.openTransactionSocket('Secondary TCP connection check', options);
+      socket.destroy();
+    } catch (error) {
+      this.isConnecting = false;
+      logger.error('All connection attempts failed', {
+        error: error.message,
+        host: this.config.secondaryTcpIp,
+        port: this.config.secondaryTcpPort
+      });
+      throw error;
+    }
+
+    this.isConnected = true;
+    this.isConnecting = false;
+    this.reconnectInProgress = false;
+    this.lastHeartbeatTime = Date.now();
+
+    logger.info('Secondary TCP device reachable, connecting per transaction', {
+      host: this.config.secondaryTcpIp,
+      port: this.config.secondaryTcpPort,
+      attempts: this.connectionAttempts
+    });
+
+    this.emit('connected', {
+      host: this.config.secondaryTcpIp,
+      port: this.config.secondaryTcpPort,
+      attempts: this.connectionAttempts,
+      mode: 'transaction'
+    });
+  }
+
+  /**
+   * Open a connection for one transaction, retrying like connect()
+   * @param {string} operation - Name used in retry logs
+   * @param {object} [options] - Retry options ({ signal, deadline, maxRetries })
+   * @returns {Promise<net.Socket>} Connected socket
+   */
+  openTransactionSocket(operation, options = {}) {
+    return this.retryHandler.execute(
+      (attempt, attemptSignal) => {
+        this.connectionAttempts = attempt;
+        return new Promise((resolve, reject) => {
+          const socket = new net.Socket();
+          const onAbort = () => socket.destroy();
+          attemptSignal.addEventListener('abort', onAbort, { once: true });
+          socket.setTimeout(this.config.connectionTimeout || 10000);
+
+          socket.once('connect', () => {
+            attemptSignal.removeEventListener('abort', onAbort);
+            socket.removeAllListeners('timeout');
+            socket.removeAllListeners('error');
+            socket.setTimeout(0);
+            resolve(socket);
+          });
+          socket.once('timeout', () => {
+            socket.destroy();
+            reject(new Error(`Secondary TCP connection timeout to ${this.config.secondaryTcpIp}:${this.config.secondaryTcpPort}`));
+          });
+          socket.once('error', (error) => {
+            socket.destroy();
+            reject(error);
+          });
+
+          socket.connect(this.config.secondaryTcpPort, this.config.secondaryTcpIp);
+        });
+      },
+      operation,
+      {
+        host: this.config.secondaryTcpIp,
+        port: this.config.secondaryTcpPort
+      },
+      options
+    );
+  }
+
+  /**
+   * Send one command on its own connection. Resolves once the command has
+   * been written; the response is read (and emitted as 'data') until the
+   * device closes the connection, goes quiet for secondaryTransactionIdle ms
+   * after responding, or secondaryTransactionTimeout ms pass. The next
+   * transaction waits for this one to end.
+   * @param {Buffer} data - Command to send
+   * @returns {Promise} Promise that resolves when the command has been written
+   */
+  async sendTransaction(data) {
+    if (!this.isConnected) {
+      throw new Error('Secondary TCP client not connected');
+    }
+
+    const previous = this.transactionChain;
+    let finish;
+    this.transactionChain = new Promise((resolve) => {
+      finish = resolve;
+    });
+    await previous;
+
+    const startedAt = Date.now();
+    let socket;
+    try {
+      socket = await this.openTransactionSocket('Secondary TCP transaction');
+    } catch (error) {
+      this.transactionStats.failed++;
+      finish();
+      this.handleTransactionFailure(error);
+      throw new Error(`Secondary TCP transaction failed: ${error.message}`);
+    }
+
+    this.socket = socket;
+    const transaction = { startedAt, failed: false };
+    const ended = this.collectTransactionResponse(socket, transaction);
+    ended.then(finish);
+
+    try {
+      await writeWithBackpressure(socket, data);
+    } catch (error) {
+      // Counted as failed only, not as completed when the socket closes
+      transaction.failed = true;
+      this.transactionStats.failed++;
+      socket.destroy();
+      logger.error('Secondary TCP send error', {
+        error: error.message,
+        code: error.code,
+        dataLength: data.length
+      });
+      throw error;
+    }
+
+    this.recordSent(data);
+  }
+
+  /**
+   * Read the response of a transaction and close its connection
+   * @param {net.Socket} socket - Transaction connection
+   * @param {object} transaction - { startedAt, failed }; a failed transaction is not counted here
+   * @returns {Promise} Promise that resolves when the transaction has ended
+   */
+  collectTransactionResponse(socket, transaction) {
+    const idleMs = this.config.secondaryTransactionIdle ?? DEFAULT_TRANSACTION_IDLE;
+    const timeoutMs = this.config.secondaryTransactionTimeout ?? DEFAULT_TRANSACTION_TIMEOUT;
+
+    return new Promise((resolve) => {
+      let received = 0;
+      let idleTimer = null;
+
+      const end = (reason) => {
+        clearTimeout(idleTimer);
+        clearTimeout(timeoutTimer);
+        socket.removeAllListeners();
+        socket.on('error', () => {});
+        socket.destroy();
+        if (this.socket === socket) {
+          this.socket = null;
+        }
+
+        if (transaction.failed) {
+          resolve();
+          return;
+        }
+
+        this.transactionStats.transactions++;
+        this.transactionStats.lastDuration = Date.now() - transaction.startedAt;
+        if (reason === 'timeout' && received === 0) {
+          this.transactionStats.timeouts++;
+          logger.warn('Secondary TCP transaction ended without a response', { timeoutMs });
+        }
+
+        logger.debug('Secondary TCP transaction ended', {
+          reason,
+          bytesReceived: received,
+          durationMs: this.transactionStats.lastDuration
+        });
+        resolve();
+      };
+
+      const timeoutTimer = setTimeout(() => end('timeout'), timeoutMs);
+
+      socket.on('data', (data) => {
+        received += data.length;
+        this.lastHeartbeatTime = Date.now();
+        this.handleIncomingData(data);
+
+        clearTimeout(idleTimer);
+        if (idleMs > 0) {
+          idleTimer = setTimeout(() => end('idle'), idleMs);
+        }
+      });
+      socket.on('error', (error) => {
+        logger.debug('Secondary TCP transaction socket error', { error: error.message, code: error.code });
+      });
+      // The device hanging up after its response is the normal end
+      socket.on('close', () => end('closed'));
+
+      if (this.paused) {
+        socket.pause();
+      }
+    });
+  }
+
+  /**
+   * The device could not be reached for a transaction: end the session so
+   * the relay reacts as it would to a lost persistent connection
+   * @param {Error} error - Connection error
+   */
+  handleTransactionFailure(error) {
+    if (!this.isConnected) {
+      return;
+    }
+    this.isConnected = false;
+
+    logger.warn('Secondary TCP device unreachable for transaction', {
+      host: this.config.secondaryTcpIp,
+      port: this.config.secondaryTcpPort,
+      error: error.message
+    });
+
+    this.emit('disconnected', {
+      hadError: true,
+      wasConnected: true,
+      error: error.message,
+      totalBytesReceived: this.totalBytesReceived,
+      totalBytesSent: this.totalBytesSent
+    });
+  }
+
   /**
    * Attempt a single connection
    * @returns {Promise} Promise that resolves when connected
@@ -309,9 +575,13 @@ class SecondaryTcpClient extends EventEmitter {
   /**
    * Send data through secondary TCP connection
    * @param {Buffer} data - Data to send
-   * @returns {Promise} Promise that resolves when data is sent
+   * @returns {Promise} Promise that resolves when the socket has accepted the data
    */
   async send(data) {
+    if (this.isTransactionMode()) {
+      return this.sendTransaction(data);
+    }
+
     // Enhanced connection verification
     if (!this.isConnected || !this.socket || this.socket.destroyed || !this.socket.writable) {
       const socketState = this.getSocketState();
@@ -326,52 +596,68 @@ class SecondaryTcpClient extends EventEmitter {
       }
     }
 
-    return new Promise((resolve, reject) => {
-      this.socket.write(data, (error) => {
-        if (error) {
-          logger.error('Secondary TCP send error', {
-            error: error.message,
-            code: error.code,
-            socketState: this.getSocketState(),
-            dataLength: data.length
-          });
-          
-          // Attempt to reconnect and resend on error
-          this.reconnect().then(() => {
-            logger.info('Reconnected, retrying data send');
-            return this.send(data);
-          }).then(resolve).catch(reject);
-        } else {
-          this.totalBytesSent += data.length;
-          this.lastHeartbeatTime = Date.now(); // Update heartbeat time on successful send
-          
-          const dataHex = data.toString('hex');
-          const dataAscii = data.toString('ascii').replace(/[^\x20-\x7E]/g, '.');
-          
-          logger.debug('Secondary TCP data sent', {
-            bytes: data.length,
-            hex: dataHex,
-            totalSent: this.totalBytesSent,
-            socketState: this.getSocketState()
-          });
-          
-          if (this.config.logDataTransfers) {
-            dataLogger.silly(`RELAY->SECONDARY_TCP: ${data.length} bytes | HEX: ${dataHex} | ASCII: ${dataAscii}`);
-          }
-          
-          this.emit('dataSent', data, {
-            destination: 'secondary-tcp',
-            bytes: data.length,
-            hex: dataHex,
-            ascii: dataAscii
-          });
-          
-          resolve();
-        }
+    try {
+      await writeWithBackpressure(this.socket, data);
+    } catch (error) {
+      logger.error('Secondary TCP send error', {
+        error: error.message,
+        code: error.code,
+        socketState: this.getSocketState(),
+        dataLength: data.length
       });
+      
+      // Attempt to reconnect and resend on error
+      await this.reconnect();
+      logger.info('Reconnected, retrying data send');
+      return this.send(data);
+    }
+
+    this.recordSent(data);
+  }
+
+  /**
+   * Count, log and emit data written to the device
+   * @param {Buffer} data - Data sent
+   */
+  recordSent(data) {
+    this.totalBytesSent += data.length;
+    this.lastHeartbeatTime = Date.now(); // Update heartbeat time on successful send
+    
+    const dataHex = data.toString('hex');
+    const dataAscii = data.toString('ascii').replace(/[^\x20-\x7E]/g, '.');
+    
+    logger.debug('Secondary TCP data sent', {
+      bytes: data.length,
+      hex: dataHex,
+      totalSent: this.totalBytesSent,
+      socketState: this.getSocketState()
+    });
+    
+    if (this.config.logDataTransfers) {
+      dataLogger.silly(`RELAY->SECONDARY_TCP: ${data.length} bytes | HEX: ${dataHex} | ASCII: ${dataAscii}`);
+    }
+    
+    this.emit('dataSent', data, {
+      destination: 'secondary-tcp',
+      bytes: data.length,
+      hex: dataHex,
+      ascii: dataAscii
     });
   }
 
+  /**
+   * Stop reading from the device until resume() (flow control)
+   */
+  pause() {
+    this.paused = true;
+    this.socket?.pause();
+  }
+
+  resume() {
+    this.paused = false;
+    this.socket?.resume();
+  }
+
   /**
    * Clean up resources
    */
@@ -440,9 +726,11 @@ class SecondaryTcpClient extends EventEmitter {
       connectionAttempts: this.connectionAttempts,
       totalBytesReceived: this.totalBytesReceived,
       totalBytesSent: this.totalBytesSent,
+      transactions: this.isTransactionMode() ? { ...this.transactionStats } : null,
       config: {
         host: this.config.secondaryTcpIp,
-        port: this.config.secondaryTcpPort
+        port: this.config.secondaryTcpPort,
+        mode: this.isTransactionMode() ? 'transaction' : 'persistent'
       }
     };
   }
@@ -2,6 +2,12 @@
 const EventEmitter = require('events');
 const { logger, dataLogger } = require('../utils/logger');
 const { createConnectionRetryHandler } = require('../utils/retry-handler');
+const { createPacketFramer } = require('../utils/packet-framer');
+const { PtyPort } = require('../utils/pty');
+const { MockSerialDevice, loadScenario } = require('../utils/mock-serial-device');
+const { describeSerialPath, resolveSerialPath } = require('../utils/serial-port-matcher');
+const { SerialLineControl, getLineOpenOptions } = require('../utils/serial-line-control');
+const { WritePacer } = require('../utils/write-pacing');
 
 /**
  * Serial Client with automatic reconnection, event-based communication, and enhanced error handling
@@ -16,13 +22,35 @@ class SerialClient extends EventEmitter {
     this.isClosing = false;
     this.retryHandler = createConnectionRetryHandler({
       maxRetries: config.maxRetries || 3,
-      baseDelay: config.retryDelay || 2000
+      baseDelay: config.retryDelay || 2000,
+      classify: error => this.getRetryPolicy(error),
+      policies: {
+        // Several devices match the USB matcher until the configuration says which
+        EAMBIGUOUS: 'fail'
+      }
     });
     this.connectionAttempts = 0;
     this.totalBytesReceived = 0;
     this.totalBytesSent = 0;
     this.lastError = null;
     this.SerialPort = null;
+    this.mockDevice = null; // Scripted device behind the mock port
+    this.portPath = null; // Device serialPath resolved to on the last connection attempt
+    this.portInfo = null; // Its SerialPort.list() entry, when found by USB matcher
+    this.lineControl = null; // DTR/RTS/BREAK handling for the open port (not for a pty)
+    this.sendChain = Promise.resolve(); // Writes run one at a time
+    this.pacer = new WritePacer(config); // Inter-character delay, command gap and settle time
+
+    // Drive a pseudo-terminal instead of a serial device (the mock port takes precedence)
+    this.ptyMode = process.env.MOCK_ENV !== 'true' && ['create', 'attach'].includes(config.serialPty) ?
+      config.serialPty :
+      null;
+
+    // Reassembles chunks into complete frames when serialFraming is set
+    this.framer = createPacketFramer(config);
+    this.framer?.on('frame', (frame, info) => {
+      this.emitData(frame, { frame: true, ...info });
+    });
     
     this.setupSerialPort();
   }
@@ -32,15 +60,21 @@ class SerialClient extends EventEmitter {
    */
   setupSerialPort() {
     try {
-      if (process.env.MOCK_ENV === 'true') {
+      if (this.ptyMode) {
+        logger.info(`Using a pseudo-terminal (${this.ptyMode}) instead of a serial device`, { path: this.config.serialPath });
+        this.SerialPort = PtyPort;
+      } else if (process.env.MOCK_ENV === 'true') {
         logger.info('Using mock SerialPort for testing');
-        const serialportModule = require('serialport');
-        const { MockBinding } = require('@serialport/binding-mock');
-        this.SerialPort = serialportModule.SerialPort;
-        this.SerialPort.Binding = MockBinding;
+        // SerialPortMock opens ports created on its MockBinding
+        const { SerialPortMock } = require('serialport');
+        this.SerialPort = SerialPortMock;
         
-        // Create mock port for testing
-        MockBinding.createPort(this.config.serialPath, { echo: true, record: true });
+        // Create mock port for testing: answered by the scenario if there is one, else an echo
+        if (this.config.mockScenario) {
+          this.mockDevice = new MockSerialDevice(loadScenario(this.config.mockScenario));
+          logger.info('Mock serial port driven by scenario', { scenario: this.config.mockScenario });
+        }
+        SerialPortMock.binding.createPort(this.config.serialPath, { echo: !this.mockDevice, record: true });
       } else {
         const serialportModule = require('serialport');
         this.SerialPort = serialportModule.SerialPort;
@@ -56,9 +90,13 @@ class SerialClient extends EventEmitter {
 
   /**
    * Connect to serial port
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels connecting, also between retries
+   * @param {number} [options.deadline] - Time budget (ms)
+   * @param {number} [options.maxRetries] - Attempts (default: maxRetries)
    * @returns {Promise} Promise that resolves when connected
    */
-  async connect() {
+  async connect({ signal, deadline, maxRetries } = {}) {
     if (this.isConnected) {
       logger.debug('Serial client already connected');
       return;
@@ -70,7 +108,7 @@ class SerialClient extends EventEmitter {
     }
 
     logger.info('Initiating Serial connection', {
-      path: this.config.serialPath,
+      path: this.getPortPath(),
       baudRate: this.config.serialBaud,
       settings: {
         parity: this.config.serialParity,
@@ -80,18 +118,56 @@ class SerialClient extends EventEmitter {
     });
 
     return this.retryHandler.execute(
-      async (attempt) => {
+      async (attempt, attemptSignal) => {
         this.connectionAttempts = attempt;
+        await this.resolvePortPath();
+        attemptSignal.addEventListener('abort', () => this.cleanup(), { once: true });
         return this.attemptConnection();
       },
       'Serial connection',
       {
-        path: this.config.serialPath,
+        path: this.getPortPath(),
         baudRate: this.config.serialBaud
-      }
+      },
+      { signal, deadline, maxRetries }
     );
   }
 
+  /**
+   * Find the device to open: serialPath may be a USB matcher or a
+   * /dev/serial link, which can point to a different ttyUSB after a re-plug
+   */
+  async resolvePortPath() {
+    if (this.ptyMode || process.env.MOCK_ENV === 'true') {
+      this.portPath = this.config.serialPath;
+      return;
+    }
+
+    try {
+      const { path, port } = await resolveSerialPath(this.config.serialPath, () => SerialClient.listPorts());
+      if (path !== this.config.serialPath && path !== this.portPath) {
+        logger.info('Serial device found', {
+          serialPath: describeSerialPath(this.config.serialPath),
+          path,
+          manufacturer: port?.manufacturer
+        });
+      }
+      this.portPath = path;
+      this.portInfo = port;
+    } catch (error) {
+      this.handleConnectionError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Path of the device in use, or the configured serialPath before it is resolved
+   * @returns {string}
+   */
+  getPortPath() {
+    return this.portPath || describeSerialPath(this.config.serialPath);
+  }
+
   /**
    * Attempt a single connection
    * @returns {Promise} Promise that resolves when connected
@@ -109,14 +185,17 @@ attemptConnection() {
     
     try {
       // Create new SerialPort instance
-      this.port = new this.SerialPort({
-        path: this.config.serialPath,
-        baudRate: this.config.serialBaud,
-        parity: this.config.serialParity,
-        dataBits: this.config.serialDataBits,
-        stopBits: this.config.serialStopBits,
-        autoOpen: false
-      });
+      this.port = this.ptyMode ?
+        new this.SerialPort({ path: this.portPath, mode: this.ptyMode }) :
+        new this.SerialPort({
+          path: this.portPath,
+          baudRate: this.config.serialBaud,
+          parity: this.config.serialParity,
+          dataBits: this.config.serialDataBits,
+          stopBits: this.config.serialStopBits,
+          ...getLineOpenOptions(this.config),
+          autoOpen: false
+        });
     } catch (error) {
       this.handleConnectionError(error);
       // CRITICAL: Reject the promise instead of just emitting
@@ -125,12 +204,28 @@ attemptConnection() {
     }
     
     // Connection success handler
-    this.port.on('open', () => {
+    this.port.on('open', async () => {
+      const port = this.port;
+      this.mockDevice?.attach(port.port);
+
+      // Set DTR/RTS before anything is sent
+      if (!this.ptyMode) {
+        this.lineControl = new SerialLineControl(port, this.config);
+        try {
+          await this.lineControl.apply();
+        } catch (error) {
+          logger.warn('Could not set serial control lines', { error: error.message });
+        }
+        if (this.port !== port) {
+          return; // Failed or closed meanwhile
+        }
+      }
+
       this.isConnected = true;
       this.isConnecting = false;
       
       logger.info('Serial port opened successfully', {
-        path: this.config.serialPath,
+        path: this.getPortPath(),
         baudRate: this.config.serialBaud,
         settings: {
           parity: this.config.serialParity,
@@ -141,8 +236,9 @@ attemptConnection() {
       });
       
       this.emit('connected', {
-        path: this.config.serialPath,
+        path: this.getPortPath(),
         baudRate: this.config.serialBaud,
+        pty: this.ptyMode,
         attempts: this.connectionAttempts
       });
       
@@ -156,6 +252,8 @@ attemptConnection() {
     
     // ENHANCED: Better error handling that always rejects
     this.port.on('error', (error) => {
+      const wasConnected = this.isConnected;
+      const wasConnecting = this.isConnecting; // cleared by handleConnectionError
       this.handleConnectionError(error);
       
       // Emit for event listeners AND reject for promise chain
@@ -167,9 +265,15 @@ attemptConnection() {
       });
       
       // CRITICAL: Always reject on error during connection attempt
-      if (this.isConnecting) {
+      if (wasConnecting) {
         reject(error);
       }
+
+      // The port listeners were removed during cleanup, so 'close' will
+      // never fire - report the lost connection here instead
+      if (wasConnected) {
+        this.emitDisconnected(true);
+      }
     });
     
     // Close handler
@@ -212,7 +316,7 @@ attemptConnection() {
     
     // Determine error severity and type
     const errorInfo = {
-      path: this.config.serialPath,
+      path: this.getPortPath(),
       baudRate: this.config.serialBaud,
       error: error.message,
       code: error.code,
@@ -276,6 +380,24 @@ attemptConnection() {
     return this.isSerialError(error) && !this.isPermissionError(error);
   }
 
+  /**
+   * Retry policy for a failed connection attempt. The open errors of the
+   * serial bindings carry no code, so they are told apart by message.
+   * @param {Error} error - Error of the attempt
+   * @returns {string|undefined} 'fail' or 'backoff', or undefined for the defaults
+   */
+  getRetryPolicy(error) {
+    if (this.isPermissionError(error)) {
+      return 'fail';
+    }
+    // Unplugged, or held by another program: neither changes within seconds
+    if (error.code === 'ENOENT' || error.code === 'EBUSY' ||
+        /No such file or directory|Resource busy/.test(error.message)) {
+      return 'backoff';
+    }
+    return undefined;
+  }
+
   /**
    * Handle incoming data from serial port
    * @param {Buffer} data - Received data
@@ -284,25 +406,17 @@ attemptConnection() {
     try {
       this.totalBytesReceived += data.length;
       
-      const dataHex = data.toString('hex');
-      const dataAscii = data.toString('ascii').replace(/[^\x20-\x7E]/g, '.');
-      
       logger.debug('Serial data received', {
         bytes: data.length,
-        hex: dataHex,
+        hex: data.toString('hex'),
         totalReceived: this.totalBytesReceived
       });
-      
-      if (this.config.logDataTransfers) {
-        dataLogger.silly(`SERIAL->RELAY: ${data.length} bytes | HEX: ${dataHex} | ASCII: ${dataAscii}`);
+
+      if (this.framer) {
+        this.framer.push(data);
+      } else {
+        this.emitData(data);
       }
-      
-      this.emit('data', data, {
-        source: 'serial',
-        bytes: data.length,
-        hex: dataHex,
-        ascii: dataAscii
-      });
     } catch (error) {
       logger.error('Error processing Serial data', {
         error: error.message,
@@ -312,6 +426,28 @@ attemptConnection() {
     }
   }
 
+  /**
+   * Emit received data (a raw chunk, or a frame when framing is enabled)
+   * @param {Buffer} data - Data to emit
+   * @param {object} frameInfo - Framing details added to the metadata
+   */
+  emitData(data, frameInfo = {}) {
+    const dataHex = data.toString('hex');
+    const dataAscii = data.toString('ascii').replace(/[^\x20-\x7E]/g, '.');
+    
+    if (this.config.logDataTransfers) {
+      dataLogger.silly(`SERIAL->RELAY: ${data.length} bytes | HEX: ${dataHex} | ASCII: ${dataAscii}`);
+    }
+    
+    this.emit('data', data, {
+      source: 'serial',
+      bytes: data.length,
+      hex: dataHex,
+      ascii: dataAscii,
+      ...frameInfo
+    });
+  }
+
   /**
    * Handle disconnection
    * @param {boolean} hadError - Whether disconnection was due to error
@@ -323,14 +459,24 @@ attemptConnection() {
       hadError,
       wasConnected,
       isClosing: this.isClosing,
-      path: this.config.serialPath,
+      path: this.getPortPath(),
       totalBytesReceived: this.totalBytesReceived,
       totalBytesSent: this.totalBytesSent,
       lastError: this.lastError?.message
     });
     
+    // Hand over a partial frame rather than losing it
+    this.framer?.flush('close');
     this.cleanup();
-    
+    this.emitDisconnected(hadError, wasConnected);
+  }
+
+  /**
+   * Emit the disconnected event with current transfer totals
+   * @param {boolean} hadError - Whether disconnection was due to error
+   * @param {boolean} wasConnected - Whether the port had been opened
+   */
+  emitDisconnected(hadError, wasConnected = true) {
     this.emit('disconnected', {
       hadError,
       wasConnected,
@@ -344,57 +490,82 @@ attemptConnection() {
   /**
    * Send data through serial port with error handling
    * @param {Buffer} data - Data to send
-   * @returns {Promise} Promise that resolves when data is sent
+   * @returns {Promise} Promise that resolves when the port has accepted the data
    */
   async send(data) {
     if (!this.isConnected || !this.port || !this.port.isOpen) {
       throw new Error('Serial port not connected or not open');
     }
 
-    return new Promise((resolve, reject) => {
-      try {
-        this.port.write(data, (error) => {
-          if (error) {
-            logger.error('Serial send error', {
-              error: error.message,
-              code: error.code,
-              dataLength: data.length
-            });
-            reject(error);
-          } else {
-            this.totalBytesSent += data.length;
-            
-            const dataHex = data.toString('hex');
-            const dataAscii = data.toString('ascii').replace(/[^\x20-\x7E]/g, '.');
-            
-            logger.debug('Serial data sent', {
-              bytes: data.length,
-              hex: dataHex,
-              totalSent: this.totalBytesSent
-            });
-            
-            if (this.config.logDataTransfers) {
-              dataLogger.silly(`RELAY->SERIAL: ${data.length} bytes | HEX: ${dataHex} | ASCII: ${dataAscii}`);
-            }
-            
-            this.emit('dataSent', data, {
-              destination: 'serial',
-              bytes: data.length,
-              hex: dataHex,
-              ascii: dataAscii
-            });
-            
-            resolve();
-          }
-        });
-      } catch (error) {
-        logger.error('Serial send exception', {
-          error: error.message,
-          dataLength: data.length
-        });
-        reject(error);
-      }
+    const write = this.sendChain.then(() => this.writeToPort(this.port, data));
+    this.sendChain = write.catch(() => {});
+
+    try {
+      await write;
+    } catch (error) {
+      logger.error('Serial send error', {
+        error: error.message,
+        code: error.code,
+        dataLength: data.length
+      });
+      throw error;
+    }
+
+    this.totalBytesSent += data.length;
+    
+    const dataHex = data.toString('hex');
+    const dataAscii = data.toString('ascii').replace(/[^\x20-\x7E]/g, '.');
+    
+    logger.debug('Serial data sent', {
+      bytes: data.length,
+      hex: dataHex,
+      totalSent: this.totalBytesSent
     });
+    
+    if (this.config.logDataTransfers) {
+      dataLogger.silly(`RELAY->SERIAL: ${data.length} bytes | HEX: ${dataHex} | ASCII: ${dataAscii}`);
+    }
+    
+    this.emit('dataSent', data, {
+      destination: 'serial',
+      bytes: data.length,
+      hex: dataHex,
+      ascii: dataAscii
+    });
+  }
+
+  /**
+   * Write to the port, paced as configured, with the BREAK and RS-485
+   * direction switching around the write that the line settings call for
+   * @param {object} port - Port the write was requested on
+   * @param {Buffer} data - Data to write
+   */
+  async writeToPort(port, data) {
+    await this.pacer.beforeWrite();
+    if (!port?.isOpen) {
+      throw new Error('Serial port not connected or not open');
+    }
+
+    const lineControl = this.lineControl?.port === port ? this.lineControl : null;
+    try {
+      await lineControl?.beforeWrite();
+      await this.pacer.write(port, data);
+    } finally {
+      // Release the RS-485 line even when the write failed
+      await lineControl?.afterWrite();
+    }
+    await this.pacer.afterWrite();
+  }
+
+  /**
+   * Stop reading from the port until resume() (flow control)
+   */
+  pause() {
+    this.port?.pause();
+  }
+
+  resume() {
+    this.port?.resume();
   }
 
   /**
@@ -403,6 +574,9 @@ attemptConnection() {
   cleanup() {
     this.isConnected = false;
     this.isConnecting = false;
+    this.framer?.reset();
+    this.mockDevice?.detach();
+    this.lineControl = null;
     
     if (this.port) {
       try {
@@ -484,12 +658,21 @@ attemptConnection() {
       totalBytesReceived: this.totalBytesReceived,
       totalBytesSent: this.totalBytesSent,
       lastError: this.lastError?.message || null,
+      framing: this.framer?.getStats() || null,
+      mockDevice: this.mockDevice?.getStats() || null,
+      lines: this.lineControl?.getState() || null,
+      pacing: this.pacer.isEnabled() ? this.pacer.getStats() : null,
       config: {
-        path: this.config.serialPath,
+        path: this.getPortPath(),
+        serialPath: describeSerialPath(this.config.serialPath),
+        pty: this.ptyMode,
         baudRate: this.config.serialBaud,
         parity: this.config.serialParity,
         dataBits: this.config.serialDataBits,
-        stopBits: this.config.serialStopBits
+        stopBits: this.config.serialStopBits,
+        rtscts: Boolean(this.config.serialRtsCts),
+        xonxoff: Boolean(this.config.serialXonXoff),
+        rs485: Boolean(this.config.serialRs485)
       }
     };
   }
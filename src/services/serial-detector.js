@@ -0,0 +1,279 @@
+// src/services/serial-detector.js
+const fs = require('fs');
+const EventEmitter = require('events');
+const { logger } = require('../utils/logger');
+const { SOH, ETX, UNRECOGNISED_COMMAND, decodeResponse } = require('../protocols/veeder-root');
+const { isUsbMatcher, matchesPort } = require('../utils/serial-port-matcher');
+const { WritePacer } = require('../utils/write-pacing');
+const SerialClient = require('./serial-client');
+
+const PROBE_FORMAT = /^([5-8])\/(none|even|odd|mark|space)\/(1|1\.5|2)$/;
+
+/**
+ * Parse a 'dataBits/parity/stopBits' line format, e.g. '7/odd/1'
+ * @param {string} format - Line format
+ * @returns {object|null} { serialDataBits, serialParity, serialStopBits }
+ */
+function parseProbeFormat(format) {
+  const match = PROBE_FORMAT.exec(format);
+  if (!match) {
+    return null;
+  }
+  return {
+    serialDataBits: parseInt(match[1], 10),
+    serialParity: match[2],
+    serialStopBits: parseFloat(match[3])
+  };
+}
+
+/**
+ * Check whether data read after a probe is a valid reply. With
+ * serialProbeResponse the data must match it; otherwise, with the Veeder-Root
+ * protocol, it must contain a response frame that decodes cleanly. A garbled
+ * reply read with the wrong line settings does neither.
+ * @param {Buffer} data - Data read so far
+ * @param {object} config - Relay configuration
+ * @returns {boolean}
+ */
+function isValidProbeResponse(data, config) {
+  const text = data.toString('latin1');
+  if (config.serialProbeResponse) {
+    return new RegExp(config.serialProbeResponse).test(text);
+  }
+  if (config.protocol !== 'veeder-root') {
+    return data.length > 0;
+  }
+
+  const start = text.indexOf(SOH);
+  const end = text.indexOf(ETX, start + 1);
+  if (start === -1 || end === -1) {
+    return false;
+  }
+  const body = text.slice(start + 1, end);
+  const record = decodeResponse(body);
+  return body === UNRECOGNISED_COMMAND || (!record.error && Boolean(record.functionCode));
+}
+
+/**
+ * Write detected settings back to the configuration file (into the channel's
+ * entry when the relay runs channels)
+ * @param {string} configPath - Configuration file
+ * @param {object} settings - serialPath and line settings
+ * @param {string|null} channelId - Channel the settings belong to
+ */
+function saveDetectedSettings(configPath, settings, channelId = null) {
+  const fileConfig = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+
+  if (channelId) {
+    const channel = (fileConfig.channels || []).find(entry => entry.id === channelId);
+    if (!channel) {
+      throw new Error(`Channel ${channelId} not found in ${configPath}`);
+    }
+    Object.assign(channel, settings);
+  } else {
+    Object.assign(fileConfig, settings);
+  }
+
+  fs.writeFileSync(configPath, JSON.stringify(fileConfig, null, 2), 'utf8');
+}
+
+/**
+ * Finds the serial port and line settings a gauge answers on by sending a
+ * harmless probe command with each candidate combination. The configured
+ * port and settings are tried first, so a working setup is confirmed quickly.
+ */
+class SerialDetector extends EventEmitter {
+  /**
+   * @param {object} config - Relay configuration
+   * @param {object} [options]
+   * @param {Function} [options.SerialPort] - SerialPort class (default: serialport's)
+   * @param {Function} [options.listPorts] - Returns the available ports (default: SerialClient.listPorts)
+   */
+  constructor(config, { SerialPort, listPorts } = {}) {
+    super();
+    this.config = config;
+    this.SerialPort = SerialPort || require('serialport').SerialPort;
+    this.listPorts = listPorts || (() => SerialClient.listPorts());
+    this.stopped = false;
+  }
+
+  /**
+   * Ports to probe, in order
+   * @returns {Promise<Array<object>>} Port info ({ path, manufacturer, ... })
+   */
+  async getCandidatePorts() {
+    if (this.config.serialProbePorts?.length > 0) {
+      return this.config.serialProbePorts.map(path => ({ path }));
+    }
+
+    let ports = [];
+    try {
+      ports = await this.listPorts();
+    } catch (error) {
+      logger.warn('Could not list serial ports for detection', { error: error.message });
+    }
+
+    const { serialPath } = this.config;
+    if (isUsbMatcher(serialPath)) {
+      return [
+        ...ports.filter(port => matchesPort(serialPath, port)),
+        ...ports.filter(port => !matchesPort(serialPath, port))
+      ];
+    }
+
+    const configured = ports.find(port => port.path === serialPath) || { path: serialPath };
+    return [configured, ...ports.filter(port => port.path !== serialPath)];
+  }
+
+  /**
+   * Line settings to try on each port, configured ones first
+   * @returns {Array<object>} { serialBaud, serialDataBits, serialParity, serialStopBits }
+   */
+  getCandidateSettings() {
+    const key = settings => `${settings.serialBaud}:${settings.serialDataBits}/${settings.serialParity}/${settings.serialStopBits}`;
+    const candidates = [{
+      serialBaud: this.config.serialBaud,
+      serialDataBits: this.config.serialDataBits,
+      serialParity: this.config.serialParity,
+      serialStopBits: this.config.serialStopBits
+    }];
+
+    this.config.serialProbeBaudRates.forEach((serialBaud) => {
+      this.config.serialProbeFormats.forEach((format) => {
+        candidates.push({ serialBaud, ...parseProbeFormat(format) });
+      });
+    });
+
+    const seen = new Set();
+    return candidates.filter((settings) => {
+      const id = key(settings);
+      if (seen.has(id)) {
+        return false;
+      }
+      seen.add(id);
+      return true;
+    });
+  }
+
+  /**
+   * Probe every candidate until one answers
+   * @returns {Promise<object|null>} { settings, port, response }, or null if nothing answered
+   */
+  async detect() {
+    const ports = await this.getCandidatePorts();
+    const candidates = this.getCandidateSettings();
+
+    logger.info('Detecting serial port and line settings', {
+      ports: ports.map(port => port.path),
+      combinations: candidates.length
+    });
+
+    for (const port of ports) {
+      for (const settings of candidates) {
+        if (this.stopped) {
+          return null;
+        }
+
+        const result = await this.probe(port.path, settings);
+        this.emit('probe', { path: port.path, ...settings, ...result });
+
+        if (result.error && !result.response) {
+          // The port cannot be opened, so no other settings will help
+          if (result.phase === 'open') {
+            break;
+          }
+          continue;
+        }
+
+        if (result.valid) {
+          // A USB matcher still identifies the device better than the path it has now
+          const keepMatcher = isUsbMatcher(this.config.serialPath) && matchesPort(this.config.serialPath, port);
+          const detected = { serialPath: keepMatcher ? this.config.serialPath : port.path, ...settings };
+          logger.info('Serial device detected', { ...detected, manufacturer: port.manufacturer });
+          return { settings: detected, port, response: result.response };
+        }
+      }
+    }
+
+    logger.warn('No serial device answered the probe command', { ports: ports.map(port => port.path) });
+    return null;
+  }
+
+  /**
+   * Send the probe command with one combination of settings
+   * @param {string} path - Serial port path
+   * @param {object} settings - Line settings
+   * @returns {Promise<object>} { valid, response, error, phase }
+   */
+  probe(path, settings) {
+    return new Promise((resolve) => {
+      let received = Buffer.alloc(0);
+      let settled = false;
+      let timer = null;
+
+      const port = new this.SerialPort({
+        path,
+        baudRate: settings.serialBaud,
+        dataBits: settings.serialDataBits,
+        parity: settings.serialParity,
+        stopBits: settings.serialStopBits,
+        autoOpen: false
+      });
+
+      const finish = (result) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        port.removeAllListeners('data');
+        if (port.isOpen) {
+          port.close(() => resolve(result));
+        } else {
+          resolve(result);
+        }
+      };
+
+      port.on('error', error => finish({ valid: false, error: error.message, phase: 'io' }));
+      port.on('data', (data) => {
+        received = Buffer.concat([received, data]);
+        if (isValidProbeResponse(received, this.config)) {
+          finish({ valid: true, response: received });
+        }
+      });
+
+      port.open((error) => {
+        if (error) {
+          finish({ valid: false, error: error.message, phase: 'open' });
+          return;
+        }
+
+        // Paced like the relay's own writes, so a slow console gets the whole command
+        new WritePacer(this.config).write(port, Buffer.from(this.config.serialProbeCommand, 'latin1'))
+          .then(() => {
+            if (settled) {
+              return;
+            }
+            timer = setTimeout(() => {
+              finish({ valid: false, response: received.length > 0 ? received : null });
+            }, this.config.serialProbeTimeout);
+          })
+          .catch(writeError => finish({ valid: false, error: writeError.message, phase: 'io' }));
+      });
+    });
+  }
+
+  /**
+   * Give up after the probe in progress
+   */
+  stop() {
+    this.stopped = true;
+  }
+}
+
+module.exports = {
+  SerialDetector,
+  isValidProbeResponse,
+  parseProbeFormat,
+  saveDetectedSettings
+};
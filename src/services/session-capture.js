@@ -0,0 +1,230 @@
+// src/services/session-capture.js
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { getConfigPath } = require('../config');
+
+const CAPTURE_VERSION = 1;
+const CAPTURE_SIDES = ['tcp', 'secondary'];
+
+/**
+ * Get the directory captures are written to
+ * @param {object} config - Relay (channel) configuration
+ * @returns {string} Directory path
+ */
+function getCaptureDir(config) {
+  return config.captureDir || path.join(path.dirname(getConfigPath()), 'captures');
+}
+
+/**
+ * Records a relay session as JSON lines: a 'session' header, then one 'data'
+ * record per chunk received from either side and one 'event' record per
+ * connection change. Each record carries `t`, the ms since the capture
+ * started, so the session can be replayed with its original timing.
+ *
+ * Files are named session-<channel>-<start time>.jsonl. A file that grows
+ * beyond captureMaxBytes is closed and a new one started; only the newest
+ * captureMaxFiles files are kept.
+ */
+class SessionCapture {
+  /**
+   * @param {object} config - Relay (channel) configuration
+   */
+  constructor(config) {
+    this.channelId = config.channelId || null;
+    this.directory = getCaptureDir(config);
+    this.maxBytes = config.captureMaxBytes;
+    this.maxFiles = config.captureMaxFiles;
+    this.session = null;
+    this.file = null;
+    this.fd = null;
+    this.bytes = 0;
+    this.startedAt = null;
+    this.stats = {
+      files: 0,
+      records: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Start a new capture file
+   * @param {object} session - Written to the header (device ID, endpoints)
+   */
+  open(session = this.session || {}) {
+    this.close();
+    this.session = session;
+
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      this.file = path.join(this.directory, `session-${this.channelId || 'default'}-${stamp}.jsonl`);
+      this.fd = fs.openSync(this.file, 'a');
+      this.bytes = 0;
+      this.startedAt = Date.now();
+      this.stats.files++;
+
+      this.write({
+        type: 'session',
+        version: CAPTURE_VERSION,
+        channelId: this.channelId,
+        startedAt: new Date(this.startedAt).toISOString(),
+        ...session
+      });
+      this.prune();
+      logger.info('Session capture started', { file: this.file });
+    } catch (error) {
+      this.stats.errors++;
+      this.fd = null;
+      logger.error('Failed to start session capture', { error: error.message, directory: this.directory });
+    }
+  }
+
+  /**
+   * Record data received from one side
+   * @param {string} from - 'tcp' (upstream) or 'secondary' (gauge)
+   * @param {Buffer} data - Data as received
+   * @param {object} [metadata] - Data metadata (client in listen mode)
+   */
+  recordData(from, data, metadata = {}) {
+    this.record({
+      type: 'data',
+      from,
+      client: metadata.client,
+      bytes: data.length,
+      hex: data.toString('hex')
+    });
+  }
+
+  /**
+   * Record a connection event
+   * @param {string} side - 'tcp' or 'secondary'
+   * @param {string} event - e.g. 'connected', 'disconnected'
+   * @param {object} [info] - Event details
+   */
+  recordEvent(side, event, info = {}) {
+    this.record({ type: 'event', side, event, ...info });
+  }
+
+  /**
+   * @param {object} record - Record without its timing fields
+   */
+  record(record) {
+    if (this.fd === null) {
+      return;
+    }
+
+    if (this.bytes >= this.maxBytes) {
+      this.open();
+      if (this.fd === null) {
+        return;
+      }
+    }
+
+    const now = Date.now();
+    this.write({ t: now - this.startedAt, at: new Date(now).toISOString(), ...record });
+    this.stats.records++;
+  }
+
+  /**
+   * @param {object} record - Record to append as one line
+   */
+  write(record) {
+    try {
+      const line = `${JSON.stringify(record)}\n`;
+      fs.writeSync(this.fd, line);
+      this.bytes += Buffer.byteLength(line);
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('Failed to write session capture, capture stopped', { error: error.message, file: this.file });
+      this.close();
+    }
+  }
+
+  /**
+   * Delete the oldest capture files of this channel beyond captureMaxFiles
+   */
+  prune() {
+    // Channel ids may contain '-', so a prefix match would also take the
+    // files of a channel such as 'tank-2' when pruning 'tank'
+    const id = (this.channelId || 'default').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^session-${id}-\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}-\\d{3}Z\\.jsonl$`);
+    const files = fs.readdirSync(this.directory)
+      .filter(name => pattern.test(name))
+      .sort();
+
+    files.slice(0, Math.max(0, files.length - this.maxFiles)).forEach((name) => {
+      fs.unlinkSync(path.join(this.directory, name));
+    });
+  }
+
+  /**
+   * Close the current capture file
+   */
+  close() {
+    if (this.fd === null) {
+      return;
+    }
+
+    try {
+      fs.closeSync(this.fd);
+    } catch (error) {
+      logger.warn('Failed to close session capture', { error: error.message, file: this.file });
+    }
+    this.fd = null;
+  }
+
+  /**
+   * Get capture statistics
+   * @returns {object} Capture stats
+   */
+  getStats() {
+    return {
+      file: this.fd !== null ? this.file : null,
+      bytes: this.bytes,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Read a capture file
+ * @param {string} file - Path of a .jsonl capture
+ * @returns {object} { session, records } with each data record's bytes as `data`
+ */
+function readCapture(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+  if (lines.length === 0) {
+    throw new Error(`${file} is empty`);
+  }
+
+  const parsed = lines.map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${file}:${index + 1}: ${error.message}`);
+    }
+  });
+
+  const [session, ...records] = parsed;
+  if (session.type !== 'session') {
+    throw new Error(`${file} is not a session capture (no session header)`);
+  }
+  if (session.version > CAPTURE_VERSION) {
+    throw new Error(`${file} uses capture format ${session.version}, this version reads up to ${CAPTURE_VERSION}`);
+  }
+
+  return {
+    session,
+    records: records.map(record => (
+      record.type === 'data' ? { ...record, data: Buffer.from(record.hex, 'hex') } : record
+    ))
+  };
+}
+
+module.exports = {
+  CAPTURE_SIDES,
+  SessionCapture,
+  getCaptureDir,
+  readCapture
+};
@@ -0,0 +1,108 @@
+// src/services/session-replay.js
+const EventEmitter = require('events');
+const { logger } = require('../utils/logger');
+
+/**
+ * Replays one side of a captured session against an endpoint: the data that
+ * side sent is written to the client at its recorded offsets, divided by
+ * `speed`, and whatever the endpoint sends back is reported.
+ *
+ * Events: 'sent' (record), 'received' (data, metadata)
+ */
+class SessionReplay extends EventEmitter {
+  /**
+   * @param {object} client - Connected relay client (TcpServer, SerialClient, ...)
+   * @param {object[]} records - Records from readCapture()
+   * @param {object} options
+   * @param {string} options.side - Side whose data is replayed: 'tcp' or 'secondary'
+   * @param {number} [options.speed] - Time scale (2 = twice as fast, 0 = no delays)
+   * @param {number} [options.wait] - Time to keep listening after the last write
+   */
+  constructor(client, records, { side, speed = 1, wait = 2000 }) {
+    super();
+    this.client = client;
+    this.frames = records.filter(record => record.type === 'data' && record.from === side);
+    this.side = side;
+    this.speed = speed;
+    this.wait = wait;
+    this.stopped = false;
+    this.timer = null;
+    this.wake = null;
+    this.stats = {
+      framesSent: 0,
+      bytesSent: 0,
+      bytesReceived: 0,
+      errors: 0
+    };
+    this.onData = (data, metadata) => {
+      this.stats.bytesReceived += data.length;
+      this.emit('received', data, metadata);
+    };
+  }
+
+  /**
+   * Replay every frame, then listen for `wait` ms
+   * @returns {Promise<object>} Replay statistics
+   */
+  async run() {
+    const startedAt = Date.now();
+    const firstOffset = this.frames[0]?.t || 0;
+    this.client.on('data', this.onData);
+
+    logger.info('Replaying captured session', { side: this.side, frames: this.frames.length, speed: this.speed });
+
+    try {
+      for (const frame of this.frames) {
+        if (this.speed > 0) {
+          await this.sleep(startedAt + (frame.t - firstOffset) / this.speed - Date.now());
+        }
+        if (this.stopped) {
+          break;
+        }
+
+        try {
+          await this.client.send(frame.data);
+          this.stats.framesSent++;
+          this.stats.bytesSent += frame.data.length;
+          this.emit('sent', frame);
+        } catch (error) {
+          this.stats.errors++;
+          logger.error('Failed to replay frame', { t: frame.t, bytes: frame.data.length, error: error.message });
+        }
+      }
+
+      if (!this.stopped) {
+        await this.sleep(this.wait);
+      }
+    } finally {
+      this.client.removeListener('data', this.onData);
+    }
+
+    return { ...this.stats, duration: Date.now() - startedAt };
+  }
+
+  /**
+   * @param {number} ms - Delay (ignored when not positive)
+   * @returns {Promise<void>} Resolves after the delay, or at once on stop()
+   */
+  sleep(ms) {
+    if (ms <= 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.wake = resolve;
+      this.timer = setTimeout(resolve, ms);
+    });
+  }
+
+  /**
+   * End the replay after the frame being written
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.wake?.();
+  }
+}
+
+module.exports = SessionReplay;
@@ -1,8 +1,22 @@
 // src/services/tcp-client.js - Enhanced error handling
 const net = require('net');
+const tls = require('tls');
+const fs = require('fs');
+const path = require('path');
 const EventEmitter = require('events');
 const { logger, dataLogger } = require('../utils/logger');
 const { createConnectionRetryHandler } = require('../utils/retry-handler');
+const { isTlsCertificateError, loadTlsOptions, getTlsServername } = require('../utils/tls-config');
+const { writeWithBackpressure } = require('../utils/flow-control');
+const { getConfigPath } = require('../config');
+
+/**
+ * Get the file that remembers which upstream endpoint last worked
+ * @returns {string} State file path
+ */
+function getEndpointStatePath() {
+  return path.join(path.dirname(getConfigPath()), 'upstream-state.json');
+}
 
 /**
  * TCP Client with automatic reconnection and robust error handling
@@ -17,19 +31,216 @@ class TcpClient extends EventEmitter {
     this.isClosing = false;
     this.retryHandler = createConnectionRetryHandler({
       maxRetries: config.maxRetries || 3,
-      baseDelay: config.retryDelay || 2000
+      baseDelay: config.retryDelay || 2000,
+      // A rejected certificate will be rejected again - fail fast
+      classify: error => (isTlsCertificateError(error) ? 'fail' : undefined)
     });
     this.connectionAttempts = 0;
     this.totalBytesReceived = 0;
     this.totalBytesSent = 0;
     this.lastError = null;
+    this.tlsOptions = null;
+    this.tlsInfo = null;
+
+    // Upstream endpoints: tcpIp:tcpPort is preferred, fallbacks follow in order
+    this.endpoints = [
+      { host: config.tcpIp, port: config.tcpPort },
+      ...(config.tcpFallbackEndpoints || [])
+    ];
+    this.stateKey = config.channelId || 'default';
+    this.activeEndpointIndex = 0;
+    this.endpointSince = Date.now();
+    this.failbackDue = false;
+    this.failbackTimer = null;
+    this.failovers = 0;
+    this.loadEndpointState();
   }
 
   /**
-   * Connect to TCP server
+   * Get the endpoint currently used (or being connected to)
+   * @returns {object} Endpoint { host, port }
+   */
+  getActiveEndpoint() {
+    return this.endpoints[this.activeEndpointIndex];
+  }
+
+  /**
+   * Restore the last working endpoint from disk
+   */
+  loadEndpointState() {
+    if (this.endpoints.length < 2) {
+      return;
+    }
+
+    try {
+      const statePath = getEndpointStatePath();
+      if (!fs.existsSync(statePath)) {
+        return;
+      }
+
+      const state = JSON.parse(fs.readFileSync(statePath, 'utf8'))[this.stateKey];
+      const index = state ? this.endpoints.findIndex(e => e.host === state.host && e.port === state.port) : -1;
+
+      if (index > 0) {
+        this.activeEndpointIndex = index;
+        this.endpointSince = Date.parse(state.since) || Date.now();
+        logger.info('Resuming on last working TCP endpoint', { host: state.host, port: state.port, since: state.since });
+      }
+    } catch (error) {
+      logger.warn('Could not read upstream endpoint state', { error: error.message });
+    }
+  }
+
+  /**
+   * Persist the last working endpoint so the next run starts with it
+   */
+  saveEndpointState() {
+    if (this.endpoints.length < 2) {
+      return;
+    }
+
+    try {
+      const statePath = getEndpointStatePath();
+      const state = fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : {};
+      const endpoint = this.getActiveEndpoint();
+
+      state[this.stateKey] = {
+        host: endpoint.host,
+        port: endpoint.port,
+        since: new Date(this.endpointSince).toISOString()
+      };
+
+      fs.mkdirSync(path.dirname(statePath), { recursive: true });
+      fs.writeFileSync(statePath, JSON.stringify(state, null, 2), 'utf8');
+    } catch (error) {
+      logger.warn('Could not save upstream endpoint state', { error: error.message });
+    }
+  }
+
+  /**
+   * Order in which endpoints are tried: the last working one first, or the
+   * preferred one first once failbackInterval has passed since moving away from it
+   * @returns {number[]} Endpoint indexes
+   */
+  getEndpointOrder() {
+    const current = this.activeEndpointIndex;
+    const others = this.endpoints.map((_, index) => index).filter(index => index !== current);
+
+    if (current === 0) {
+      return [0, ...others];
+    }
+
+    const interval = this.config.failbackInterval || 0;
+    const failbackDue = this.failbackDue || (interval > 0 && Date.now() - this.endpointSince >= interval);
+
+    if (failbackDue) {
+      // Restart the failback interval whether or not the preferred endpoint answers
+      this.failbackDue = false;
+      this.endpointSince = Date.now();
+      return [0, current, ...others.filter(index => index !== 0)];
+    }
+
+    return [current, ...others];
+  }
+
+  /**
+   * Record the endpoint a connection was established to
+   * @param {number} index - Endpoint index
+   */
+  recordActiveEndpoint(index) {
+    const previous = this.activeEndpointIndex;
+    this.activeEndpointIndex = index;
+
+    if (index !== previous) {
+      this.endpointSince = Date.now();
+      this.failovers++;
+
+      const event = {
+        from: this.endpoints[previous],
+        to: this.endpoints[index],
+        preferred: index === 0
+      };
+      logger.warn(index === 0 ? 'TCP failed back to preferred endpoint' : 'TCP failed over to fallback endpoint', event);
+      this.emit('failover', event);
+    }
+
+    this.saveEndpointState();
+    this.scheduleFailbackCheck();
+  }
+
+  /**
+   * While connected to a fallback in daemon mode, periodically check whether
+   * the preferred endpoint is reachable again and move back to it
+   */
+  scheduleFailbackCheck() {
+    const interval = this.config.failbackInterval || 0;
+
+    if (this.activeEndpointIndex === 0 || interval <= 0 || this.config.runMode !== 'daemon') {
+      return;
+    }
+
+    this.clearFailbackTimer();
+    this.failbackTimer = setTimeout(async () => {
+      this.failbackTimer = null;
+      if (!this.isConnected || this.activeEndpointIndex === 0) {
+        return;
+      }
+
+      const reachable = await this.probeEndpoint(this.endpoints[0]);
+      if (!this.isConnected) {
+        return;
+      }
+
+      if (reachable) {
+        logger.info('Preferred TCP endpoint is reachable again, reconnecting', this.endpoints[0]);
+        this.failbackDue = true;
+        this.socket.end();
+      } else {
+        this.scheduleFailbackCheck();
+      }
+    }, interval);
+  }
+
+  /**
+   * Cancel a pending failback check
+   */
+  clearFailbackTimer() {
+    if (this.failbackTimer) {
+      clearTimeout(this.failbackTimer);
+      this.failbackTimer = null;
+    }
+  }
+
+  /**
+   * Check whether an endpoint accepts connections
+   * @param {object} endpoint - Endpoint { host, port }
+   * @returns {Promise<boolean>} True if reachable
+   */
+  probeEndpoint(endpoint) {
+    return new Promise((resolve) => {
+      const probe = net.connect(endpoint.port, endpoint.host);
+      probe.setTimeout(this.config.connectionTimeout || 10000);
+      probe.once('connect', () => {
+        probe.destroy();
+        resolve(true);
+      });
+      probe.once('timeout', () => {
+        probe.destroy();
+        resolve(false);
+      });
+      probe.once('error', () => resolve(false));
+    });
+  }
+
+  /**
+   * Connect to TCP server, trying each endpoint in turn
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels connecting, also between retries
+   * @param {number} [options.deadline] - Time budget for all endpoints (ms)
+   * @param {number} [options.maxRetries] - Attempts per endpoint (default: maxRetries)
    * @returns {Promise} Promise that resolves when connected
    */
-  async connect() {
+  async connect({ signal, deadline, maxRetries } = {}) {
     if (this.isConnected) {
       logger.debug('TCP client already connected');
       return;
@@ -40,22 +251,55 @@ class TcpClient extends EventEmitter {
       return;
     }
 
-    logger.info('Initiating the TCP connection yall - attempt ' + this.connectionAttempts, {
-      host: this.config.tcpIp,
-      port: this.config.tcpPort
-    });
+    const order = this.getEndpointOrder();
+    const previousIndex = this.activeEndpointIndex;
+    const deadlineAt = deadline ? Date.now() + deadline : 0;
+    let lastError;
 
-    return this.retryHandler.execute(
-      async (attempt) => {
-        this.connectionAttempts = attempt;
-        return this.attemptConnection();
-      },
-      'TCP connection',
-      {
-        host: this.config.tcpIp,
-        port: this.config.tcpPort
+    for (const index of order) {
+      const endpoint = this.endpoints[index];
+      const timeLeft = deadlineAt ? deadlineAt - Date.now() : undefined;
+      // Cancelled or out of time: the other endpoints are not tried either
+      if (lastError && (signal?.aborted || timeLeft <= 0)) {
+        break;
       }
-    );
+      this.activeEndpointIndex = index;
+
+      logger.info('Initiating the TCP connection yall - attempt ' + this.connectionAttempts, {
+        host: endpoint.host,
+        port: endpoint.port,
+        endpoint: `${index + 1}/${this.endpoints.length}`
+      });
+
+      try {
+        await this.retryHandler.execute(
+          async (attempt, attemptSignal) => {
+            this.connectionAttempts = attempt;
+            // Drop the half-open socket when connecting is cancelled
+            attemptSignal.addEventListener('abort', () => this.cleanup(), { once: true });
+            return this.attemptConnection();
+          },
+          'TCP connection',
+          {
+            host: endpoint.host,
+            port: endpoint.port
+          },
+          { signal, deadline: timeLeft, maxRetries }
+        );
+
+        this.activeEndpointIndex = previousIndex;
+        this.recordActiveEndpoint(index);
+        return;
+      } catch (error) {
+        lastError = error;
+        if (this.endpoints.length > 1) {
+          logger.warn('TCP endpoint unreachable', { host: endpoint.host, port: endpoint.port, error: error.message });
+        }
+      }
+    }
+
+    this.activeEndpointIndex = previousIndex;
+    throw lastError;
   }
 
   /**
@@ -69,12 +313,22 @@ class TcpClient extends EventEmitter {
  * Attempt a single connection with enhanced error handling
  */
 attemptConnection() {
+  const endpoint = this.getActiveEndpoint();
+
   return new Promise((resolve, reject) => {
     this.isConnecting = true;
+    this.isClosing = false;
     this.lastError = null;
+    this.tlsInfo = null;
     
-    // Create new socket
-    this.socket = new net.Socket();
+    // Create new socket (a TLS socket starts connecting right away)
+    try {
+      this.socket = this.createSocket(endpoint);
+    } catch (error) {
+      this.handleConnectionError(error);
+      reject(error);
+      return;
+    }
     
     // Set connection timeout
     const timeoutMs = this.config.connectionTimeout || 10000;
@@ -82,6 +336,8 @@ attemptConnection() {
     
     // ENHANCED: Set up error handler BEFORE attempting connection
     this.socket.on('error', (error) => {
+      const wasConnected = this.isConnected;
+      const wasConnecting = this.isConnecting; // cleared by handleConnectionError
       this.handleConnectionError(error);
       
       // Emit for event listeners
@@ -89,41 +345,60 @@ attemptConnection() {
         error: error.message,
         code: error.code,
         retryable: this.isRetryableError(error),
-        phase: 'connection'
+        phase: isTlsCertificateError(error) ? 'tls' : 'connection'
       });
       
       // CRITICAL: Always reject during connection attempt
-      if (this.isConnecting) {
+      if (wasConnecting) {
         reject(error);
       }
+
+      // The socket listeners were removed during cleanup, so 'close' will
+      // never fire - report the lost connection here instead
+      if (wasConnected) {
+        this.emitDisconnected(true);
+      }
     });
     
     // Connection timeout handler
     this.socket.on('timeout', () => {
-      const error = new Error(`TCP connection timeout to ${this.config.tcpIp}:${this.config.tcpPort} after ${timeoutMs}ms`);
+      const error = new Error(`TCP connection timeout to ${endpoint.host}:${endpoint.port} after ${timeoutMs}ms`);
       this.handleConnectionError(error);
       
       // CRITICAL: Reject the promise
       reject(error);
     });
     
-    // Connection success handler
-    this.socket.on('connect', () => {
+    // Connection success handler (after the handshake when TLS is enabled)
+    this.socket.on(this.config.tlsEnabled ? 'secureConnect' : 'connect', () => {
       this.isConnected = true;
       this.isConnecting = false;
       this.socket.setTimeout(0); // Disable timeout once connected
       
+      if (this.config.tlsEnabled) {
+        this.tlsInfo = this.getTlsInfo();
+      }
+      
       logger.info('TCP connection established', {
-        host: this.config.tcpIp,
-        port: this.config.tcpPort,
+        host: endpoint.host,
+        port: endpoint.port,
         localAddress: this.socket.localAddress,
         localPort: this.socket.localPort,
-        attempts: this.connectionAttempts
+        attempts: this.connectionAttempts,
+        ...(this.tlsInfo && { tls: this.tlsInfo })
       });
       
+      if (this.tlsInfo && !this.tlsInfo.authorized) {
+        logger.warn('TLS peer certificate not verified (tlsRejectUnauthorized is false)', {
+          reason: this.tlsInfo.authorizationError
+        });
+      }
+      
       this.emit('connected', {
-        host: this.config.tcpIp,
-        port: this.config.tcpPort,
+        host: endpoint.host,
+        port: endpoint.port,
+        endpointIndex: this.activeEndpointIndex,
+        tls: Boolean(this.config.tlsEnabled),
         attempts: this.connectionAttempts
       });
       
@@ -140,9 +415,14 @@ attemptConnection() {
       this.handleDisconnection(hadError);
     });
     
+    // TLS sockets are already connecting
+    if (this.config.tlsEnabled) {
+      return;
+    }
+    
     // ENHANCED: Wrap connection attempt in try-catch
     try {
-      this.socket.connect(this.config.tcpPort, this.config.tcpIp);
+      this.socket.connect(endpoint.port, endpoint.host);
     } catch (error) {
       this.handleConnectionError(error);
       
@@ -152,6 +432,45 @@ attemptConnection() {
   });
 }
 
+  /**
+   * Create the socket for a connection attempt
+   * @param {object} endpoint - Endpoint { host, port }
+   * @returns {net.Socket|tls.TLSSocket} Plain socket, or a connecting TLS socket
+   */
+  createSocket(endpoint) {
+    if (!this.config.tlsEnabled) {
+      return new net.Socket();
+    }
+
+    // Certificate files are read once per client
+    this.tlsOptions = this.tlsOptions || loadTlsOptions(this.config);
+
+    return tls.connect({
+      ...this.tlsOptions,
+      host: endpoint.host,
+      port: endpoint.port,
+      servername: getTlsServername(this.config, endpoint.host)
+    });
+  }
+
+  /**
+   * Describe the negotiated TLS session
+   * @returns {object} Protocol, verification result and peer certificate
+   */
+  getTlsInfo() {
+    const peer = this.socket.getPeerCertificate();
+
+    return {
+      protocol: this.socket.getProtocol(),
+      authorized: this.socket.authorized,
+      authorizationError: this.socket.authorizationError?.toString() || null,
+      peerSubject: peer?.subject?.CN || null,
+      peerIssuer: peer?.issuer?.CN || null,
+      peerFingerprint256: peer?.fingerprint256 || null,
+      peerValidTo: peer?.valid_to || null
+    };
+  }
+
   /**
    * Enhanced error handling to prevent uncaught exceptions
    * @param {Error} error - The error that occurred
@@ -161,9 +480,10 @@ attemptConnection() {
     this.cleanup();
     
     // Determine error severity and type
+    const endpoint = this.getActiveEndpoint();
     const errorInfo = {
-      host: this.config.tcpIp,
-      port: this.config.tcpPort,
+      host: endpoint.host,
+      port: endpoint.port,
       error: error.message,
       code: error.code,
       errno: error.errno,
@@ -174,6 +494,8 @@ attemptConnection() {
 
     if (this.isConnectionError(error)) {
       logger.warn('TCP connection error (retryable)', errorInfo);
+    } else if (isTlsCertificateError(error)) {
+      logger.error('TCP TLS certificate error (not retryable)', errorInfo);
     } else if (this.isNetworkError(error)) {
       logger.error('TCP network error (may require attention)', errorInfo);
     } else {
@@ -224,6 +546,11 @@ attemptConnection() {
    * @returns {boolean} True if retryable
    */
   isRetryableError(error) {
+    // A rejected certificate will be rejected again
+    if (isTlsCertificateError(error)) {
+      return false;
+    }
+
     // Most connection and some network errors are retryable
     return this.isConnectionError(error) || 
            ['ECONNRESET', 'ETIMEDOUT'].includes(error.code);
@@ -276,15 +603,23 @@ attemptConnection() {
       hadError,
       wasConnected,
       isClosing: this.isClosing,
-      host: this.config.tcpIp,
-      port: this.config.tcpPort,
+      host: this.getActiveEndpoint().host,
+      port: this.getActiveEndpoint().port,
       totalBytesReceived: this.totalBytesReceived,
       totalBytesSent: this.totalBytesSent,
       lastError: this.lastError?.message
     });
     
     this.cleanup();
-    
+    this.emitDisconnected(hadError, wasConnected);
+  }
+
+  /**
+   * Emit the disconnected event with current transfer totals
+   * @param {boolean} hadError - Whether disconnection was due to error
+   * @param {boolean} wasConnected - Whether the connection had been established
+   */
+  emitDisconnected(hadError, wasConnected = true) {
     this.emit('disconnected', {
       hadError,
       wasConnected,
@@ -300,7 +635,7 @@ attemptConnection() {
   /**
    * Send data through TCP connection with error handling
    * @param {Buffer} data - Data to send
-   * @returns {Promise} Promise that resolves when data is sent
+   * @returns {Promise} Promise that resolves when the socket has accepted the data
    */
   async send(data) {
     if (!this.isConnected || !this.socket) {
@@ -311,55 +646,49 @@ attemptConnection() {
       throw new Error('TCP socket is not in a writable state');
     }
 
-    return new Promise((resolve, reject) => {
-      try {
-        this.socket.write(data, (error) => {
-          if (error) {
-            logger.error('TCP send error', {
-              error: error.message,
-              code: error.code,
-              dataLength: data.length
-            });
-            reject(error);
-          } else {
-            logger.info('TCP data sent', {
-              bytes: data.length,
-              hex: data.toString('hex'),
-              totalSent: this.totalBytesSent
-            });
-            this.totalBytesSent += data.length;
-            
-            const dataHex = data.toString('hex');
-            const dataAscii = data.toString('ascii').replace(/[^\x20-\x7E]/g, '.');
-            
-            logger.debug('TCP data sent', {
-              bytes: data.length,
-              hex: dataHex,
-              totalSent: this.totalBytesSent
-            });
-            
-            if (this.config.logDataTransfers) {
-              dataLogger.silly(`RELAY->TCP: ${data.length} bytes | HEX: ${dataHex} | ASCII: ${dataAscii}`);
-            }
-            
-            this.emit('dataSent', data, {
-              destination: 'tcp',
-              bytes: data.length,
-              hex: dataHex,
-              ascii: dataAscii
-            });
-            
-            resolve();
-          }
-        });
-      } catch (error) {
-        logger.error('TCP send exception', {
-          error: error.message,
-          dataLength: data.length
-        });
-        reject(error);
-      }
+    try {
+      await writeWithBackpressure(this.socket, data);
+    } catch (error) {
+      logger.error('TCP send error', {
+        error: error.message,
+        code: error.code,
+        dataLength: data.length
+      });
+      throw error;
+    }
+
+    this.totalBytesSent += data.length;
+    
+    const dataHex = data.toString('hex');
+    const dataAscii = data.toString('ascii').replace(/[^\x20-\x7E]/g, '.');
+    
+    logger.debug('TCP data sent', {
+      bytes: data.length,
+      hex: dataHex,
+      totalSent: this.totalBytesSent
     });
+    
+    if (this.config.logDataTransfers) {
+      dataLogger.silly(`RELAY->TCP: ${data.length} bytes | HEX: ${dataHex} | ASCII: ${dataAscii}`);
+    }
+    
+    this.emit('dataSent', data, {
+      destination: 'tcp',
+      bytes: data.length,
+      hex: dataHex,
+      ascii: dataAscii
+    });
+  }
+
+  /**
+   * Stop reading from the server until resume() (flow control)
+   */
+  pause() {
+    this.socket?.pause();
+  }
+
+  resume() {
+    this.socket?.resume();
   }
 
   /**
@@ -368,6 +697,7 @@ attemptConnection() {
   cleanup() {
     this.isConnected = false;
     this.isConnecting = false;
+    this.clearFailbackTimer();
     
     if (this.socket) {
       try {
@@ -445,6 +775,8 @@ attemptConnection() {
    * @returns {object} Connection stats
    */
   getStats() {
+    const endpoint = this.getActiveEndpoint();
+
     return {
       isConnected: this.isConnected,
       isConnecting: this.isConnecting,
@@ -453,9 +785,19 @@ attemptConnection() {
       totalBytesReceived: this.totalBytesReceived,
       totalBytesSent: this.totalBytesSent,
       lastError: this.lastError?.message || null,
+      activeEndpoint: {
+        host: endpoint.host,
+        port: endpoint.port,
+        index: this.activeEndpointIndex,
+        preferred: this.activeEndpointIndex === 0,
+        since: new Date(this.endpointSince).toISOString()
+      },
+      endpointCount: this.endpoints.length,
+      failovers: this.failovers,
+      tls: this.config.tlsEnabled ? this.tlsInfo : null,
       config: {
-        host: this.config.tcpIp,
-        port: this.config.tcpPort,
+        host: endpoint.host,
+        port: endpoint.port,
         timeout: this.config.connectionTimeout
       }
     };
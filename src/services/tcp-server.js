@@ -0,0 +1,525 @@
+// src/services/tcp-server.js
+const net = require('net');
+const tls = require('tls');
+const EventEmitter = require('events');
+const { logger, dataLogger } = require('../utils/logger');
+const { createConnectionRetryHandler } = require('../utils/retry-handler');
+const { isTlsCertificateError, loadTlsOptions } = require('../utils/tls-config');
+const { writeWithBackpressure } = require('../utils/flow-control');
+
+/**
+ * TCP server used in place of TcpClient when upstream systems dial in to the
+ * relay (tcpMode "server"). Exposes the same interface as TcpClient: data
+ * from any accepted client is emitted as 'data', and send() writes to all
+ * connected clients.
+ */
+class TcpServer extends EventEmitter {
+  constructor(config) {
+    super();
+    this.config = config;
+    this.server = null;
+    this.clients = new Map();
+    this.paused = false; // Flow control: upstream clients are not being read
+    this.isConnected = false;
+    this.isConnecting = false;
+    this.isClosing = false;
+    this.retryHandler = createConnectionRetryHandler({
+      maxRetries: config.maxRetries || 3,
+      baseDelay: config.retryDelay || 2000,
+      classify: error => (isTlsCertificateError(error) ? 'fail' : undefined),
+      policies: {
+        // Another process holds the port; it may take a while to let go
+        EADDRINUSE: 'backoff',
+        // A privileged port or an address this host does not have
+        EACCES: 'fail',
+        EADDRNOTAVAIL: 'fail'
+      }
+    });
+    this.connectionAttempts = 0;
+    this.totalBytesReceived = 0;
+    this.totalBytesSent = 0;
+    this.totalClients = 0;
+    this.rejectedConnections = 0;
+    this.lastError = null;
+    this.allowList = this.createAllowList(config.allowedIps || []);
+  }
+
+  /**
+   * Build the source address allow-list (single addresses or CIDR ranges)
+   * @param {string[]} allowedIps - Allowed addresses
+   * @returns {net.BlockList|null} Allow-list, or null to accept any address
+   */
+  createAllowList(allowedIps) {
+    if (allowedIps.length === 0) {
+      return null;
+    }
+
+    const allowList = new net.BlockList();
+    allowedIps.forEach((entry) => {
+      const [address, prefix] = entry.split('/');
+      const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+      if (prefix !== undefined) {
+        allowList.addSubnet(address, parseInt(prefix, 10), family);
+      } else {
+        allowList.addAddress(address, family);
+      }
+    });
+    return allowList;
+  }
+
+  /**
+   * Check whether a remote address may connect
+   * @param {string} remoteAddress - Address of the connecting peer
+   * @returns {boolean} True if allowed
+   */
+  isAllowed(remoteAddress) {
+    if (!this.allowList) {
+      return true;
+    }
+
+    if (!remoteAddress) {
+      return false;
+    }
+
+    // IPv4 peers on a dual-stack socket show up as ::ffff:a.b.c.d
+    const address = remoteAddress.replace(/^::ffff:/, '');
+    return this.allowList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Start listening for upstream connections
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels starting, also between retries
+   * @param {number} [options.deadline] - Time budget (ms)
+   * @param {number} [options.maxRetries] - Attempts (default: maxRetries)
+   * @returns {Promise} Promise that resolves when listening
+   */
+  async connect({ signal, deadline, maxRetries } = {}) {
+    if (this.isConnected) {
+      logger.debug('TCP server already listening');
+      return;
+    }
+
+    if (this.isConnecting) {
+      logger.debug('TCP server start already in progress');
+      return;
+    }
+
+    logger.info('Starting TCP server for upstream connections', {
+      host: this.config.listenHost,
+      port: this.config.listenPort,
+      maxClients: this.config.maxClients
+    });
+
+    return this.retryHandler.execute(
+      async (attempt, attemptSignal) => {
+        this.connectionAttempts = attempt;
+        attemptSignal.addEventListener('abort', () => this.cleanup(), { once: true });
+        return this.startListening();
+      },
+      'TCP server listen',
+      {
+        host: this.config.listenHost,
+        port: this.config.listenPort
+      },
+      { signal, deadline, maxRetries }
+    );
+  }
+
+  /**
+   * Attempt to bind the listening socket once
+   * @returns {Promise} Promise that resolves when listening
+   */
+  startListening() {
+    return new Promise((resolve, reject) => {
+      this.isConnecting = true;
+      this.isClosing = false;
+      this.lastError = null;
+
+      try {
+        this.server = this.createServer();
+      } catch (error) {
+        this.handleServerError(error);
+        reject(error);
+        return;
+      }
+
+      this.server.on('error', (error) => {
+        const wasListening = this.isConnected;
+        const wasConnecting = this.isConnecting;
+        this.handleServerError(error);
+
+        if (wasConnecting) {
+          reject(error);
+        }
+
+        if (wasListening) {
+          this.emitDisconnected(true);
+        }
+      });
+
+      this.server.listen(this.config.listenPort, this.config.listenHost, () => {
+        this.isConnected = true;
+        this.isConnecting = false;
+
+        const address = this.server.address();
+        logger.info('TCP server listening', {
+          host: address.address,
+          port: address.port,
+          attempts: this.connectionAttempts
+        });
+
+        this.emit('connected', {
+          host: address.address,
+          port: address.port,
+          listening: true,
+          attempts: this.connectionAttempts
+        });
+
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Create the listening server, wrapped in TLS when enabled. With a CA
+   * configured, clients must present a certificate signed by it (mutual TLS).
+   * @returns {net.Server|tls.Server} Server
+   */
+  createServer() {
+    if (!this.config.tlsEnabled) {
+      return net.createServer((socket) => this.handleClient(socket));
+    }
+
+    const tlsOptions = loadTlsOptions(this.config);
+    const server = tls.createServer({
+      ...tlsOptions,
+      requestCert: Boolean(tlsOptions.ca)
+    }, (socket) => this.handleClient(socket));
+
+    // Refuse disallowed addresses before spending a handshake on them
+    server.on('connection', (socket) => {
+      if (!this.isAllowed(socket.remoteAddress)) {
+        this.rejectConnection(socket, `${socket.remoteAddress}:${socket.remotePort}`, 'address not in allowedIps');
+      }
+    });
+
+    server.on('tlsClientError', (error, socket) => {
+      this.rejectedConnections++;
+      logger.warn('Upstream TLS handshake failed', {
+        client: `${socket.remoteAddress}:${socket.remotePort}`,
+        error: error.message,
+        code: error.code
+      });
+    });
+
+    return server;
+  }
+
+  /**
+   * Accept or refuse an incoming upstream connection
+   * @param {net.Socket} socket - Accepted socket
+   */
+  handleClient(socket) {
+    const { remoteAddress, remotePort } = socket;
+    const clientId = `${remoteAddress}:${remotePort}`;
+    const maxClients = this.config.maxClients || 1;
+
+    if (!this.isAllowed(remoteAddress)) {
+      this.rejectConnection(socket, clientId, 'address not in allowedIps');
+      return;
+    }
+
+    if (this.clients.size >= maxClients) {
+      this.rejectConnection(socket, clientId, `maxClients (${maxClients}) reached`);
+      return;
+    }
+
+    const client = {
+      socket,
+      address: remoteAddress,
+      port: remotePort,
+      connectedAt: new Date().toISOString(),
+      bytesReceived: 0,
+      bytesSent: 0
+    };
+
+    this.clients.set(clientId, client);
+    this.totalClients++;
+    socket.setKeepAlive(true);
+
+    logger.info('Upstream client connected', { client: clientId, clients: this.clients.size });
+    this.emit('clientConnected', { client: clientId, clients: this.clients.size });
+
+    if (this.paused) {
+      socket.pause();
+    }
+
+    socket.on('data', (data) => {
+      client.bytesReceived += data.length;
+      this.handleIncomingData(data, clientId);
+    });
+
+    socket.on('error', (error) => {
+      logger.warn('Upstream client error', { client: clientId, error: error.message, code: error.code });
+    });
+
+    socket.on('close', (hadError) => {
+      this.clients.delete(clientId);
+      logger.info('Upstream client disconnected', { client: clientId, hadError, clients: this.clients.size });
+      this.emit('clientDisconnected', { client: clientId, hadError, clients: this.clients.size });
+    });
+  }
+
+  /**
+   * Refuse an incoming connection
+   * @param {net.Socket} socket - Socket to refuse
+   * @param {string} clientId - Remote address and port
+   * @param {string} reason - Why it was refused
+   */
+  rejectConnection(socket, clientId, reason) {
+    this.rejectedConnections++;
+    logger.warn('Upstream connection refused', { client: clientId, reason });
+    this.emit('clientRejected', { client: clientId, reason });
+    socket.destroy();
+  }
+
+  /**
+   * Handle an error of the listening socket
+   * @param {Error} error - The error that occurred
+   */
+  handleServerError(error) {
+    this.lastError = error;
+    this.cleanup();
+
+    const errorInfo = {
+      host: this.config.listenHost,
+      port: this.config.listenPort,
+      error: error.message,
+      code: error.code
+    };
+
+    logger.error('TCP server error', errorInfo);
+
+    this.emit('error', {
+      ...errorInfo,
+      retryable: this.isRetryableError(error),
+      phase: isTlsCertificateError(error) ? 'tls' : 'connection'
+    });
+  }
+
+  /**
+   * Check if error is retryable
+   * @param {Error} error - Error to check
+   * @returns {boolean} True if retryable
+   */
+  isRetryableError(error) {
+    // The port may be released by a previous instance shortly
+    return ['EADDRINUSE', 'EADDRNOTAVAIL'].includes(error.code);
+  }
+
+  /**
+   * Handle incoming data from an upstream client
+   * @param {Buffer} data - Received data
+   * @param {string} clientId - Client the data came from
+   */
+  handleIncomingData(data, clientId) {
+    try {
+      this.totalBytesReceived += data.length;
+
+      const dataHex = data.toString('hex');
+      const dataAscii = data.toString('ascii').replace(/[^\x20-\x7E]/g, '.');
+
+      logger.debug('TCP data received', {
+        bytes: data.length,
+        hex: dataHex,
+        client: clientId,
+        totalReceived: this.totalBytesReceived
+      });
+
+      if (this.config.logDataTransfers) {
+        dataLogger.silly(`TCP(${clientId})->RELAY: ${data.length} bytes | HEX: ${dataHex} | ASCII: ${dataAscii}`);
+      }
+
+      this.emit('data', data, {
+        source: 'tcp',
+        client: clientId,
+        bytes: data.length,
+        hex: dataHex,
+        ascii: dataAscii
+      });
+    } catch (error) {
+      logger.error('Error processing TCP data', {
+        error: error.message,
+        dataLength: data?.length || 0
+      });
+      this.emit('dataError', error);
+    }
+  }
+
+  /**
+   * Emit the disconnected event with current transfer totals
+   * @param {boolean} hadError - Whether the server stopped due to an error
+   * @param {boolean} wasConnected - Whether the server had been listening
+   */
+  emitDisconnected(hadError, wasConnected = true) {
+    this.emit('disconnected', {
+      hadError,
+      wasConnected,
+      isClosing: this.isClosing,
+      totalBytesReceived: this.totalBytesReceived,
+      totalBytesSent: this.totalBytesSent,
+      lastError: this.lastError
+    });
+  }
+
+  /**
+   * Send data to every connected upstream client. With no client connected
+   * the data is dropped and reported as a dataDropped event.
+   * @param {Buffer|string} data - Data to send
+   * @returns {Promise} Promise that resolves when every client socket has accepted the data
+   */
+  async send(data) {
+    if (!this.isConnected || !this.server) {
+      throw new Error('TCP server not listening');
+    }
+
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+
+    if (this.clients.size === 0) {
+      logger.debug('No upstream clients connected, data dropped', { bytes: buffer.length });
+      this.emit('dataDropped', { bytes: buffer.length });
+      return;
+    }
+
+    // The slowest client sets the pace
+    await Promise.all([...this.clients.values()].map(async (client) => {
+      try {
+        await writeWithBackpressure(client.socket, buffer);
+        client.bytesSent += buffer.length;
+      } catch (error) {
+        logger.error('TCP send error', {
+          error: error.message,
+          code: error.code,
+          client: `${client.address}:${client.port}`,
+          dataLength: buffer.length
+        });
+        throw error;
+      }
+    }));
+
+    this.totalBytesSent += buffer.length;
+
+    const dataHex = buffer.toString('hex');
+    const dataAscii = buffer.toString('ascii').replace(/[^\x20-\x7E]/g, '.');
+
+    logger.debug('TCP data sent', {
+      bytes: buffer.length,
+      clients: this.clients.size,
+      totalSent: this.totalBytesSent
+    });
+
+    if (this.config.logDataTransfers) {
+      dataLogger.silly(`RELAY->TCP: ${buffer.length} bytes | HEX: ${dataHex} | ASCII: ${dataAscii}`);
+    }
+
+    this.emit('dataSent', buffer, {
+      destination: 'tcp',
+      bytes: buffer.length,
+      hex: dataHex,
+      ascii: dataAscii
+    });
+  }
+
+  /**
+   * Stop reading from upstream clients until resume() (flow control).
+   * Clients connecting in the meantime start paused.
+   */
+  pause() {
+    this.paused = true;
+    this.clients.forEach(client => client.socket.pause());
+  }
+
+  resume() {
+    this.paused = false;
+    this.clients.forEach(client => client.socket.resume());
+  }
+
+  /**
+   * Disconnect all clients and release the listening socket
+   */
+  cleanup() {
+    this.isConnected = false;
+    this.isConnecting = false;
+
+    this.clients.forEach(client => client.socket.destroy());
+    this.clients.clear();
+
+    if (this.server) {
+      this.server.removeAllListeners();
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  /**
+   * Stop listening and disconnect all clients
+   * @returns {Promise} Promise that resolves when closed
+   */
+  async close() {
+    if (this.isClosing) {
+      logger.debug('TCP server close already in progress');
+      return;
+    }
+
+    this.isClosing = true;
+    logger.info('Stopping TCP server', { clients: this.clients.size });
+
+    this.cleanup();
+    logger.info('TCP server stopped');
+  }
+
+  /**
+   * Get connection statistics
+   * @returns {object} Connection stats
+   */
+  getStats() {
+    return {
+      isConnected: this.isConnected,
+      isConnecting: this.isConnecting,
+      isClosing: this.isClosing,
+      mode: 'server',
+      tls: Boolean(this.config.tlsEnabled),
+      connectionAttempts: this.connectionAttempts,
+      clientCount: this.clients.size,
+      clients: [...this.clients.entries()].map(([clientId, client]) => ({
+        client: clientId,
+        connectedAt: client.connectedAt,
+        bytesReceived: client.bytesReceived,
+        bytesSent: client.bytesSent
+      })),
+      totalClients: this.totalClients,
+      rejectedConnections: this.rejectedConnections,
+      totalBytesReceived: this.totalBytesReceived,
+      totalBytesSent: this.totalBytesSent,
+      lastError: this.lastError?.message || null,
+      config: {
+        host: this.config.listenHost,
+        port: this.config.listenPort,
+        maxClients: this.config.maxClients,
+        allowedIps: this.config.allowedIps || []
+      }
+    };
+  }
+
+  /**
+   * Check if the server is healthy
+   * @returns {boolean} True if listening
+   */
+  isHealthy() {
+    return this.isConnected && this.server?.listening === true;
+  }
+}
+
+module.exports = TcpServer;
@@ -0,0 +1,111 @@
+// src/utils/circuit-breaker.js
+const EventEmitter = require('events');
+
+/**
+ * Create the error thrown for an attempt the open circuit does not allow
+ * @param {string} name - Circuit name
+ * @param {number} retryIn - Time until the circuit half-opens (ms)
+ * @returns {Error} Error with code CIRCUIT_OPEN
+ */
+function createCircuitOpenError(name, retryIn) {
+  const error = new Error(`${name} circuit open, next attempt in ${retryIn}ms`);
+  error.code = 'CIRCUIT_OPEN';
+  error.retryIn = retryIn;
+  return error;
+}
+
+/**
+ * Circuit breaker for reconnect attempts. After failureThreshold failures in
+ * a row the circuit opens and no attempts are made for resetTimeout ms. It
+ * then half-opens: one trial attempt closes it again on success, or reopens
+ * it for another resetTimeout on failure.
+ *
+ * Events: 'open' ({ failures, retryIn }), 'half-open', 'close'
+ */
+class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {string} name - Circuit name, for errors and logs
+   * @param {object} options
+   * @param {number} options.failureThreshold - Failures in a row that open the circuit
+   * @param {number} options.resetTimeout - Time the circuit stays open (ms)
+   * @param {Function} [options.now] - Clock (default: Date.now)
+   */
+  constructor(name, { failureThreshold, resetTimeout, now = Date.now }) {
+    super();
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.now = now;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.stats = { opened: 0, failures: 0, successes: 0 };
+  }
+
+  /**
+   * Check whether an attempt may be made now, half-opening the circuit
+   * once the reset timeout has passed
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === 'open' && this.getRetryIn() === 0) {
+      this.state = 'half-open';
+      this.emit('half-open');
+    }
+    return this.state !== 'open';
+  }
+
+  /**
+   * Throw CIRCUIT_OPEN unless an attempt may be made now
+   */
+  assertAllowed() {
+    if (!this.allowRequest()) {
+      throw createCircuitOpenError(this.name, this.getRetryIn());
+    }
+  }
+
+  recordSuccess() {
+    this.stats.successes++;
+    this.failures = 0;
+    if (this.state !== 'closed') {
+      this.state = 'closed';
+      this.openedAt = null;
+      this.emit('close');
+    }
+  }
+
+  recordFailure() {
+    this.stats.failures++;
+    this.failures++;
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = this.now();
+      this.stats.opened++;
+      this.emit('open', { failures: this.failures, retryIn: this.resetTimeout });
+    }
+  }
+
+  /**
+   * @returns {number} Time until an open circuit half-opens (ms), 0 otherwise
+   */
+  getRetryIn() {
+    if (this.state !== 'open') {
+      return 0;
+    }
+    return Math.max(0, this.openedAt + this.resetTimeout - this.now());
+  }
+
+  getStats() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      retryIn: this.getRetryIn(),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  createCircuitOpenError
+};
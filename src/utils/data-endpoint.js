@@ -0,0 +1,75 @@
+// src/utils/data-endpoint.js
+const https = require('https');
+const { logger } = require('./logger');
+
+const DATA_ENDPOINT = {
+  hostname: 'us-central1-tcp-gateway-26246.cloudfunctions.net',
+  path: '/deviceData'
+};
+
+/**
+ * Post a JSON payload to the device data endpoint
+ * @param {object} payload - Payload to post
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Request timeout in ms
+ * @returns {Promise<boolean>} True if the endpoint accepted the payload
+ */
+function postDeviceData(payload, { timeout = 10000 } = {}) {
+  return new Promise((resolve) => {
+    const postData = JSON.stringify(payload);
+    
+    const options = {
+      hostname: DATA_ENDPOINT.hostname,
+      path: DATA_ENDPOINT.path,
+      port: 443,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(postData)
+      }
+    };
+    
+    const req = https.request(options, (res) => {
+      let responseData = '';
+      
+      res.on('data', (chunk) => {
+        responseData += chunk;
+      });
+      
+      res.on('end', () => {
+        if (res.statusCode === 200 || res.statusCode === 201) {
+          logger.info('Data successfully posted to endpoint', { 
+            statusCode: res.statusCode,
+            response: responseData.substring(0, 100) // Log only first 100 chars
+          });
+          resolve(true);
+        } else {
+          logger.warn('Failed to post data to endpoint', { 
+            statusCode: res.statusCode,
+            response: responseData.substring(0, 100)
+          });
+          resolve(false);
+        }
+      });
+    });
+    
+    req.on('error', (error) => {
+      logger.error('Error posting data to endpoint', { error: error.message });
+      resolve(false);
+    });
+    
+    req.setTimeout(timeout, () => {
+      logger.warn('Data posting request timed out');
+      req.destroy();
+      resolve(false);
+    });
+    
+    req.write(postData);
+    req.end();
+  });
+}
+
+module.exports = {
+  DATA_ENDPOINT,
+  postDeviceData
+};
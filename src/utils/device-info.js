@@ -1,5 +1,14 @@
 // src/utils/device-info.js
 const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Identifiers sent upstream and used as the remote config document ID
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Resolved once per process by initDeviceIdentity()
+let deviceIdentity = null;
 
 /**
  * Get the first available MAC address from network interfaces
@@ -24,12 +33,112 @@ function getMacAddress() {
 }
 
 /**
- * Get device ID based on MAC address
- * @returns {string} Device ID (MAC address without colons) or 'unknown'
+ * Check whether a value can be used as a device ID
+ * @param {*} value - Candidate device ID
+ * @returns {boolean} True if valid
  */
-function getDeviceId() {
+function isValidDeviceId(value) {
+  return typeof value === 'string' && DEVICE_ID_PATTERN.test(value);
+}
+
+/**
+ * Read a previously persisted identity
+ * @param {string} identityPath - Identity file path
+ * @returns {object|null} Persisted identity or null if missing/unreadable
+ */
+function readPersistedIdentity(identityPath) {
+  try {
+    const persisted = JSON.parse(fs.readFileSync(identityPath, 'utf8'));
+    return isValidDeviceId(persisted?.deviceId) ? persisted : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Generate a new device ID. The current MAC address is used when available so
+ * existing installations keep the ID their remote configuration is stored under.
+ * @returns {object} Generated ID and how it was derived ('mac' or 'random')
+ */
+function generateDeviceId() {
   const macAddress = getMacAddress();
-  return macAddress || 'unknown';
+  if (macAddress) {
+    return { deviceId: macAddress, source: 'mac' };
+  }
+  return { deviceId: crypto.randomBytes(6).toString('hex'), source: 'random' };
+}
+
+/**
+ * Resolve the device identity, in order of precedence:
+ * DEVICE_ID environment variable, configured deviceId, persisted identity file,
+ * then a newly generated ID which is written to the identity file.
+ * @param {object} options
+ * @param {string} [options.deviceId] - Configured device ID
+ * @param {string} [options.identityPath] - Where the identity is persisted
+ * @returns {object} { deviceId, source, identityPath, persistError }
+ */
+function initDeviceIdentity({ deviceId, identityPath } = {}) {
+  if (isValidDeviceId(process.env.DEVICE_ID)) {
+    deviceIdentity = { deviceId: process.env.DEVICE_ID, source: 'environment' };
+    return deviceIdentity;
+  }
+
+  if (isValidDeviceId(deviceId)) {
+    deviceIdentity = { deviceId, source: 'config' };
+    return deviceIdentity;
+  }
+
+  if (!identityPath) {
+    deviceIdentity = generateDeviceId();
+    return deviceIdentity;
+  }
+
+  const persisted = readPersistedIdentity(identityPath);
+  if (persisted) {
+    deviceIdentity = {
+      deviceId: persisted.deviceId,
+      source: 'persisted',
+      derivedFrom: persisted.source,
+      identityPath
+    };
+    return deviceIdentity;
+  }
+
+  // After a failed write, try again with the ID this process already uses
+  const generated = deviceIdentity?.persistError ?
+    { deviceId: deviceIdentity.deviceId, source: deviceIdentity.source } :
+    generateDeviceId();
+  try {
+    fs.mkdirSync(path.dirname(identityPath), { recursive: true });
+    fs.writeFileSync(identityPath, JSON.stringify({
+      ...generated,
+      createdAt: new Date().toISOString()
+    }, null, 2), 'utf8');
+    deviceIdentity = { ...generated, identityPath };
+    return deviceIdentity;
+  } catch (error) {
+    // Kept for the rest of the process, so every caller sees the same ID;
+    // the next initialisation tries to persist it again
+    deviceIdentity = { ...generated, identityPath, persistError: error.message };
+    return deviceIdentity;
+  }
+}
+
+/**
+ * Get the device identity and how it was derived
+ * @returns {object} { deviceId, source } where source is 'environment',
+ *   'config', 'persisted', 'mac' or 'random'
+ */
+function getDeviceIdentity() {
+  return deviceIdentity || initDeviceIdentity();
+}
+
+/**
+ * Get the device ID
+ * @returns {string} Device ID
+ */
+function getDeviceId() {
+  return getDeviceIdentity().deviceId;
 }
 
 /**
@@ -39,6 +148,7 @@ function getDeviceId() {
 function getDeviceInfo() {
   return {
     deviceId: getDeviceId(),
+    deviceIdSource: getDeviceIdentity().source,
     hostname: os.hostname(),
     platform: os.platform(),
     arch: os.arch(),
@@ -54,6 +164,9 @@ function getDeviceInfo() {
 
 module.exports = {
   getMacAddress,
+  isValidDeviceId,
+  initDeviceIdentity,
+  getDeviceIdentity,
   getDeviceId,
   getDeviceInfo
 };
\ No newline at end of file
@@ -0,0 +1,129 @@
+// src/utils/disk-queue.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Durable FIFO queue of JSON entries, one file per entry, so a crash or power
+ * loss never corrupts more than the entry being written. Entries are written
+ * to a temporary file and renamed into place.
+ */
+class DiskQueue {
+  /**
+   * @param {string} directory - Directory holding the entries
+   * @param {object} options
+   * @param {number} [options.maxEntries] - Oldest entries are dropped beyond this count
+   */
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.maxEntries = options.maxEntries || 10000;
+    this.sequence = 0;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * Append an entry
+   * @param {object} entry - JSON-serialisable entry
+   * @returns {string} Entry ID
+   */
+  push(entry) {
+    // Zero-padded time + sequence keeps lexical order equal to insertion order
+    const id = `${Date.now().toString().padStart(15, '0')}-${String(this.sequence++ % 1e6).padStart(6, '0')}-${crypto.randomBytes(3).toString('hex')}`;
+    const file = path.join(this.directory, `${id}.json`);
+    const tempFile = `${file}.tmp`;
+
+    fs.writeFileSync(tempFile, JSON.stringify({ id, ...entry }), 'utf8');
+    fs.renameSync(tempFile, file);
+
+    this.trim();
+    return id;
+  }
+
+  /**
+   * List entry IDs, oldest first
+   * @returns {string[]} Entry IDs
+   */
+  ids() {
+    return fs.readdirSync(this.directory)
+      .filter(name => name.endsWith('.json'))
+      .map(name => name.slice(0, -'.json'.length))
+      .sort();
+  }
+
+  /**
+   * Read the oldest entries without removing them. Unreadable entries are
+   * removed so they cannot block the queue.
+   * @param {number} limit - Maximum number of entries
+   * @returns {object[]} Entries, oldest first
+   */
+  peek(limit = 100) {
+    const entries = [];
+    for (const id of this.ids()) {
+      if (entries.length >= limit) {
+        break;
+      }
+      try {
+        entries.push(JSON.parse(fs.readFileSync(path.join(this.directory, `${id}.json`), 'utf8')));
+      } catch (error) {
+        this.remove([id]);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Replace the contents of an entry, keeping its place in the queue
+   * @param {string} id - Entry ID
+   * @param {object} entry - JSON-serialisable entry
+   */
+  update(id, entry) {
+    const file = path.join(this.directory, `${id}.json`);
+    const tempFile = `${file}.tmp`;
+
+    fs.writeFileSync(tempFile, JSON.stringify({ ...entry, id }), 'utf8');
+    fs.renameSync(tempFile, file);
+  }
+
+  /**
+   * Remove entries, e.g. once they have been uploaded
+   * @param {string[]} ids - Entry IDs
+   */
+  remove(ids) {
+    ids.forEach((id) => {
+      fs.rmSync(path.join(this.directory, `${id}.json`), { force: true });
+    });
+  }
+
+  /**
+   * Drop the oldest entries beyond maxEntries
+   * @returns {number} Number of entries dropped
+   */
+  trim() {
+    const ids = this.ids();
+    const excess = ids.slice(0, Math.max(0, ids.length - this.maxEntries));
+    this.remove(excess);
+    return excess.length;
+  }
+
+  /**
+   * @returns {number} Disk space used by the queued entries in bytes
+   */
+  bytes() {
+    return this.ids().reduce((total, id) => {
+      try {
+        return total + fs.statSync(path.join(this.directory, `${id}.json`)).size;
+      } catch (error) {
+        return total;
+      }
+    }, 0);
+  }
+
+  /**
+   * @returns {number} Number of queued entries
+   */
+  size() {
+    return this.ids().length;
+  }
+}
+
+module.exports = DiskQueue;
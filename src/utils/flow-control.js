@@ -0,0 +1,310 @@
+// src/utils/flow-control.js
+const EventEmitter = require('events');
+
+const OVERFLOW_POLICIES = ['pause', 'drop-oldest', 'fail'];
+
+/**
+ * Create a buffer overflow error
+ * @param {string} message - Error message
+ * @returns {Error} Error with code BUFFER_OVERFLOW
+ */
+function createOverflowError(message) {
+  const error = new Error(message);
+  error.code = 'BUFFER_OVERFLOW';
+  return error;
+}
+
+/**
+ * Write to a stream, resolving once the data has been accepted and, if the
+ * stream's own buffer was full, after it has drained
+ * @param {stream.Writable} stream - Socket or serial port
+ * @param {Buffer} data - Data to write
+ * @returns {Promise<void>}
+ */
+function writeWithBackpressure(stream, data) {
+  return new Promise((resolve, reject) => {
+    let written = false;
+    let drained = true;
+
+    const cleanup = () => {
+      stream.removeListener('drain', onDrain);
+      stream.removeListener('close', onClose);
+    };
+    const settle = () => {
+      if (written && drained) {
+        cleanup();
+        resolve();
+      }
+    };
+    const onDrain = () => {
+      drained = true;
+      settle();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Stream closed before the data was written'));
+    };
+
+    const accepted = stream.write(data, (error) => {
+      if (error) {
+        cleanup();
+        reject(error);
+        return;
+      }
+      written = true;
+      // The callback runs before 'drain'; an empty buffer means it has drained
+      if (!drained && stream.writableLength === 0) {
+        drained = true;
+      }
+      settle();
+    });
+
+    if (!accepted) {
+      drained = false;
+      stream.once('drain', onDrain);
+      stream.once('close', onClose);
+    }
+  });
+}
+
+/**
+ * Bounded queue of data waiting to be written to one destination. Writes go
+ * out one at a time, each waiting until the destination has accepted the
+ * previous one. Once more than highWaterMark bytes are queued the overflow
+ * policy applies:
+ * - pause: emit 'pause' so the source stops reading, and 'resume' once the
+ *   queue has drained to half the high-water mark
+ * - drop-oldest: discard the oldest queued data to make room
+ * - fail: reject the new data
+ *
+ * While the destination is down the buffer can be held: data is kept
+ * instead of written, up to a separate limit, and the oldest is dropped
+ * beyond it. The source is not paused, since the outage is not its doing.
+ *
+ * Events: 'pause', 'resume', 'overflow' ({ policy, bytes })
+ */
+class RelayBuffer extends EventEmitter {
+  /**
+   * @param {string} name - Destination, for errors and stats
+   * @param {Function} send - Writes one chunk: async (data) => void
+   * @param {object} options
+   * @param {number} options.highWaterMark - Queued bytes before the overflow policy applies
+   * @param {string} options.policy - 'pause', 'drop-oldest' or 'fail'
+   */
+  constructor(name, send, { highWaterMark, policy }) {
+    super();
+    this.name = name;
+    this.send = send;
+    this.highWaterMark = highWaterMark;
+    this.policy = policy;
+    this.queue = [];
+    this.queuedBytes = 0;
+    this.isWriting = false;
+    this.generation = 0;
+    this.paused = false;
+    this.held = false;
+    this.holdMaxBytes = 0;
+    this.stats = {
+      peakBytes: 0,
+      overflows: 0,
+      droppedBytes: 0,
+      rejectedBytes: 0,
+      pauses: 0,
+      holds: 0
+    };
+  }
+
+  /**
+   * Queue data for the destination
+   * @param {Buffer} data - Data to write
+   * @returns {Promise<void>} Resolves once the data has been written
+   */
+  push(data) {
+    if (this.held) {
+      this.dropHeld(data);
+    } else if (this.queuedBytes + data.length > this.highWaterMark && !this.makeRoom(data)) {
+      return Promise.reject(createOverflowError(
+        `${this.name} buffer full (${this.queuedBytes} of ${this.highWaterMark} bytes queued)`
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ data, resolve, reject });
+      this.queuedBytes += data.length;
+      this.stats.peakBytes = Math.max(this.stats.peakBytes, this.queuedBytes);
+
+      if (this.policy === 'pause' && !this.held && !this.paused && this.queuedBytes > this.highWaterMark) {
+        this.paused = true;
+        this.stats.pauses++;
+        this.emit('pause');
+      }
+
+      this.pump();
+    });
+  }
+
+  /**
+   * Apply the overflow policy to data that does not fit
+   * @param {Buffer} data - Data being queued
+   * @returns {boolean} False if the data must be rejected
+   */
+  makeRoom(data) {
+    switch (this.policy) {
+      case 'drop-oldest': {
+        let dropped = 0;
+        // The first entry is being written and cannot be taken back
+        while (this.queue.length > 1 && this.queuedBytes + data.length > this.highWaterMark) {
+          const [entry] = this.queue.splice(1, 1);
+          this.queuedBytes -= entry.data.length;
+          dropped += entry.data.length;
+          entry.reject(createOverflowError(`${this.name} buffer full, data dropped`));
+        }
+        if (dropped > 0) {
+          this.recordOverflow('droppedBytes', dropped);
+        }
+        return true;
+      }
+
+      case 'fail':
+        this.recordOverflow('rejectedBytes', data.length);
+        return false;
+
+      default:
+        // 'pause' accepts what the source has already read and stops it reading more
+        return true;
+    }
+  }
+
+  /**
+   * Drop the oldest held data to make room for new data
+   * @param {Buffer} data - Data being queued
+   */
+  dropHeld(data) {
+    let dropped = 0;
+    // An entry still being written when the hold started cannot be taken back
+    const first = this.isWriting ? 1 : 0;
+    while (this.queue.length > first && this.queuedBytes + data.length > this.holdMaxBytes) {
+      const [entry] = this.queue.splice(first, 1);
+      this.queuedBytes -= entry.data.length;
+      dropped += entry.data.length;
+      entry.reject(createOverflowError(`${this.name} is down and its buffer is full, data dropped`));
+    }
+    if (dropped > 0) {
+      this.recordOverflow('droppedBytes', dropped);
+    }
+  }
+
+  /**
+   * Keep data queued while the destination is down
+   * @param {number} maxBytes - Data kept before the oldest is dropped
+   */
+  hold(maxBytes) {
+    if (this.held) {
+      return;
+    }
+    this.held = true;
+    this.holdMaxBytes = maxBytes;
+    this.stats.holds++;
+
+    // The source was paused for a slow destination; now it only fills the hold
+    if (this.paused) {
+      this.paused = false;
+      this.emit('resume');
+    }
+  }
+
+  /**
+   * Write the held data now that the destination is back
+   */
+  release() {
+    if (!this.held) {
+      return;
+    }
+    this.held = false;
+    this.pump();
+  }
+
+  /**
+   * @param {string} stat - 'droppedBytes' or 'rejectedBytes'
+   * @param {number} bytes - Bytes lost to the overflow
+   */
+  recordOverflow(stat, bytes) {
+    this.stats.overflows++;
+    this.stats[stat] += bytes;
+    this.emit('overflow', { policy: this.policy, bytes });
+  }
+
+  /**
+   * Write queued data until the queue is empty
+   */
+  async pump() {
+    if (this.isWriting) {
+      return;
+    }
+
+    this.isWriting = true;
+    const generation = this.generation;
+    while (this.queue.length > 0 && !this.held) {
+      const entry = this.queue[0];
+      try {
+        await this.send(entry.data);
+        entry.resolve();
+      } catch (error) {
+        entry.reject(error);
+      }
+
+      // clear() has dropped the queue while this write was outstanding
+      if (generation !== this.generation) {
+        return;
+      }
+
+      this.queue.shift();
+      this.queuedBytes -= entry.data.length;
+
+      if (this.paused && this.queuedBytes <= this.highWaterMark / 2) {
+        this.paused = false;
+        this.emit('resume');
+      }
+    }
+    this.isWriting = false;
+  }
+
+  /**
+   * Drop everything queued, e.g. when the destination disconnects
+   * @param {string} reason - Why the data was dropped
+   */
+  clear(reason) {
+    const dropped = this.queue.splice(0);
+    this.queuedBytes = 0;
+    this.generation++;
+    this.isWriting = false;
+    dropped.forEach(entry => entry.reject(new Error(`${this.name} data dropped: ${reason}`)));
+
+    if (this.paused) {
+      this.paused = false;
+      this.emit('resume');
+    }
+  }
+
+  /**
+   * Get buffer occupancy and overflow statistics
+   * @returns {object} Buffer stats
+   */
+  getStats() {
+    return {
+      queuedBytes: this.queuedBytes,
+      queuedChunks: this.queue.length,
+      highWaterMark: this.highWaterMark,
+      policy: this.policy,
+      paused: this.paused,
+      held: this.held,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = {
+  OVERFLOW_POLICIES,
+  RelayBuffer,
+  writeWithBackpressure
+};
@@ -82,6 +82,24 @@ class Logger {
       ]
     });
 
+    // Audit trail of security-relevant events (e.g. blocked commands), one JSON object per line
+    this.auditLogger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.DailyRotateFile({
+          filename: path.join(this.logDir, 'audit-%DATE%.log'),
+          datePattern: 'YYYY-MM-DD',
+          zippedArchive: true,
+          maxSize: '20m',
+          maxFiles: '90d'
+        })
+      ]
+    });
+
     this.appLogger.info('Logger initialized', {
       logDir: this.logDir,
       logLevel: this.appLogger.level,
@@ -167,6 +185,10 @@ class Logger {
     return this.dataLogger;
   }
 
+  getAuditLogger() {
+    return this.auditLogger;
+  }
+
   // Utility method for safe object stringification
   safeStringify(obj, maxDepth = 3) {
     const seen = new WeakSet();
@@ -300,6 +322,7 @@ const loggerInstance = new Logger();
 module.exports = {
   logger: loggerInstance.getAppLogger(),
   dataLogger: loggerInstance.getDataLogger(),
+  auditLogger: loggerInstance.getAuditLogger(),
   loggerInstance,
   safeStringify: loggerInstance.safeStringify.bind(loggerInstance)
 };
\ No newline at end of file
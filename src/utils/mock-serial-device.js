@@ -0,0 +1,333 @@
+// src/utils/mock-serial-device.js
+const fs = require('fs');
+const EventEmitter = require('events');
+
+// Time allowed for the rest of a command before unmatched data is answered
+const DEFAULT_UNMATCHED_TIMEOUT = 200;
+
+// Unmatched data kept while waiting for a rule to match
+const MAX_PENDING_BYTES = 4096;
+
+/**
+ * Check a scenario rule (or the `unmatched` entry, which has no match)
+ * @param {object} rule - Scenario rule
+ * @param {string} label - Rule name used in messages
+ * @param {boolean} requireMatch - Whether the rule needs match or pattern
+ * @returns {Array<string>} Problems found
+ */
+function validateRule(rule, label, requireMatch) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return [`${label} must be an object`];
+  }
+
+  if (requireMatch) {
+    if ((rule.match === undefined) === (rule.pattern === undefined)) {
+      errors.push(`${label} needs exactly one of match or pattern`);
+    } else if (rule.match !== undefined && (typeof rule.match !== 'string' || rule.match === '')) {
+      errors.push(`${label} match must be a non-empty string`);
+    } else if (rule.pattern !== undefined) {
+      try {
+        new RegExp(rule.pattern);
+      } catch (error) {
+        errors.push(`${label} pattern is not a valid regular expression: ${error.message}`);
+      }
+    }
+  }
+
+  const replies = ['response', 'responseHex', 'echo'].filter(key => rule[key] !== undefined);
+  if (replies.length > 1) {
+    errors.push(`${label} can only have one of response, responseHex or echo`);
+  }
+  const responses = [].concat(rule.response ?? []);
+  if ((rule.response !== undefined && responses.length === 0) || responses.some(response => typeof response !== 'string')) {
+    errors.push(`${label} response must be a string or a non-empty array of strings`);
+  }
+  if (rule.responseHex !== undefined && (typeof rule.responseHex !== 'string' || !/^([0-9a-fA-F]{2})*$/.test(rule.responseHex))) {
+    errors.push(`${label} responseHex must be a hex string`);
+  }
+
+  if (rule.delay !== undefined && (!Number.isInteger(rule.delay) || rule.delay < 0)) {
+    errors.push(`${label} delay must be a non-negative integer`);
+  }
+  if (rule.fragment !== undefined) {
+    const { size, interval = 0 } = rule.fragment || {};
+    if (!Number.isInteger(size) || size < 1 || !Number.isInteger(interval) || interval < 0) {
+      errors.push(`${label} fragment needs a positive size and a non-negative interval`);
+    }
+  }
+  if (rule.corrupt !== undefined) {
+    const { probability = 1, bytes = 1 } = rule.corrupt || {};
+    if (typeof probability !== 'number' || probability < 0 || probability > 1 || !Number.isInteger(bytes) || bytes < 1) {
+      errors.push(`${label} corrupt needs a probability between 0 and 1 and a positive number of bytes`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a mock device scenario
+ * @param {object} scenario - Parsed scenario
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateScenario(scenario) {
+  if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+    return ['Scenario must be a JSON object'];
+  }
+
+  const errors = [];
+  if (!Array.isArray(scenario.rules)) {
+    errors.push('Scenario rules must be an array');
+  } else {
+    scenario.rules.forEach((rule, index) => {
+      errors.push(...validateRule(rule, `Rule ${index + 1}${rule?.name ? ` (${rule.name})` : ''}`, true));
+    });
+  }
+
+  if (scenario.unmatched !== undefined) {
+    errors.push(...validateRule(scenario.unmatched, 'Unmatched', false));
+  }
+  if (scenario.ready !== undefined && typeof scenario.ready !== 'string') {
+    errors.push('Scenario ready must be a string');
+  }
+  ['delay', 'unmatchedTimeout'].forEach((key) => {
+    if (scenario[key] !== undefined && (!Number.isInteger(scenario[key]) || scenario[key] < 0)) {
+      errors.push(`Scenario ${key} must be a non-negative integer`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Read and check a scenario file
+ * @param {string} file - Scenario JSON file
+ * @returns {object} Scenario
+ */
+function loadScenario(file) {
+  let scenario;
+  try {
+    scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read mock scenario ${file}: ${error.message}`);
+  }
+
+  const errors = validateScenario(scenario);
+  if (errors.length > 0) {
+    throw new Error(`Invalid mock scenario ${file}: ${errors.join('; ')}`);
+  }
+  return scenario;
+}
+
+/**
+ * Scripted serial device behind the mock serial port. Bytes written to the
+ * port are matched against the scenario rules, and the matching rule's
+ * response is fed back as if the device had sent it.
+ *
+ * Scenario: { rules: [{ match | pattern, response | responseHex | echo, delay,
+ * fragment: { size, interval }, corrupt: { probability, bytes } }], unmatched,
+ * unmatchedTimeout, delay, ready }
+ */
+class MockSerialDevice extends EventEmitter {
+  /**
+   * @param {object} scenario - Validated scenario
+   * @param {object} [options]
+   * @param {Function} [options.random] - Source of randomness for corruption
+   */
+  constructor(scenario, { random = Math.random } = {}) {
+    super();
+    this.scenario = scenario;
+    this.random = random;
+    this.rules = scenario.rules.map(rule => ({
+      ...rule,
+      regex: rule.pattern !== undefined ? new RegExp(rule.pattern) : null,
+      sent: 0
+    }));
+    this.unmatched = scenario.unmatched ? { ...scenario.unmatched, sent: 0 } : null;
+    this.binding = null;
+    this.pending = '';
+    this.timers = new Set();
+    this.unmatchedTimer = null;
+    this.stats = { requests: 0, unmatched: 0, responses: 0, corrupted: 0 };
+  }
+
+  /**
+   * Start answering writes to an open mock port binding
+   * @param {object} binding - MockPortBinding (serialport's `port.port`)
+   */
+  attach(binding) {
+    this.detach();
+    this.binding = binding;
+
+    const write = binding.write.bind(binding);
+    binding.write = async (buffer) => {
+      await write(buffer);
+      this.receive(buffer);
+    };
+
+    if (this.scenario.ready) {
+      this.send(Buffer.from(this.scenario.ready, 'latin1'), { delay: 0 });
+    }
+  }
+
+  /**
+   * Stop answering and cancel scheduled responses
+   */
+  detach() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    clearTimeout(this.unmatchedTimer);
+    this.unmatchedTimer = null;
+    this.pending = '';
+    this.binding = null;
+  }
+
+  /**
+   * Handle bytes written to the device
+   * @param {Buffer} data - Written bytes
+   */
+  receive(data) {
+    this.pending += data.toString('latin1');
+
+    let found;
+    while ((found = this.findRule())) {
+      const { rule, index, text } = found;
+      this.pending = this.pending.slice(index + text.length);
+      this.stats.requests++;
+      this.emit('request', { rule: rule.name || null, request: Buffer.from(text, 'latin1') });
+      this.respond(rule, text);
+    }
+
+    clearTimeout(this.unmatchedTimer);
+    this.unmatchedTimer = null;
+    if (this.pending.length > MAX_PENDING_BYTES) {
+      this.flushUnmatched();
+    } else if (this.pending) {
+      this.unmatchedTimer = setTimeout(() => this.flushUnmatched(),
+        this.scenario.unmatchedTimeout ?? DEFAULT_UNMATCHED_TIMEOUT);
+    }
+  }
+
+  /**
+   * Find the rule matching earliest in the pending data (first rule wins a tie)
+   * @returns {object|null} { rule, index, text }
+   */
+  findRule() {
+    let best = null;
+    this.rules.forEach((rule) => {
+      let index;
+      let text;
+      if (rule.regex) {
+        const match = rule.regex.exec(this.pending);
+        if (!match || match[0] === '') {
+          return;
+        }
+        index = match.index;
+        text = match[0];
+      } else {
+        index = this.pending.indexOf(rule.match);
+        text = rule.match;
+      }
+      if (index >= 0 && (!best || index < best.index)) {
+        best = { rule, index, text };
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Answer data no rule matched
+   */
+  flushUnmatched() {
+    const text = this.pending;
+    this.pending = '';
+    this.unmatchedTimer = null;
+    if (!text) {
+      return;
+    }
+
+    this.stats.unmatched++;
+    this.emit('unmatched', Buffer.from(text, 'latin1'));
+    if (this.unmatched) {
+      this.respond(this.unmatched, text);
+    }
+  }
+
+  /**
+   * Send a rule's response to a request
+   * @param {object} rule - Matched rule
+   * @param {string} request - Request text
+   */
+  respond(rule, request) {
+    let response;
+    if (rule.echo) {
+      response = Buffer.from(request, 'latin1');
+    } else if (rule.responseHex !== undefined) {
+      response = Buffer.from(rule.responseHex, 'hex');
+    } else if (rule.response !== undefined) {
+      // A list of responses is used in turn, repeating from the start
+      const responses = [].concat(rule.response);
+      response = Buffer.from(responses[rule.sent % responses.length], 'latin1');
+    }
+    rule.sent++;
+
+    if (response && response.length > 0) {
+      this.send(response, rule);
+    }
+  }
+
+  /**
+   * Deliver a response after the rule's delay, in fragments and corrupted if configured
+   * @param {Buffer} response - Response bytes
+   * @param {object} rule - Rule the response belongs to
+   */
+  send(response, rule) {
+    const data = rule.corrupt ? this.corrupt(response, rule.corrupt) : response;
+    const size = rule.fragment?.size || data.length;
+    const interval = rule.fragment?.interval || 0;
+    const delay = rule.delay ?? this.scenario.delay ?? 0;
+
+    this.stats.responses++;
+    for (let offset = 0, index = 0; offset < data.length; offset += size, index++) {
+      const chunk = data.subarray(offset, offset + size);
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        if (this.binding?.isOpen) {
+          this.binding.emitData(chunk);
+        }
+      }, delay + index * interval);
+      this.timers.add(timer);
+    }
+  }
+
+  /**
+   * Flip bits in random bytes of a response
+   * @param {Buffer} response - Response bytes
+   * @param {object} corrupt - { probability, bytes }
+   * @returns {Buffer} Response, changed or not
+   */
+  corrupt(response, { probability = 1, bytes = 1 }) {
+    if (this.random() >= probability) {
+      return response;
+    }
+
+    const data = Buffer.from(response);
+    for (let i = 0; i < bytes; i++) {
+      const index = Math.floor(this.random() * data.length);
+      data[index] ^= 1 + Math.floor(this.random() * 255);
+    }
+    this.stats.corrupted++;
+    return data;
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = {
+  MockSerialDevice,
+  loadScenario,
+  validateScenario
+};
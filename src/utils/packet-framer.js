@@ -0,0 +1,179 @@
+// src/utils/packet-framer.js
+const EventEmitter = require('events');
+
+const FRAMING_STRATEGIES = ['none', 'timeout', 'delimiter', 'fixed', 'length-prefixed'];
+
+/**
+ * Reassembles a byte stream into frames. Emits 'frame' (frame, info) for each
+ * complete frame, and for incomplete ones flushed after framingTimeout of
+ * silence or when framingMaxFrameSize is exceeded (info.incomplete = true).
+ *
+ * Strategies (serialFraming):
+ * - timeout: a frame ends after framingTimeout ms without data
+ * - delimiter: a frame ends with framingDelimiter plus framingTrailerLength bytes
+ * - fixed: every frame is framingLength bytes
+ * - length-prefixed: a framingLengthBytes length field gives the number of bytes that follow
+ */
+class PacketFramer extends EventEmitter {
+  constructor(config) {
+    super();
+    this.strategy = config.serialFraming;
+    this.timeout = config.framingTimeout ?? 50;
+    this.delimiter = Buffer.from(config.framingDelimiter || '\x03', 'latin1');
+    this.trailerLength = config.framingTrailerLength || 0;
+    this.frameLength = config.framingLength;
+    this.lengthBytes = config.framingLengthBytes || 2;
+    this.littleEndian = config.framingLengthEndian === 'le';
+    this.maxFrameSize = config.framingMaxFrameSize || 65536;
+    this.buffer = Buffer.alloc(0);
+    this.flushTimer = null;
+    this.stats = {
+      framesEmitted: 0,
+      incompleteFrames: 0,
+      overflows: 0
+    };
+  }
+
+  /**
+   * Feed received bytes
+   * @param {Buffer} data - Received data
+   */
+  push(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.strategy !== 'timeout') {
+      this.extractFrames();
+    }
+
+    if (this.buffer.length > this.maxFrameSize) {
+      this.stats.overflows++;
+      this.flush('overflow');
+      return;
+    }
+
+    // With no timeout configured an incomplete frame waits indefinitely
+    if (this.buffer.length > 0 && this.timeout > 0) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flush('timeout');
+      }, this.timeout);
+    }
+  }
+
+  /**
+   * Emit every complete frame in the buffer
+   */
+  extractFrames() {
+    let frameEnd;
+    while (this.buffer.length > 0 && (frameEnd = this.findFrameEnd()) > 0) {
+      const frame = this.buffer.subarray(0, frameEnd);
+      this.buffer = this.buffer.subarray(frameEnd);
+      this.emitFrame(frame, false);
+    }
+  }
+
+  /**
+   * Find where the first frame in the buffer ends
+   * @returns {number} Frame length, or 0 if the frame is not complete yet
+   */
+  findFrameEnd() {
+    switch (this.strategy) {
+      case 'delimiter': {
+        const index = this.buffer.indexOf(this.delimiter);
+        if (index === -1) {
+          return 0;
+        }
+        const end = index + this.delimiter.length + this.trailerLength;
+        return end <= this.buffer.length ? end : 0;
+      }
+
+      case 'fixed':
+        return this.buffer.length >= this.frameLength ? this.frameLength : 0;
+
+      case 'length-prefixed': {
+        if (this.buffer.length < this.lengthBytes) {
+          return 0;
+        }
+        const length = this.littleEndian ?
+          this.buffer.readUIntLE(0, this.lengthBytes) :
+          this.buffer.readUIntBE(0, this.lengthBytes);
+        const end = this.lengthBytes + length;
+        return end <= this.buffer.length ? end : 0;
+      }
+
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Emit whatever is buffered as one frame
+   * @param {string} reason - 'timeout', 'overflow' or 'close'
+   */
+  flush(reason) {
+    if (this.buffer.length === 0) {
+      return;
+    }
+
+    const frame = this.buffer;
+    this.buffer = Buffer.alloc(0);
+
+    // The inter-byte timeout is how the timeout strategy completes a frame
+    const incomplete = !(this.strategy === 'timeout' && reason === 'timeout');
+    this.emitFrame(frame, incomplete, reason);
+  }
+
+  /**
+   * @param {Buffer} frame - Frame data
+   * @param {boolean} incomplete - Whether the frame was cut short
+   * @param {string} [reason] - Why an incomplete frame was flushed
+   */
+  emitFrame(frame, incomplete, reason) {
+    this.stats.framesEmitted++;
+    if (incomplete) {
+      this.stats.incompleteFrames++;
+    }
+    this.emit('frame', frame, { incomplete, ...(incomplete && { reason }) });
+  }
+
+  /**
+   * Drop buffered data and pending timers, e.g. when the port closes
+   */
+  reset() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Get framing statistics
+   * @returns {object} Framing stats
+   */
+  getStats() {
+    return {
+      strategy: this.strategy,
+      bufferedBytes: this.buffer.length,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Create the framer selected by serialFraming
+ * @param {object} config - Relay configuration
+ * @returns {PacketFramer|null} Framer, or null to pass chunks through unchanged
+ */
+function createPacketFramer(config) {
+  if (!config.serialFraming || config.serialFraming === 'none') {
+    return null;
+  }
+  return new PacketFramer(config);
+}
+
+module.exports = {
+  FRAMING_STRATEGIES,
+  PacketFramer,
+  createPacketFramer
+};
@@ -0,0 +1,187 @@
+// src/utils/pty.js
+const fs = require('fs');
+const tty = require('tty');
+const { spawn } = require('child_process');
+const { Duplex } = require('stream');
+
+const PTY_MODES = ['none', 'create', 'attach'];
+
+// Time allowed for socat to create the pseudo-terminal
+const PTY_OPEN_TIMEOUT = 5000;
+
+/**
+ * Create a Linux pseudo-terminal reachable at `link`. Programs open the link
+ * like any serial port; what they write arrives on the returned stream and
+ * what is written to the stream reaches them. Requires socat.
+ * @param {string} link - Path of the symlink to the pseudo-terminal, e.g. /tmp/ttyV0
+ * @returns {Promise<object>} { path, link, stream, close }
+ */
+function openPty(link) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('socat', ['-d', '-d', `PTY,link=${link},rawer`, 'STDIO'], {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    let settled = false;
+    let log = '';
+
+    const fail = (error) => {
+      if (!settled) {
+        settled = true;
+        clearTimeout(timer);
+        child.kill();
+        reject(error);
+      }
+    };
+    const timer = setTimeout(() => fail(new Error(`Timed out creating pseudo-terminal ${link}`)), PTY_OPEN_TIMEOUT);
+
+    child.on('error', (error) => {
+      fail(error.code === 'ENOENT' ?
+        new Error('socat is required for pseudo-terminals (e.g. apt install socat)') :
+        error);
+    });
+
+    child.on('exit', (code) => {
+      fail(new Error(`socat exited with code ${code}: ${log.trim()}`));
+    });
+
+    // socat reports "PTY is /dev/pts/N" once the terminal exists
+    child.stderr.on('data', (data) => {
+      log += data.toString();
+      const match = /PTY is (\S+)/.exec(log);
+      if (match && !settled) {
+        settled = true;
+        clearTimeout(timer);
+        resolve({
+          path: match[1],
+          link,
+          stream: Duplex.from({ readable: child.stdout, writable: child.stdin }),
+          close: () => child.kill()
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Pseudo-terminal with the part of the SerialPort interface SerialClient
+ * uses, so the relay can drive a pty instead of a serial device:
+ * - create: make a pty at `path` for a local program to open (requires socat)
+ * - attach: open an existing pty at `path`, e.g. one end of a socat pair
+ * Line settings (baud rate, parity) do not apply to a pty.
+ */
+class PtyPort extends Duplex {
+  /**
+   * @param {object} options
+   * @param {string} options.path - Link to create, or pty to open
+   * @param {string} options.mode - 'create' or 'attach'
+   */
+  constructor({ path, mode }) {
+    super();
+    this.path = path;
+    this.mode = mode;
+    this.isOpen = false;
+    this.terminal = null; // Stream to the other end
+    this.pty = null; // socat process in create mode
+  }
+
+  /**
+   * @param {Function} [callback] - Called with an error, or null once open
+   */
+  open(callback) {
+    const opening = this.mode === 'create' ? this.create() : Promise.resolve().then(() => this.attach());
+
+    opening.then(() => {
+      this.isOpen = true;
+      this.emit('open');
+      callback?.(null);
+    }, (error) => {
+      if (callback) {
+        callback(error);
+      } else {
+        this.emit('error', error);
+      }
+    });
+  }
+
+  async create() {
+    this.pty = await openPty(this.path);
+    this.bind(this.pty.stream);
+  }
+
+  attach() {
+    const fd = fs.openSync(this.path, fs.constants.O_RDWR | fs.constants.O_NOCTTY);
+    if (!tty.isatty(fd)) {
+      fs.closeSync(fd);
+      throw new Error(`${this.path} is not a terminal`);
+    }
+
+    // A tty stream does non-blocking reads and writes; raw mode passes every byte unchanged
+    const terminal = new tty.ReadStream(fd);
+    terminal.setRawMode(true);
+    this.bind(terminal);
+  }
+
+  /**
+   * @param {stream.Duplex} terminal - Stream to the other end
+   */
+  bind(terminal) {
+    this.terminal = terminal;
+
+    terminal.on('data', (chunk) => {
+      if (!this.push(chunk)) {
+        terminal.pause();
+      }
+    });
+    terminal.on('error', (error) => {
+      if (this.isOpen) {
+        this.emit('error', error);
+      }
+    });
+    terminal.on('close', () => {
+      if (this.isOpen) {
+        this.release();
+        this.emit('close', new Error(`Pseudo-terminal ${this.path} closed`));
+      }
+    });
+  }
+
+  _read() {
+    this.terminal?.resume();
+  }
+
+  _write(chunk, encoding, callback) {
+    if (!this.terminal) {
+      callback(new Error('Port is not open'));
+      return;
+    }
+    this.terminal.write(chunk, callback);
+  }
+
+  /**
+   * @param {Function} [callback] - Called once closed
+   */
+  close(callback) {
+    if (!this.isOpen) {
+      callback?.(new Error('Port is not open'));
+      return;
+    }
+    this.release();
+    this.emit('close');
+    callback?.(null);
+  }
+
+  release() {
+    this.isOpen = false;
+    this.terminal?.removeAllListeners();
+    this.terminal?.destroy();
+    this.terminal = null;
+    this.pty?.close();
+    this.pty = null;
+  }
+}
+
+module.exports = {
+  PTY_MODES,
+  PtyPort,
+  openPty
+};
@@ -1,79 +1,264 @@
 // src/utils/retry-handler.js
+const EventEmitter = require('events');
 const { logger } = require('./logger');
 
+// What to do after a failed attempt
+const RETRY_POLICIES = [
+  'retry', // try again after the usual backoff
+  'fail', // give up at once
+  'backoff' // try again after longDelay
+];
+
+// Default policies for connection errors, by error code
+const CONNECTION_POLICIES = {
+  // The network or its name server is down, so trying again at once will not help
+  ENETUNREACH: 'backoff',
+  EHOSTUNREACH: 'backoff',
+  ENOTFOUND: 'backoff',
+  EAI_AGAIN: 'backoff',
+  // Invalid settings fail the same way every time
+  ERR_SOCKET_BAD_PORT: 'fail',
+  ERR_INVALID_ARG_TYPE: 'fail',
+  ERR_INVALID_ARG_VALUE: 'fail'
+};
+
 /**
- * Generic retry handler with exponential backoff
+ * Generic retry handler with exponential backoff, per-error policies,
+ * cancellation and an overall deadline
+ *
+ * Events: 'retry' ({ operation, attempt, delay, policy, error }),
+ * 'success' ({ operation, attempts }),
+ * 'failure' ({ operation, attempts, reason, error }) where reason is
+ * 'fatal', 'exhausted', 'timeout' or 'aborted'
  */
-class RetryHandler {
+class RetryHandler extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxRetries] - Attempts before giving up
+   * @param {number} [options.baseDelay] - Delay after the first failed attempt (ms)
+   * @param {number} [options.maxDelay] - Longest backoff delay (ms)
+   * @param {number} [options.backoffFactor] - Delay growth per attempt
+   * @param {boolean} [options.jitter] - Randomize delays by ±25%
+   * @param {number} [options.longDelay] - Delay for the 'backoff' policy (default: maxDelay)
+   * @param {number} [options.deadline] - Time budget of each execute() (ms, 0 for none)
+   * @param {object} [options.policies] - Policy by error code
+   * @param {Function} [options.classify] - Returns the policy for an error, or undefined to use policies
+   * @param {Function} [options.shouldRetry] - Returns false for errors that must not be retried
+   */
   constructor(options = {}) {
+    super();
     this.maxRetries = options.maxRetries || 3;
     this.baseDelay = options.baseDelay || 1000;
     this.maxDelay = options.maxDelay || 30000;
     this.backoffFactor = options.backoffFactor || 2;
     this.jitter = options.jitter || false;
+    this.longDelay = options.longDelay || this.maxDelay;
+    this.deadline = options.deadline || 0;
+    this.policies = options.policies || {};
+    this.classify = options.classify || (() => undefined);
+    this.shouldRetry = options.shouldRetry || (() => true);
+
+    Object.entries(this.policies).forEach(([code, policy]) => {
+      if (!RETRY_POLICIES.includes(policy)) {
+        throw new Error(`Unknown retry policy '${policy}' for ${code} (use ${RETRY_POLICIES.join(', ')})`);
+      }
+    });
   }
 
   /**
-   * Execute an async operation with retry logic
-   * @param {Function} operation - Async function to execute
+   * Decide what to do after a failed attempt
+   * @param {Error} error - Error of the attempt
+   * @returns {string} 'retry', 'fail' or 'backoff'
+   */
+  getPolicy(error) {
+    if (!this.shouldRetry(error)) {
+      return 'fail';
+    }
+    return this.classify(error) || this.policies[error.code] || 'retry';
+  }
+
+  /**
+   * Execute an async operation with retry logic. Aborting the signal or
+   * passing the deadline rejects at once, also during an attempt or a
+   * backoff delay; the operation's own signal is then aborted so it can
+   * release what it holds.
+   * @param {Function} operation - Async function to execute, called with (attempt, signal)
    * @param {string} operationName - Name for logging purposes
    * @param {object} context - Additional context for logging
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the operation
+   * @param {number} [options.deadline] - Time budget (ms), overriding the handler's
+   * @param {number} [options.maxRetries] - Attempts, overriding the handler's
    * @returns {Promise} - Result of the operation
    */
-  async execute(operation, operationName = 'operation', context = {}) {
+  async execute(operation, operationName = 'operation', context = {}, {
+    signal,
+    deadline = this.deadline,
+    maxRetries = this.maxRetries
+  } = {}) {
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    let cancelError = null;
+    let rejectCancelled;
+    const cancelled = new Promise((_, reject) => {
+      rejectCancelled = reject;
+    });
+    cancelled.catch(() => {});
+
+    const cancel = (error) => {
+      if (!cancelError) {
+        cancelError = error;
+        controller.abort();
+        rejectCancelled(error);
+      }
+    };
+    const onAbort = () => cancel(createAbortError(operationName));
+    const timeout = lastError => cancel(createDeadlineError(operationName, deadline, lastError));
+
+    if (signal?.aborted) {
+      onAbort();
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const deadlineTimer = deadline > 0 ? setTimeout(() => timeout(), deadline) : null;
+
+    try {
+      return await this.run(operation, operationName, context, {
+        maxRetries,
+        signal: controller.signal,
+        cancelled,
+        getCancelError: () => cancelError,
+        timeLeft: () => (deadline > 0 ? deadline - (Date.now() - startedAt) : Infinity),
+        timeout
+      });
+    } finally {
+      clearTimeout(deadlineTimer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * The attempts of one execute()
+   * @private
+   */
+  async run(operation, operationName, context, { maxRetries, signal, cancelled, getCancelError, timeLeft, timeout }) {
     let lastError;
     
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      if (getCancelError()) {
+        throw this.cancelled(getCancelError(), operationName, attempt - 1, lastError, context);
+      }
+
       try {
         logger.debug(`Attempting ${operationName}`, { 
           attempt, 
-          maxRetries: this.maxRetries,
+          maxRetries,
           ...context 
         });
         
-        const result = await operation(attempt);
+        const pending = Promise.resolve().then(() => operation(attempt, signal));
+        pending.catch(() => {});
+        const result = await Promise.race([pending, cancelled]);
         
         if (attempt > 1) {
           logger.info(`${operationName} succeeded after ${attempt} attempts`, context);
         }
         
+        this.emit('success', { operation: operationName, attempts: attempt });
         return result;
       } catch (error) {
+        // An aborted attempt may also fail with its own error
+        if (getCancelError()) {
+          throw this.cancelled(getCancelError(), operationName, attempt, lastError, context);
+        }
+
         lastError = error;
+        const policy = this.getPolicy(error);
         
         logger.warn(`${operationName} failed`, {
           attempt,
-          maxRetries: this.maxRetries,
+          maxRetries,
           error: error.message,
-          willRetry: attempt < this.maxRetries,
+          policy,
+          willRetry: policy !== 'fail' && attempt < maxRetries,
           ...context
         });
         
-        if (attempt === this.maxRetries) {
+        if (policy === 'fail') {
+          const fatalError = new Error(`${operationName} failed: ${error.message}`);
+          fatalError.originalError = error;
+          fatalError.code = error.code;
+          fatalError.attempts = attempt;
+          fatalError.retryable = false;
+          
+          logger.error(`${operationName} failed with a non-retryable error`, {
+            attempts: attempt,
+            finalError: error.message,
+            code: error.code,
+            ...context
+          });
+          
+          this.emit('failure', { operation: operationName, attempts: attempt, reason: 'fatal', error: fatalError });
+          throw fatalError;
+        }
+        
+        if (attempt === maxRetries) {
           break;
         }
         
-        const delay = this.calculateDelay(attempt);
-        logger.debug(`Retrying ${operationName} in ${delay}ms`);
-        await this.sleep(delay);
+        const delay = policy === 'backoff' ? this.longDelay : this.calculateDelay(attempt);
+
+        // No point waiting for an attempt the deadline would cut short
+        if (delay >= timeLeft()) {
+          timeout(error);
+          throw this.cancelled(getCancelError(), operationName, attempt, lastError, context);
+        }
+
+        logger.debug(`Retrying ${operationName} in ${delay}ms`, { policy });
+        this.emit('retry', { operation: operationName, attempt, delay, policy, error });
+        await this.sleep(delay, signal);
+        if (getCancelError()) {
+          throw this.cancelled(getCancelError(), operationName, attempt, lastError, context);
+        }
       }
     }
     
     const finalError = new Error(
-      `${operationName} failed after ${this.maxRetries} attempts: ${lastError.message}`
+      `${operationName} failed after ${maxRetries} attempts: ${lastError.message}`
     );
     finalError.originalError = lastError;
-    finalError.attempts = this.maxRetries;
+    finalError.code = lastError.code;
+    finalError.attempts = maxRetries;
     
     logger.error(`${operationName} permanently failed`, {
-      attempts: this.maxRetries,
+      attempts: maxRetries,
       finalError: lastError.message,
       ...context
     });
     
+    this.emit('failure', { operation: operationName, attempts: maxRetries, reason: 'exhausted', error: finalError });
     throw finalError;
   }
 
+  /**
+   * Log and report an execute() ended by its signal or deadline
+   * @private
+   * @returns {Error} The cancellation error, to throw
+   */
+  cancelled(error, operationName, attempts, lastError, context) {
+    const reason = error.code === 'ABORT_ERR' ? 'aborted' : 'timeout';
+    error.attempts = attempts;
+    error.originalError = lastError;
+
+    logger.warn(reason === 'aborted' ? `${operationName} cancelled` : `${operationName} ran out of time`, {
+      attempts,
+      lastError: lastError?.message,
+      ...context
+    });
+
+    this.emit('failure', { operation: operationName, attempts, reason, error });
+    return error;
+  }
+
   /**
    * Calculate delay for next retry with exponential backoff
    * @param {number} attempt - Current attempt number
@@ -95,13 +280,49 @@ class RetryHandler {
   /**
    * Sleep for specified duration
    * @param {number} ms - Milliseconds to sleep
+   * @param {AbortSignal} [signal] - Ends the sleep early
    * @returns {Promise} - Promise that resolves after delay
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal) {
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      signal?.addEventListener('abort', done, { once: true });
+    });
   }
 }
 
+/**
+ * @param {string} operationName - Operation that was cancelled
+ * @returns {Error} Error with code ABORT_ERR
+ */
+function createAbortError(operationName) {
+  const error = new Error(`${operationName} cancelled`);
+  error.name = 'AbortError';
+  error.code = 'ABORT_ERR';
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * @param {string} operationName - Operation that ran out of time
+ * @param {number} deadline - Its time budget (ms)
+ * @param {Error} [lastError] - Failure that would have been retried after the deadline
+ * @returns {Error} Error with code ETIMEDOUT
+ */
+function createDeadlineError(operationName, deadline, lastError) {
+  const error = new Error(lastError ?
+    `${operationName} cannot be retried within ${deadline}ms: ${lastError.message}` :
+    `${operationName} did not succeed within ${deadline}ms`);
+  error.code = 'ETIMEDOUT';
+  error.retryable = false;
+  return error;
+}
+
 /**
  * Create a retry handler with common connection settings
  * @param {object} options - Override options
@@ -114,7 +335,8 @@ function createConnectionRetryHandler(options = {}) {
     maxDelay: 15000,
     backoffFactor: 2,
     jitter: true,
-    ...options
+    ...options,
+    policies: { ...CONNECTION_POLICIES, ...options.policies }
   });
 }
 
@@ -135,6 +357,8 @@ function createQuickRetryHandler(options = {}) {
 }
 
 module.exports = {
+  CONNECTION_POLICIES,
+  RETRY_POLICIES,
   RetryHandler,
   createConnectionRetryHandler,
   createQuickRetryHandler
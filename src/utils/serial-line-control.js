@@ -0,0 +1,123 @@
+// src/utils/serial-line-control.js
+const { drainPort } = require('./write-pacing');
+
+const SIGNAL_LEVELS = ['default', 'on', 'off'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * SerialPort open options for flow control and hang-up on close
+ * @param {object} config - Relay configuration
+ * @returns {object} { rtscts, xon, xoff, hupcl }
+ */
+function getLineOpenOptions(config) {
+  return {
+    rtscts: Boolean(config.serialRtsCts),
+    xon: Boolean(config.serialXonXoff),
+    xoff: Boolean(config.serialXonXoff),
+    hupcl: config.serialHupcl !== false
+  };
+}
+
+/**
+ * Drives the modem control lines of an open serial port: DTR/RTS levels
+ * after opening, a BREAK before each command, and RTS as the transmit
+ * enable of an RS-485 converter around each write.
+ */
+class SerialLineControl {
+  /**
+   * @param {object} port - Open SerialPort
+   * @param {object} config - Relay configuration
+   */
+  constructor(port, config) {
+    this.port = port;
+    this.config = config;
+
+    // SerialPort.set() writes every flag at once, so the current levels are
+    // kept here; both lines are raised by the driver when the port opens
+    this.state = { dtr: true, rts: true, brk: false };
+  }
+
+  /**
+   * Set the lines to their configured levels after the port has opened
+   */
+  async apply() {
+    const levels = {};
+    if (this.config.serialDtr && this.config.serialDtr !== 'default') {
+      levels.dtr = this.config.serialDtr === 'on';
+    }
+
+    if (this.config.serialRs485) {
+      // Receive until there is something to send
+      levels.rts = !this.isRtsOnSend();
+    } else if (this.config.serialRts && this.config.serialRts !== 'default' && !this.config.serialRtsCts) {
+      levels.rts = this.config.serialRts === 'on';
+    }
+
+    if (Object.keys(levels).length > 0) {
+      await this.set(levels);
+    }
+  }
+
+  /**
+   * Send a BREAK and enable the RS-485 transmitter, as configured
+   */
+  async beforeWrite() {
+    if (this.config.serialBreakDuration > 0) {
+      await this.set({ brk: true });
+      await sleep(this.config.serialBreakDuration);
+      await this.set({ brk: false });
+    }
+
+    if (this.config.serialRs485) {
+      await this.set({ rts: this.isRtsOnSend() });
+      if (this.config.serialRs485DelayBeforeSend > 0) {
+        await sleep(this.config.serialRs485DelayBeforeSend);
+      }
+    }
+  }
+
+  /**
+   * Release the RS-485 line once the last byte has left the UART, also
+   * when draining fails
+   */
+  async afterWrite() {
+    if (!this.config.serialRs485) {
+      return;
+    }
+
+    try {
+      await drainPort(this.port);
+      if (this.config.serialRs485DelayAfterSend > 0) {
+        await sleep(this.config.serialRs485DelayAfterSend);
+      }
+    } finally {
+      await this.set({ rts: !this.isRtsOnSend() });
+    }
+  }
+
+  isRtsOnSend() {
+    return this.config.serialRs485RtsOnSend !== false;
+  }
+
+  /**
+   * @param {object} levels - Lines to change ({ dtr, rts, brk })
+   * @returns {Promise<void>}
+   */
+  set(levels) {
+    this.state = { ...this.state, ...levels };
+    return new Promise((resolve, reject) => {
+      this.port.set(this.state, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  getState() {
+    return { ...this.state };
+  }
+}
+
+module.exports = {
+  SIGNAL_LEVELS,
+  SerialLineControl,
+  getLineOpenOptions
+};
@@ -0,0 +1,133 @@
+// src/utils/serial-port-matcher.js
+const fs = require('fs');
+
+// Fields of a USB matcher, compared with the port metadata from SerialPort.list()
+const MATCHER_KEYS = ['vendorId', 'productId', 'serialNumber'];
+
+// Stable udev links that follow a device to whichever ttyUSB/ttyACM it gets
+const STABLE_LINK_DIRS = ['/dev/serial/by-id/', '/dev/serial/by-path/'];
+
+/**
+ * @param {*} serialPath - serialPath setting
+ * @returns {boolean} True for a USB matcher ({ vendorId, productId, serialNumber })
+ */
+function isUsbMatcher(serialPath) {
+  return Boolean(serialPath) && typeof serialPath === 'object' && !Array.isArray(serialPath);
+}
+
+/**
+ * USB IDs are hex; SerialPort.list() reports them lowercase without 0x
+ */
+function normalizeId(value) {
+  return String(value).toLowerCase().replace(/^0x/, '');
+}
+
+/**
+ * Check whether a listed port is the device a matcher describes
+ * @param {object} matcher - { vendorId, productId, serialNumber }, any subset
+ * @param {object} port - Entry of SerialPort.list()
+ * @returns {boolean}
+ */
+function matchesPort(matcher, port) {
+  return MATCHER_KEYS.every((key) => {
+    if (matcher[key] === undefined) {
+      return true;
+    }
+    if (port[key] === undefined || port[key] === null) {
+      return false;
+    }
+    return key === 'serialNumber' ?
+      String(port[key]) === String(matcher[key]) :
+      normalizeId(port[key]) === normalizeId(matcher[key]);
+  });
+}
+
+/**
+ * Readable form of a serialPath setting for logs and status
+ * @param {string|object} serialPath - Path or USB matcher
+ * @returns {string}
+ */
+function describeSerialPath(serialPath) {
+  if (!isUsbMatcher(serialPath)) {
+    return String(serialPath);
+  }
+  const id = [serialPath.vendorId, serialPath.productId].map(value => (value ? normalizeId(value) : '*')).join(':');
+  return `USB ${id}${serialPath.serialNumber ? ` serial ${serialPath.serialNumber}` : ''}`;
+}
+
+/**
+ * Check a serialPath setting
+ * @param {string|object} serialPath - Path or USB matcher
+ * @returns {Array<string>} Problems found
+ */
+function validateSerialPath(serialPath) {
+  if (!isUsbMatcher(serialPath)) {
+    return typeof serialPath === 'string' && serialPath ? [] : ['must be a path or a USB matcher'];
+  }
+
+  const errors = [];
+  const unknown = Object.keys(serialPath).filter(key => !MATCHER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`USB matcher has unknown fields: ${unknown.join(', ')} (use ${MATCHER_KEYS.join(', ')})`);
+  }
+  if (!MATCHER_KEYS.some(key => serialPath[key] !== undefined)) {
+    errors.push(`USB matcher needs at least one of ${MATCHER_KEYS.join(', ')}`);
+  }
+  ['vendorId', 'productId'].forEach((key) => {
+    if (serialPath[key] !== undefined && !/^(0x)?[0-9a-fA-F]{1,4}$/.test(String(serialPath[key]))) {
+      errors.push(`USB matcher ${key} must be a hex ID such as "0403"`);
+    }
+  });
+  if (serialPath.serialNumber !== undefined && (typeof serialPath.serialNumber !== 'string' || !serialPath.serialNumber)) {
+    errors.push('USB matcher serialNumber must be a non-empty string');
+  }
+  return errors;
+}
+
+/**
+ * Find the device to open for a serialPath setting. Plain paths are used
+ * as they are; /dev/serial links are followed to the current device; USB
+ * matchers are looked up in the listed ports. Called on every connection
+ * attempt so a re-plugged device is found again under its new name.
+ * @param {string|object} serialPath - Path, /dev/serial link or USB matcher
+ * @param {Function} listPorts - Returns SerialPort.list() entries
+ * @returns {Promise<object>} { path, port } where port is the listed port, if known
+ */
+async function resolveSerialPath(serialPath, listPorts) {
+  if (!isUsbMatcher(serialPath)) {
+    if (!STABLE_LINK_DIRS.some(dir => serialPath.startsWith(dir))) {
+      return { path: serialPath, port: null };
+    }
+
+    try {
+      return { path: fs.realpathSync(serialPath), port: null };
+    } catch (error) {
+      const notFound = new Error(`No such file or directory, cannot open ${serialPath} (device not plugged in?)`);
+      notFound.code = 'ENOENT';
+      throw notFound;
+    }
+  }
+
+  const matches = (await listPorts()).filter(port => matchesPort(serialPath, port));
+  if (matches.length === 0) {
+    const error = new Error(`No serial device matches ${describeSerialPath(serialPath)}`);
+    error.code = 'ENOENT';
+    throw error;
+  }
+  if (matches.length > 1) {
+    const error = new Error(`${matches.length} serial devices match ${describeSerialPath(serialPath)} ` +
+      `(${matches.map(port => port.path).join(', ')}); add serialNumber to tell them apart`);
+    error.code = 'EAMBIGUOUS';
+    throw error;
+  }
+  return { path: matches[0].path, port: matches[0] };
+}
+
+module.exports = {
+  MATCHER_KEYS,
+  describeSerialPath,
+  isUsbMatcher,
+  matchesPort,
+  resolveSerialPath,
+  validateSerialPath
+};
@@ -30,6 +30,7 @@ class StatusManager {
     this.connections = new Map();
     this.shutdownHandlers = [];
     this.isShuttingDown = false;
+    this.reportingInterval = null;
 
     this.setupSignalHandlers();
   }
@@ -42,22 +43,66 @@ class StatusManager {
       message: "Initializing...",
       error: null,
       connections: {},
-      metrics: {
-        // TCP to Serial metrics
-        bytesTransferredTcpToSerial: 0,
-        bytesTransferredSerialToTcp: 0,
-        // TCP to TCP metrics
-        bytesTransferredTcpToSecondaryTcp: 0,
-        bytesTransferredSecondaryTcpToTcp: 0,
-        // General metrics
-        totalConnections: 0,
-        dataTransfers: 0,
-        errors: 0,
-      },
+      channels: {},
+      metrics: this.createInitialMetrics(),
       duration: 0,
     };
   }
 
+  createInitialMetrics() {
+    return {
+      // TCP to Serial metrics
+      bytesTransferredTcpToSerial: 0,
+      bytesTransferredSerialToTcp: 0,
+      // TCP to TCP metrics
+      bytesTransferredTcpToSecondaryTcp: 0,
+      bytesTransferredSecondaryTcpToTcp: 0,
+      // General metrics
+      totalConnections: 0,
+      reconnections: 0,
+      disconnections: 0,
+      circuitBreakerTrips: 0,
+      retries: 0,
+      retryFailures: 0,
+      failovers: 0,
+      dataTransfers: 0,
+      framesReceived: 0,
+      incompleteFrames: 0,
+      commandTimeouts: 0,
+      gaugePolls: 0,
+      bufferOverflows: 0,
+      bytesDropped: 0,
+      commandsBlocked: 0,
+      errors: 0,
+    };
+  }
+
+  /**
+   * Get (and lazily create) the status entry of a relay channel
+   * @param {string} channelId - Channel identifier
+   * @returns {object} Channel status
+   */
+  getChannelStatus(channelId) {
+    if (!this.status.channels[channelId]) {
+      this.status.channels[channelId] = {
+        message: "",
+        connections: {},
+        metrics: this.createInitialMetrics(),
+      };
+    }
+    return this.status.channels[channelId];
+  }
+
+  /**
+   * Update the status of a single relay channel
+   * @param {string} channelId - Channel identifier
+   * @param {object} updates - Status updates
+   */
+  updateChannel(channelId, updates) {
+    Object.assign(this.getChannelStatus(channelId), updates);
+    logger.debug(`Channel ${channelId} status updated`, updates);
+  }
+
   /**
    * Update status with new values
    * @param {object} updates - Status updates
@@ -77,16 +122,21 @@ class StatusManager {
    * Update connection status
    * @param {string} connectionType - Type of connection (tcp, serial, secondary)
    * @param {object} connectionStatus - Connection details
+   * @param {string|null} channelId - Channel the connection belongs to (top level if omitted)
    */
-  updateConnection(connectionType, connectionStatus) {
-    this.status.connections[connectionType] = {
-      ...this.status.connections[connectionType],
+  updateConnection(connectionType, connectionStatus, channelId = null) {
+    const connections = channelId
+      ? this.getChannelStatus(channelId).connections
+      : this.status.connections;
+
+    connections[connectionType] = {
+      ...connections[connectionType],
       ...connectionStatus,
       lastUpdate: new Date().toISOString(),
     };
 
     logger.debug(
-      `${connectionType} connection status updated`,
+      `${channelId ? `${channelId}/` : ""}${connectionType} connection status updated`,
       connectionStatus
     );
   }
@@ -95,14 +145,22 @@ class StatusManager {
    * Increment metrics
    * @param {string} metric - Metric name
    * @param {number} value - Value to add (default: 1)
+   * @param {string|null} channelId - Channel to also attribute the value to
    */
-  incrementMetric(metric, value = 1) {
+  incrementMetric(metric, value = 1, channelId = null) {
     if (this.status.metrics.hasOwnProperty(metric)) {
       this.status.metrics[metric] += value;
       logger.debug(
         `Metric updated: ${metric} = ${this.status.metrics[metric]}`
       );
     }
+
+    if (channelId) {
+      const channelMetrics = this.getChannelStatus(channelId).metrics;
+      if (channelMetrics.hasOwnProperty(metric)) {
+        channelMetrics[metric] += value;
+      }
+    }
   }
 
   /**
@@ -143,6 +201,36 @@ class StatusManager {
     this.shutdownHandlers.push(handler);
   }
 
+  /**
+   * Periodically post the current status while the process keeps running
+   * (daemon mode never reaches shutdown, where status is normally posted)
+   * @param {number} intervalMs - Interval between status posts
+   */
+  startPeriodicReporting(intervalMs) {
+    this.stopPeriodicReporting();
+
+    this.reportingInterval = setInterval(async () => {
+      try {
+        await this.postStatusToEndpoint(this.getStatus());
+        logger.debug("Periodic status posted to endpoint");
+      } catch (error) {
+        logger.warn("Periodic status post failed", { error: error.message });
+      }
+    }, intervalMs);
+
+    logger.info(`Periodic status reporting started (every ${intervalMs}ms)`);
+  }
+
+  /**
+   * Stop periodic status reporting
+   */
+  stopPeriodicReporting() {
+    if (this.reportingInterval) {
+      clearInterval(this.reportingInterval);
+      this.reportingInterval = null;
+    }
+  }
+
   /**
    * Enhanced graceful shutdown with comprehensive error handling
    */
@@ -153,6 +241,7 @@ class StatusManager {
     }
 
     this.isShuttingDown = true;
+    this.stopPeriodicReporting();
     const startTime = Date.now();
     let statusPosted = false;
     let logsPosted = false;
@@ -519,15 +608,19 @@ module.exports = {
   statusManager,
   getStatus: () => statusManager.getStatus(),
   updateStatus: (updates) => statusManager.update(updates),
-  updateConnection: (type, status) =>
-    statusManager.updateConnection(type, status),
-  incrementMetric: (metric, value) =>
-    statusManager.incrementMetric(metric, value),
+  updateConnection: (type, status, channelId) =>
+    statusManager.updateConnection(type, status, channelId),
+  updateChannel: (channelId, updates) =>
+    statusManager.updateChannel(channelId, updates),
+  incrementMetric: (metric, value, channelId) =>
+    statusManager.incrementMetric(metric, value, channelId),
   registerConnection: (name, connection) =>
     statusManager.registerConnection(name, connection),
   shutdown: (success, message, exitCode) =>
     statusManager.shutdown(success, message, exitCode),
   onShutdown: (handler) => statusManager.onShutdown(handler),
+  startPeriodicReporting: (intervalMs) =>
+    statusManager.startPeriodicReporting(intervalMs),
   setConfig,
   setUpdateConfigFunc,
 };
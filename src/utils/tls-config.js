@@ -0,0 +1,107 @@
+// src/utils/tls-config.js
+const fs = require('fs');
+const net = require('net');
+
+// Certificate verification failures reported by OpenSSL / Node's TLS layer
+const CERTIFICATE_ERROR_CODES = [
+  'CERT_HAS_EXPIRED',
+  'CERT_NOT_YET_VALID',
+  'CERT_REVOKED',
+  'CERT_UNTRUSTED',
+  'CERT_REJECTED',
+  'CERT_SIGNATURE_FAILURE',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'UNABLE_TO_GET_ISSUER_CERT',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'HOSTNAME_MISMATCH',
+  'ERR_TLS_CERT_ALTNAME_INVALID'
+];
+
+/**
+ * Check if an error means the TLS peer or our own certificate was rejected,
+ * or our certificate files could not be loaded. Retrying cannot fix these,
+ * so they should fail fast.
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if certificate error
+ */
+function isTlsCertificateError(error) {
+  if (!error?.code) {
+    return false;
+  }
+
+  // Unreadable or malformed certificate/key files
+  if (error.code === 'TLS_CONFIG_ERROR' || /^ERR_OSSL_/.test(error.code)) {
+    return true;
+  }
+
+  // Alerts sent by the peer when it rejects our client certificate
+  if (/^ERR_SSL_.*(CERTIFICATE|UNKNOWN_CA)/.test(error.code)) {
+    return true;
+  }
+
+  return CERTIFICATE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Read a PEM file referenced by the config
+ * @param {string} filePath - Path to the file
+ * @param {string} label - What the file is, for error messages
+ * @returns {Buffer|undefined} File contents, or undefined if no path is set
+ */
+function readPemFile(filePath, label) {
+  if (!filePath) {
+    return undefined;
+  }
+
+  try {
+    return fs.readFileSync(filePath);
+  } catch (error) {
+    const readError = new Error(`Cannot read TLS ${label} ${filePath}: ${error.message}`);
+    readError.code = 'TLS_CONFIG_ERROR';
+    throw readError;
+  }
+}
+
+/**
+ * Build the TLS options shared by the upstream client and server.
+ * With tlsCaPath set only that CA is trusted (CA pinning); tlsCertPath and
+ * tlsKeyPath supply our certificate for mutual TLS.
+ * @param {object} config - Relay configuration
+ * @returns {object} Options for tls.connect / tls.createServer
+ */
+function loadTlsOptions(config) {
+  const options = {
+    rejectUnauthorized: config.tlsRejectUnauthorized !== false
+  };
+
+  const ca = readPemFile(config.tlsCaPath, 'CA certificate');
+  const cert = readPemFile(config.tlsCertPath, 'certificate');
+  const key = readPemFile(config.tlsKeyPath, 'private key');
+
+  if (ca) options.ca = ca;
+  if (cert) options.cert = cert;
+  if (key) options.key = key;
+
+  return options;
+}
+
+/**
+ * Get the server name to verify the upstream certificate against
+ * @param {object} config - Relay configuration
+ * @param {string} host - Host being connected to
+ * @returns {string|undefined} Server name (SNI), undefined for bare IPs
+ */
+function getTlsServername(config, host) {
+  if (config.tlsServername) {
+    return config.tlsServername;
+  }
+  return net.isIP(host) ? undefined : host;
+}
+
+module.exports = {
+  isTlsCertificateError,
+  loadTlsOptions,
+  getTlsServername
+};
@@ -0,0 +1,150 @@
+// src/utils/upstream-auth.js
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Longest handshake line accepted before the exchange is treated as invalid
+const MAX_LINE_LENGTH = 512;
+
+/**
+ * Compute the answer to an upstream challenge
+ * @param {string} secret - Per-device shared secret
+ * @param {string} deviceId - Identifier sent to the server
+ * @param {string} nonce - Nonce received from the server
+ * @returns {string} Hex encoded HMAC-SHA256 of "<deviceId>:<nonce>"
+ */
+function computeChallengeResponse(secret, deviceId, nonce) {
+  return crypto.createHmac('sha256', secret).update(`${deviceId}:${nonce}`).digest('hex');
+}
+
+/**
+ * Create an authentication error
+ * @param {string} message - Error message
+ * @returns {Error} Error with phase 'authentication'
+ */
+function createAuthError(message) {
+  const error = new Error(`Upstream authentication failed: ${message}`);
+  error.code = 'UPSTREAM_AUTH_FAILED';
+  error.phase = 'authentication';
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Challenge-response handshake run on the upstream connection after the
+ * device ID has been sent. Line based:
+ *
+ *   server: CHALLENGE <nonce>
+ *   relay:  RESPONSE <hex hmac-sha256(secret, "<deviceId>:<nonce>")>
+ *   server: AUTH OK | AUTH FAIL [reason]
+ */
+class UpstreamHandshake {
+  /**
+   * @param {object} options
+   * @param {string} options.deviceId - Identifier sent to the server
+   * @param {string} options.secret - Per-device shared secret
+   * @param {number} options.timeout - Time allowed for the whole exchange (ms)
+   * @param {Function} options.send - Writes a line to the server, returns a Promise
+   */
+  constructor({ deviceId, secret, timeout, send }) {
+    this.deviceId = deviceId;
+    this.secret = secret;
+    this.timeout = timeout;
+    this.send = send;
+    this.buffer = '';
+    this.timer = null;
+    this.settle = null;
+  }
+
+  /**
+   * Wait for the server to complete the handshake
+   * @returns {Promise<Buffer>} Resolves with any bytes received after AUTH OK
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.timer = setTimeout(() => {
+        this.finish(createAuthError(`no acknowledgement within ${this.timeout}ms`));
+      }, this.timeout);
+
+      this.settle = (error, remainder) => (error ? reject(error) : resolve(remainder));
+    });
+  }
+
+  /**
+   * Feed data received from the server
+   * @param {Buffer} data - Received data
+   */
+  handleData(data) {
+    if (!this.settle) {
+      return;
+    }
+
+    this.buffer += data.toString('latin1');
+
+    let newline;
+    while (this.settle && (newline = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newline).replace(/\r$/, '').trim();
+      this.buffer = this.buffer.slice(newline + 1);
+      this.handleLine(line);
+    }
+
+    if (this.settle && this.buffer.length > MAX_LINE_LENGTH) {
+      this.finish(createAuthError('unexpected data from server'));
+    }
+  }
+
+  /**
+   * Handle one line of the handshake
+   * @param {string} line - Line without terminator
+   */
+  handleLine(line) {
+    if (line === '') {
+      return;
+    }
+
+    const [command, ...args] = line.split(/\s+/);
+
+    if (command === 'CHALLENGE' && args[0]) {
+      logger.debug('Upstream authentication challenge received');
+      const response = computeChallengeResponse(this.secret, this.deviceId, args[0]);
+      this.send(`RESPONSE ${response}\n`).catch((error) => {
+        this.finish(createAuthError(`could not send response: ${error.message}`));
+      });
+    } else if (command === 'AUTH' && args[0] === 'OK') {
+      this.finish(null, Buffer.from(this.buffer, 'latin1'));
+    } else if (command === 'AUTH' && args[0] === 'FAIL') {
+      this.finish(createAuthError(args.slice(1).join(' ') || 'rejected by server'));
+    } else {
+      this.finish(createAuthError(`unexpected message "${line.slice(0, 40)}"`));
+    }
+  }
+
+  /**
+   * Abort the handshake, e.g. because the connection dropped
+   * @param {string} reason - Why it was aborted
+   */
+  cancel(reason) {
+    this.finish(createAuthError(reason));
+  }
+
+  /**
+   * Settle the handshake once
+   * @param {Error|null} error - Failure, or null on success
+   * @param {Buffer} remainder - Bytes received after AUTH OK
+   */
+  finish(error, remainder = Buffer.alloc(0)) {
+    if (!this.settle) {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    const settle = this.settle;
+    this.settle = null;
+    this.buffer = '';
+    settle(error, remainder);
+  }
+}
+
+module.exports = {
+  UpstreamHandshake,
+  computeChallengeResponse
+};
@@ -0,0 +1,109 @@
+// src/utils/write-pacing.js
+const { writeWithBackpressure } = require('./flow-control');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until the port has transmitted everything written to it. A
+ * pseudo-terminal has nothing to drain.
+ * @param {object} port - Open serial port
+ * @returns {Promise<void>}
+ */
+function drainPort(port) {
+  if (typeof port.drain !== 'function') {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    port.drain(error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Slows writes down for devices that lose characters when a command
+ * arrives in one burst:
+ * - serialCharDelay: pause between the bytes of a command
+ * - serialCommandGap: minimum quiet time between the end of one command and
+ *   the start of the next
+ * - serialSettleTime: wait after a command has been sent before the write
+ *   counts as complete
+ */
+class WritePacer {
+  /**
+   * @param {object} config - Relay configuration
+   */
+  constructor(config) {
+    this.charDelay = config.serialCharDelay || 0;
+    this.commandGap = config.serialCommandGap || 0;
+    this.settleTime = config.serialSettleTime || 0;
+    this.lastWriteEnd = 0;
+    this.stats = { commands: 0, gapWaits: 0, gapWaitTime: 0 };
+  }
+
+  /**
+   * @returns {boolean} Whether any pacing is configured
+   */
+  isEnabled() {
+    return this.charDelay > 0 || this.commandGap > 0 || this.settleTime > 0;
+  }
+
+  /**
+   * Wait out the rest of the gap since the previous command
+   */
+  async beforeWrite() {
+    const remaining = this.lastWriteEnd + this.commandGap - Date.now();
+    if (this.commandGap > 0 && remaining > 0) {
+      this.stats.gapWaits++;
+      this.stats.gapWaitTime += remaining;
+      await sleep(remaining);
+    }
+  }
+
+  /**
+   * Write one command, a byte at a time when an inter-character delay is set
+   * @param {object} port - Open serial port
+   * @param {Buffer} data - Command to write
+   */
+  async write(port, data) {
+    this.stats.commands++;
+
+    if (this.charDelay > 0) {
+      for (let i = 0; i < data.length; i++) {
+        if (i > 0) {
+          await sleep(this.charDelay);
+        }
+        await writeWithBackpressure(port, data.subarray(i, i + 1));
+        // Without draining, the driver would still send the bytes back to back
+        await drainPort(port);
+      }
+    } else {
+      await writeWithBackpressure(port, data);
+      if (this.isEnabled()) {
+        await drainPort(port);
+      }
+    }
+  }
+
+  /**
+   * Let the device settle after a command and start timing the gap
+   */
+  async afterWrite() {
+    this.lastWriteEnd = Date.now();
+    if (this.settleTime > 0) {
+      await sleep(this.settleTime);
+    }
+  }
+
+  getStats() {
+    return {
+      charDelay: this.charDelay,
+      commandGap: this.commandGap,
+      settleTime: this.settleTime,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = {
+  WritePacer,
+  drainPort
+};
@@ -27,6 +27,7 @@ const logger = winston.createLogger({
 
 const MOCK_TCP_HOST = process.env.MOCK_TCP_HOST || '0.0.0.0'; // Listen on all interfaces
 const MOCK_TCP_PORT = process.env.MOCK_TCP_PORT || 10003; // Default secondary TCP port
+const CLOSE_AFTER_RESPONSE = process.env.CLOSE_AFTER_RESPONSE === 'true'; // Hang up after each response, like gauges that need secondaryTcpMode "transaction"
 
 // Timeout settings
 const NO_COMMAND_TIMEOUT = 15000; // 15 seconds
@@ -260,6 +261,15 @@ UPTIME: 15 DAYS
 
         logger.info(`Response sent successfully to ${clientId}`);
         
+        if (CLOSE_AFTER_RESPONSE) {
+          const closeTimeout = setTimeout(() => {
+            logger.info(`Closing connection to ${clientId} after response`);
+            this.cleanupConnection(socket);
+          }, CLOSE_DELAY);
+          this.commandTimeouts.set(socket, closeTimeout);
+          return;
+        }
+
         // Set a new timeout for the next command
         const newTimeout = setTimeout(() => {
           logger.warn(`No follow-up command received from ${clientId}. Closing connection.`);
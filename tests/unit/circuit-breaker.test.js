@@ -0,0 +1,97 @@
+// tests/unit/circuit-breaker.test.js
+const { CircuitBreaker } = require('../../src/utils/circuit-breaker');
+
+function createBreaker(overrides = {}) {
+  const clock = { time: 1000 };
+  const breaker = new CircuitBreaker('tcp', {
+    failureThreshold: 3,
+    resetTimeout: 10000,
+    now: () => clock.time,
+    ...overrides
+  });
+  const events = [];
+  ['open', 'half-open', 'close'].forEach(name => breaker.on(name, () => events.push(name)));
+  return { breaker, clock, events };
+}
+
+function fail(breaker, times) {
+  for (let i = 0; i < times; i++) {
+    breaker.recordFailure();
+  }
+}
+
+describe('CircuitBreaker', () => {
+  test('opens after failureThreshold failures in a row', () => {
+    const { breaker, events } = createBreaker();
+
+    fail(breaker, 2);
+    expect(breaker.state).toBe('closed');
+    expect(breaker.allowRequest()).toBe(true);
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe('open');
+    expect(breaker.allowRequest()).toBe(false);
+    expect(events).toEqual(['open']);
+    expect(breaker.getStats()).toMatchObject({ state: 'open', consecutiveFailures: 3, opened: 1, retryIn: 10000 });
+  });
+
+  test('a success resets the failure count', () => {
+    const { breaker } = createBreaker();
+
+    fail(breaker, 2);
+    breaker.recordSuccess();
+    fail(breaker, 2);
+
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('throws CIRCUIT_OPEN with the time left while open', () => {
+    const { breaker, clock } = createBreaker();
+
+    fail(breaker, 3);
+    clock.time += 4000;
+
+    expect(() => breaker.assertAllowed()).toThrow(expect.objectContaining({ code: 'CIRCUIT_OPEN', retryIn: 6000 }));
+  });
+
+  test('half-opens once resetTimeout has passed', () => {
+    const { breaker, clock, events } = createBreaker();
+
+    fail(breaker, 3);
+    clock.time += 9999;
+    expect(breaker.allowRequest()).toBe(false);
+
+    clock.time += 1;
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.getRetryIn()).toBe(0);
+    expect(events).toEqual(['open', 'half-open']);
+  });
+
+  test('closes when the half-open trial succeeds', () => {
+    const { breaker, clock, events } = createBreaker();
+
+    fail(breaker, 3);
+    clock.time += 10000;
+    breaker.assertAllowed();
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.getStats()).toMatchObject({ consecutiveFailures: 0, retryIn: 0 });
+    expect(events).toEqual(['open', 'half-open', 'close']);
+  });
+
+  test('reopens for another resetTimeout when the half-open trial fails', () => {
+    const { breaker, clock, events } = createBreaker();
+
+    fail(breaker, 3);
+    clock.time += 10000;
+    breaker.assertAllowed();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.getRetryIn()).toBe(10000);
+    expect(breaker.getStats().opened).toBe(2);
+    expect(events).toEqual(['open', 'half-open', 'open']);
+  });
+});
@@ -0,0 +1,185 @@
+// tests/unit/command-firewall.test.js
+jest.mock('../../src/utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  auditLogger: { warn: jest.fn() }
+}));
+
+const { auditLogger } = require('../../src/utils/logger');
+const { CommandFirewall } = require('../../src/services/command-firewall');
+
+const SOH = '\u0001';
+
+function createFirewall(overrides = {}) {
+  return new CommandFirewall({
+    firewallRules: [{ action: 'allow', match: 'I*' }],
+    firewallDefaultAction: 'deny',
+    firewallResponse: '',
+    ...overrides
+  });
+}
+
+const bytes = text => Buffer.from(text, 'latin1');
+const text = buffer => (buffer ? buffer.toString('latin1') : null);
+
+describe('CommandFirewall', () => {
+  beforeEach(() => {
+    auditLogger.warn.mockClear();
+  });
+
+  describe('function code split across chunks', () => {
+    test('holds a partial command until the function code is complete', () => {
+      const firewall = createFirewall();
+
+      const first = firewall.filter(bytes(`${SOH}i2`));
+      expect(first.allowed).toBeNull();
+      expect(first.denied).toHaveLength(0);
+
+      const second = firewall.filter(bytes('0100'));
+      expect(text(second.allowed)).toBe(`${SOH}i20100`);
+      expect(second.denied).toHaveLength(0);
+    });
+
+    test('denies a command once its held function code is complete', () => {
+      const firewall = createFirewall();
+
+      expect(firewall.filter(bytes(`${SOH}s6`)).denied).toHaveLength(0);
+
+      const result = firewall.filter(bytes('0200'));
+      expect(result.allowed).toBeNull();
+      expect(result.denied).toHaveLength(1);
+      expect(result.denied[0].functionCode).toBe('s60200');
+      expect(text(result.denied[0].data)).toBe(`${SOH}s60200`);
+    });
+
+    test('decides a held command with the commands that follow it', () => {
+      const firewall = createFirewall();
+
+      firewall.filter(bytes(`${SOH}i`));
+      const result = firewall.filter(bytes(`20100${SOH}s60200`));
+
+      expect(text(result.allowed)).toBe(`${SOH}i20100`);
+      expect(result.denied.map(command => command.functionCode)).toEqual(['s60200']);
+    });
+
+    test('drops held data on reset', () => {
+      const firewall = createFirewall();
+
+      firewall.filter(bytes(`${SOH}i2`));
+      firewall.reset();
+
+      // Without the held SOH this is data before any command
+      const result = firewall.filter(bytes('0100'));
+      expect(result.allowed).toBeNull();
+      expect(result.denied[0].functionCode).toBeNull();
+    });
+  });
+
+  describe('continuation bytes', () => {
+    test('pass after an allowed command', () => {
+      const firewall = createFirewall();
+
+      firewall.filter(bytes(`${SOH}i20100`));
+      const result = firewall.filter(bytes('0102\r\n'));
+
+      expect(text(result.allowed)).toBe('0102\r\n');
+      expect(result.denied).toHaveLength(0);
+    });
+
+    test('are dropped after a denied command without being reported again', () => {
+      const firewall = createFirewall();
+
+      expect(firewall.filter(bytes(`${SOH}s60200`)).denied).toHaveLength(1);
+      const result = firewall.filter(bytes('TANK1\r\n'));
+
+      expect(result.allowed).toBeNull();
+      expect(result.denied).toHaveLength(0);
+      expect(firewall.getStats().denied).toBe(1);
+      expect(auditLogger.warn).toHaveBeenCalledTimes(1);
+    });
+
+    test('follow the command before them in the same chunk', () => {
+      const firewall = createFirewall();
+
+      firewall.filter(bytes(`${SOH}s60200`));
+      const result = firewall.filter(bytes(`01${SOH}i20100`));
+
+      expect(text(result.allowed)).toBe(`${SOH}i20100`);
+      expect(result.denied).toHaveLength(0);
+    });
+  });
+
+  describe('listen mode clients', () => {
+    test('keep held data separate', () => {
+      const firewall = createFirewall();
+
+      firewall.filter(bytes(`${SOH}i2`), { client: 'a' });
+      const other = firewall.filter(bytes(`${SOH}s60200`), { client: 'b' });
+      expect(other.denied.map(command => command.functionCode)).toEqual(['s60200']);
+
+      const result = firewall.filter(bytes('0100'), { client: 'a' });
+      expect(text(result.allowed)).toBe(`${SOH}i20100`);
+    });
+
+    test('keep the verdict for continuation bytes separate', () => {
+      const firewall = createFirewall();
+
+      firewall.filter(bytes(`${SOH}i20100`), { client: 'a' });
+      firewall.filter(bytes(`${SOH}s60200`), { client: 'b' });
+
+      expect(text(firewall.filter(bytes('xx'), { client: 'a' }).allowed)).toBe('xx');
+      expect(firewall.filter(bytes('xx'), { client: 'b' }).allowed).toBeNull();
+    });
+
+    test('reset drops only the given client', () => {
+      const firewall = createFirewall();
+
+      firewall.filter(bytes(`${SOH}i2`), { client: 'a' });
+      firewall.filter(bytes(`${SOH}i2`), { client: 'b' });
+      firewall.reset('a');
+
+      expect(firewall.filter(bytes('0100'), { client: 'a' }).allowed).toBeNull();
+      expect(text(firewall.filter(bytes('0100'), { client: 'b' }).allowed)).toBe(`${SOH}i20100`);
+    });
+
+    test('name the client in the audit log', () => {
+      const firewall = createFirewall();
+
+      firewall.filter(bytes(`${SOH}s60200`), { client: '10.0.0.5:4321' });
+
+      expect(auditLogger.warn).toHaveBeenCalledWith('Command denied by firewall', expect.objectContaining({
+        functionCode: 's60200',
+        client: '10.0.0.5:4321'
+      }));
+    });
+  });
+
+  describe('data before any SOH', () => {
+    test('is denied with the default deny action', () => {
+      const firewall = createFirewall();
+
+      const result = firewall.filter(bytes('hello'));
+
+      expect(result.allowed).toBeNull();
+      expect(result.denied).toHaveLength(1);
+      expect(result.denied[0]).toMatchObject({ functionCode: null, rule: null });
+      expect(auditLogger.warn).toHaveBeenCalledWith('Command denied by firewall', expect.objectContaining({
+        rule: 'default (deny)'
+      }));
+    });
+
+    test('is allowed with the default allow action', () => {
+      const firewall = createFirewall({ firewallDefaultAction: 'allow', firewallRules: [{ action: 'deny', match: 'S*' }] });
+
+      const result = firewall.filter(bytes(`hello${SOH}s60200`));
+
+      expect(text(result.allowed)).toBe('hello');
+      expect(result.denied.map(command => command.functionCode)).toEqual(['s60200']);
+    });
+
+    test('is not matched against the rules', () => {
+      const firewall = createFirewall({ firewallRules: [{ action: 'allow', pattern: '.*' }] });
+
+      expect(firewall.filter(bytes('I20100')).denied).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+// tests/unit/flow-control.test.js
+const { RelayBuffer } = require('../../src/utils/flow-control');
+
+/**
+ * A destination whose writes complete only when the test says so
+ */
+function createDestination() {
+  const writes = [];
+  const send = jest.fn(data => new Promise((resolve, reject) => {
+    writes.push({ data: data.toString(), resolve, reject });
+  }));
+  return { send, writes };
+}
+
+function createBuffer(send, options = {}) {
+  const buffer = new RelayBuffer('serial', send, { highWaterMark: 10, policy: 'pause', ...options });
+  const overflows = [];
+  buffer.on('overflow', event => overflows.push(event));
+  return { buffer, overflows };
+}
+
+const chunk = (text) => Buffer.from(text);
+const settled = promise => promise.then(() => 'written', error => error.message);
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RelayBuffer', () => {
+  test('writes one chunk at a time in order', async () => {
+    const { send, writes } = createDestination();
+    const { buffer } = createBuffer(send);
+
+    const first = buffer.push(chunk('aaa'));
+    const second = buffer.push(chunk('bbb'));
+    expect(writes.map(write => write.data)).toEqual(['aaa']);
+
+    writes[0].resolve();
+    await first;
+    await flush();
+    expect(writes.map(write => write.data)).toEqual(['aaa', 'bbb']);
+
+    writes[1].resolve();
+    await second;
+    expect(buffer.getStats()).toMatchObject({ queuedBytes: 0, queuedChunks: 0, peakBytes: 6 });
+  });
+
+  describe("'drop-oldest' policy", () => {
+    test('drops the oldest waiting data to make room', async () => {
+      const { send, writes } = createDestination();
+      const { buffer, overflows } = createBuffer(send, { policy: 'drop-oldest' });
+
+      buffer.push(chunk('1111'));
+      const oldest = settled(buffer.push(chunk('2222')));
+      buffer.push(chunk('3333'));
+
+      expect(await oldest).toBe('serial buffer full, data dropped');
+      expect(overflows).toEqual([{ policy: 'drop-oldest', bytes: 4 }]);
+      expect(buffer.getStats()).toMatchObject({ queuedBytes: 8, overflows: 1, droppedBytes: 4 });
+
+      writes[0].resolve();
+      await flush();
+      expect(writes.map(write => write.data)).toEqual(['1111', '3333']);
+    });
+
+    test('never drops the chunk being written', () => {
+      const { send } = createDestination();
+      const { buffer } = createBuffer(send, { policy: 'drop-oldest' });
+
+      buffer.push(chunk('12345678'));
+      buffer.push(chunk('abcdefgh'));
+
+      expect(buffer.getStats()).toMatchObject({ queuedChunks: 2, queuedBytes: 16, droppedBytes: 0 });
+    });
+  });
+
+  describe("'fail' policy", () => {
+    test('rejects new data that does not fit and keeps what is queued', async () => {
+      const { send, writes } = createDestination();
+      const { buffer, overflows } = createBuffer(send, { policy: 'fail' });
+
+      const first = buffer.push(chunk('12345678'));
+      await expect(buffer.push(chunk('abc'))).rejects.toMatchObject({
+        code: 'BUFFER_OVERFLOW',
+        message: 'serial buffer full (8 of 10 bytes queued)'
+      });
+
+      expect(overflows).toEqual([{ policy: 'fail', bytes: 3 }]);
+      expect(buffer.getStats()).toMatchObject({ queuedBytes: 8, rejectedBytes: 3 });
+
+      writes[0].resolve();
+      await expect(first).resolves.toBeUndefined();
+    });
+  });
+
+  describe("'pause' policy", () => {
+    test('pauses the source above the high-water mark and resumes at half of it', async () => {
+      const { send, writes } = createDestination();
+      const { buffer } = createBuffer(send);
+      const events = [];
+      buffer.on('pause', () => events.push('pause'));
+      buffer.on('resume', () => events.push('resume'));
+
+      buffer.push(chunk('aaaaaaa'));
+      buffer.push(chunk('bbbb'));
+      expect(events).toEqual(['pause']);
+      expect(buffer.getStats()).toMatchObject({ paused: true, queuedBytes: 11, pauses: 1 });
+
+      writes[0].resolve();
+      await flush();
+      expect(events).toEqual(['pause', 'resume']);
+      expect(buffer.paused).toBe(false);
+    });
+  });
+
+  describe('hold and release', () => {
+    test('keeps data while held and writes it in order on release', async () => {
+      const { send, writes } = createDestination();
+      const { buffer } = createBuffer(send);
+
+      buffer.hold(100);
+      const first = buffer.push(chunk('aaa'));
+      const second = buffer.push(chunk('bbb'));
+      expect(send).not.toHaveBeenCalled();
+      expect(buffer.getStats()).toMatchObject({ held: true, queuedBytes: 6, holds: 1 });
+
+      buffer.release();
+      writes[0].resolve();
+      await first;
+      await flush();
+      writes[1].resolve();
+      await second;
+
+      expect(writes.map(write => write.data)).toEqual(['aaa', 'bbb']);
+      expect(buffer.getStats()).toMatchObject({ held: false, queuedBytes: 0 });
+    });
+
+    test('drops the oldest held data beyond the hold limit, not the high-water mark', async () => {
+      const { send } = createDestination();
+      const { buffer, overflows } = createBuffer(send, { policy: 'fail' });
+
+      buffer.hold(12);
+      const oldest = settled(buffer.push(chunk('11111')));
+      buffer.push(chunk('22222'));
+      buffer.push(chunk('33333'));
+
+      expect(await oldest).toBe('serial is down and its buffer is full, data dropped');
+      expect(overflows).toEqual([{ policy: 'fail', bytes: 5 }]);
+      expect(buffer.getStats()).toMatchObject({ queuedBytes: 10, droppedBytes: 5, rejectedBytes: 0 });
+    });
+
+    test('keeps the chunk that was being written when the hold started', () => {
+      const { send } = createDestination();
+      const { buffer } = createBuffer(send);
+
+      buffer.push(chunk('aaaa'));
+      buffer.hold(4);
+      buffer.push(chunk('bbbb'));
+
+      expect(buffer.getStats()).toMatchObject({ queuedChunks: 2, droppedBytes: 0 });
+    });
+
+    test('resumes a paused source when held', () => {
+      const { send } = createDestination();
+      const { buffer } = createBuffer(send);
+      const resume = jest.fn();
+      buffer.on('resume', resume);
+
+      buffer.push(chunk('aaaaaaaaaaaa'));
+      expect(buffer.paused).toBe(true);
+
+      buffer.hold(100);
+      expect(resume).toHaveBeenCalledTimes(1);
+      expect(buffer.paused).toBe(false);
+    });
+  });
+
+  test('clear() rejects everything queued', async () => {
+    const { send } = createDestination();
+    const { buffer } = createBuffer(send);
+
+    const first = settled(buffer.push(chunk('aaa')));
+    const second = settled(buffer.push(chunk('bbb')));
+    buffer.clear('port closed');
+
+    expect(await first).toBe('serial data dropped: port closed');
+    expect(await second).toBe('serial data dropped: port closed');
+    expect(buffer.getStats()).toMatchObject({ queuedBytes: 0, queuedChunks: 0 });
+  });
+});
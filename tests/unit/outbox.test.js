@@ -0,0 +1,151 @@
+// tests/unit/outbox.test.js
+jest.mock('../../src/utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../src/utils/data-endpoint', () => ({
+  postDeviceData: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { postDeviceData } = require('../../src/utils/data-endpoint');
+const { Outbox, createBatchId } = require('../../src/services/outbox');
+
+const HOUR = 3600000;
+
+function createPayload(batchId, data = 'i20100') {
+  return { deviceId: 'relay-1', batchId, records: [{ timestamp: '2026-01-01T00:00:00.000Z', data }] };
+}
+
+describe('Outbox', () => {
+  let outboxDir;
+
+  function createOutbox(overrides = {}) {
+    return new Outbox({
+      outboxDir,
+      outboxMaxEntries: 100,
+      outboxMaxBytes: 1024 * 1024,
+      outboxMaxAge: 24 * HOUR,
+      outboxRetryDelay: 60000,
+      outboxMaxRetryDelay: HOUR,
+      ...overrides
+    });
+  }
+
+  beforeEach(() => {
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+    postDeviceData.mockReset();
+  });
+
+  afterEach(() => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  describe('send()', () => {
+    test('does not spool a batch the endpoint accepted', async () => {
+      postDeviceData.mockResolvedValue(true);
+      const outbox = createOutbox();
+
+      await expect(outbox.send(createPayload('a'))).resolves.toBe(true);
+
+      expect(outbox.getStats()).toMatchObject({ pending: 0, sent: 1, spooled: 0 });
+    });
+
+    test('spools a batch the endpoint did not accept', async () => {
+      postDeviceData.mockResolvedValue(false);
+      const outbox = createOutbox();
+
+      await expect(outbox.send(createPayload('a'))).resolves.toBe(false);
+
+      expect(outbox.has('a')).toBe(true);
+      expect(outbox.list()).toEqual([expect.objectContaining({ batchId: 'a', attempts: 1, records: 1 })]);
+      expect(outbox.getStats()).toMatchObject({ pending: 1, spooled: 1 });
+    });
+
+    test('skips a batch that is already spooled', async () => {
+      postDeviceData.mockResolvedValue(false);
+      const outbox = createOutbox();
+
+      await outbox.send(createPayload('a'));
+      await expect(outbox.send(createPayload('a'))).resolves.toBe(false);
+
+      expect(postDeviceData).toHaveBeenCalledTimes(1);
+      expect(outbox.getStats()).toMatchObject({ pending: 1, spooled: 1, duplicates: 1 });
+    });
+
+    test('drops a batch that cannot be spooled', async () => {
+      postDeviceData.mockResolvedValue(false);
+      const outbox = createOutbox();
+      jest.spyOn(outbox.queue, 'push').mockImplementation(() => {
+        throw new Error('ENOSPC: no space left on device');
+      });
+
+      await expect(outbox.send(createPayload('a'))).resolves.toBe(false);
+
+      expect(outbox.getStats()).toMatchObject({ pending: 0, spooled: 0, dropped: 1 });
+    });
+  });
+
+  describe('createBatchId()', () => {
+    test('is the same for the same packets and differs between channels', () => {
+      const packets = [{ timestamp: '2026-01-01T00:00:00.000Z', data: 'i20100' }];
+
+      expect(createBatchId({ deviceId: 'relay-1' }, packets)).toBe(createBatchId({ deviceId: 'relay-1' }, packets));
+      expect(createBatchId({ deviceId: 'relay-1', channelId: 'tank-a' }, packets))
+        .not.toBe(createBatchId({ deviceId: 'relay-1', channelId: 'tank-b' }, packets));
+    });
+  });
+
+  describe('prune()', () => {
+    test('drops batches older than outboxMaxAge', () => {
+      const outbox = createOutbox();
+      outbox.spool(createPayload('old'));
+      outbox.spool(createPayload('new'));
+
+      const [old] = outbox.queue.peek(Infinity);
+      outbox.queue.update(old.id, { ...old, createdAt: new Date(Date.now() - 25 * HOUR).toISOString() });
+
+      expect(outbox.prune()).toBe(1);
+      expect(outbox.list().map(entry => entry.batchId)).toEqual(['new']);
+      expect(outbox.getStats().dropped).toBe(1);
+    });
+
+    test('drops the oldest batches until the spool fits in outboxMaxBytes', () => {
+      const outbox = createOutbox();
+      ['a', 'b', 'c'].forEach(batchId => outbox.spool(createPayload(batchId, 'x'.repeat(200))));
+
+      outbox.maxBytes = outbox.queue.bytes() - 1;
+
+      expect(outbox.prune()).toBe(1);
+      expect(outbox.list().map(entry => entry.batchId)).toEqual(['b', 'c']);
+    });
+  });
+
+  describe('flush()', () => {
+    test('delivers due batches and backs off after a failure', async () => {
+      postDeviceData.mockResolvedValue(false);
+      const outbox = createOutbox();
+      await outbox.send(createPayload('a'));
+      await outbox.send(createPayload('b'));
+
+      postDeviceData.mockReset();
+      postDeviceData.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      await expect(outbox.flush({ force: true })).resolves.toBe(1);
+
+      const [entry] = outbox.list();
+      expect(entry).toMatchObject({ batchId: 'b', attempts: 2 });
+      expect(Date.parse(entry.nextAttemptAt) - Date.parse(entry.lastAttempt)).toBe(120000);
+    });
+
+    test('leaves batches alone until they are due', async () => {
+      postDeviceData.mockResolvedValue(false);
+      const outbox = createOutbox();
+      await outbox.send(createPayload('a'));
+
+      await expect(outbox.flush()).resolves.toBe(0);
+      expect(postDeviceData).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+// tests/unit/retry-handler.test.js
+jest.mock('../../src/utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { RetryHandler, createConnectionRetryHandler } = require('../../src/utils/retry-handler');
+
+function createError(code, message = code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function recordEvents(handler) {
+  const events = [];
+  ['retry', 'success', 'failure'].forEach(name => handler.on(name, event => events.push({ name, ...event })));
+  return events;
+}
+
+describe('RetryHandler', () => {
+  describe('retries', () => {
+    test('retries until the operation succeeds', async () => {
+      const handler = new RetryHandler({ maxRetries: 3, baseDelay: 1 });
+      const events = recordEvents(handler);
+      const operation = jest.fn()
+        .mockRejectedValueOnce(new Error('refused'))
+        .mockResolvedValueOnce('ok');
+
+      await expect(handler.execute(operation, 'connect')).resolves.toBe('ok');
+
+      expect(operation).toHaveBeenCalledTimes(2);
+      expect(operation.mock.calls.map(([attempt]) => attempt)).toEqual([1, 2]);
+      expect(events.map(event => event.name)).toEqual(['retry', 'success']);
+      expect(events[1]).toMatchObject({ operation: 'connect', attempts: 2 });
+    });
+
+    test('gives up after maxRetries attempts with the last error code', async () => {
+      const handler = new RetryHandler({ maxRetries: 2, baseDelay: 1 });
+      const events = recordEvents(handler);
+      const operation = jest.fn().mockRejectedValue(createError('ECONNREFUSED'));
+
+      const error = await handler.execute(operation, 'connect').catch(e => e);
+
+      expect(operation).toHaveBeenCalledTimes(2);
+      expect(error.code).toBe('ECONNREFUSED');
+      expect(error.attempts).toBe(2);
+      expect(events[events.length - 1]).toMatchObject({ name: 'failure', reason: 'exhausted', attempts: 2 });
+    });
+
+    test('maxRetries passed to execute() overrides the handler', async () => {
+      const handler = new RetryHandler({ maxRetries: 5, baseDelay: 1 });
+      const operation = jest.fn().mockRejectedValue(new Error('refused'));
+
+      await expect(handler.execute(operation, 'connect', {}, { maxRetries: 1 })).rejects.toThrow('after 1 attempts');
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('policies', () => {
+    test("'fail' gives up at once without retrying", async () => {
+      const handler = new RetryHandler({ maxRetries: 3, baseDelay: 1, policies: { EACCES: 'fail' } });
+      const events = recordEvents(handler);
+      const operation = jest.fn().mockRejectedValue(createError('EACCES', 'permission denied'));
+
+      const error = await handler.execute(operation, 'open').catch(e => e);
+
+      expect(operation).toHaveBeenCalledTimes(1);
+      expect(error.code).toBe('EACCES');
+      expect(error.retryable).toBe(false);
+      expect(events).toEqual([expect.objectContaining({ name: 'failure', reason: 'fatal', attempts: 1 })]);
+    });
+
+    test("'backoff' waits longDelay instead of the usual delay", async () => {
+      const handler = new RetryHandler({ maxRetries: 2, baseDelay: 1, longDelay: 20, policies: { ENETUNREACH: 'backoff' } });
+      const events = recordEvents(handler);
+      const operation = jest.fn()
+        .mockRejectedValueOnce(createError('ENETUNREACH'))
+        .mockRejectedValueOnce(createError('ECONNREFUSED'))
+        .mockResolvedValueOnce('ok');
+
+      await expect(handler.execute(operation, 'connect', {}, { maxRetries: 3 })).resolves.toBe('ok');
+
+      const retries = events.filter(event => event.name === 'retry');
+      expect(retries.map(({ policy, delay }) => ({ policy, delay }))).toEqual([
+        { policy: 'backoff', delay: 20 },
+        { policy: 'retry', delay: 2 }
+      ]);
+    });
+
+    test('classify takes precedence over the policies map', async () => {
+      const handler = new RetryHandler({
+        maxRetries: 3,
+        baseDelay: 1,
+        policies: { ECONNRESET: 'retry' },
+        classify: error => (error.message.includes('certificate') ? 'fail' : undefined)
+      });
+      const operation = jest.fn().mockRejectedValue(createError('ECONNRESET', 'bad certificate'));
+
+      await expect(handler.execute(operation, 'connect')).rejects.toThrow('bad certificate');
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('shouldRetry returning false fails the operation', () => {
+      const handler = new RetryHandler({ shouldRetry: error => error.code !== 'EPERM' });
+
+      expect(handler.getPolicy(createError('EPERM'))).toBe('fail');
+      expect(handler.getPolicy(createError('EBUSY'))).toBe('retry');
+    });
+
+    test('connection handler backs off when the network is down and fails on bad settings', () => {
+      const handler = createConnectionRetryHandler();
+
+      expect(handler.getPolicy(createError('ENETUNREACH'))).toBe('backoff');
+      expect(handler.getPolicy(createError('ERR_SOCKET_BAD_PORT'))).toBe('fail');
+      expect(handler.getPolicy(createError('ECONNREFUSED'))).toBe('retry');
+    });
+
+    test('rejects an unknown policy', () => {
+      expect(() => new RetryHandler({ policies: { EIO: 'later' } })).toThrow("Unknown retry policy 'later' for EIO");
+    });
+  });
+
+  describe('cancellation', () => {
+    test('aborting during a backoff delay rejects at once', async () => {
+      const handler = new RetryHandler({ maxRetries: 3, baseDelay: 60000 });
+      const events = recordEvents(handler);
+      const controller = new AbortController();
+      const operation = jest.fn().mockRejectedValue(new Error('refused'));
+      handler.once('retry', () => setTimeout(() => controller.abort(), 5));
+
+      const startedAt = Date.now();
+      const error = await handler.execute(operation, 'connect', {}, { signal: controller.signal }).catch(e => e);
+
+      expect(Date.now() - startedAt).toBeLessThan(1000);
+      expect(error.code).toBe('ABORT_ERR');
+      expect(error.attempts).toBe(1);
+      expect(operation).toHaveBeenCalledTimes(1);
+      expect(events[events.length - 1]).toMatchObject({ name: 'failure', reason: 'aborted' });
+    });
+
+    test('an already aborted signal runs no attempt', async () => {
+      const handler = new RetryHandler();
+      const controller = new AbortController();
+      controller.abort();
+      const operation = jest.fn();
+
+      await expect(handler.execute(operation, 'connect', {}, { signal: controller.signal }))
+        .rejects.toMatchObject({ code: 'ABORT_ERR' });
+      expect(operation).not.toHaveBeenCalled();
+    });
+
+    test('the deadline expiring during an attempt rejects and aborts the attempt', async () => {
+      const handler = new RetryHandler({ maxRetries: 3, baseDelay: 1 });
+      const events = recordEvents(handler);
+      let attemptSignal;
+      const operation = jest.fn((attempt, signal) => {
+        attemptSignal = signal;
+        return new Promise(() => {});
+      });
+
+      const error = await handler.execute(operation, 'connect', {}, { deadline: 20 }).catch(e => e);
+
+      expect(error.code).toBe('ETIMEDOUT');
+      expect(error.message).toBe('connect did not succeed within 20ms');
+      expect(attemptSignal.aborted).toBe(true);
+      expect(operation).toHaveBeenCalledTimes(1);
+      expect(events[events.length - 1]).toMatchObject({ name: 'failure', reason: 'timeout', attempts: 1 });
+    });
+
+    test('does not wait for a retry the deadline would cut short', async () => {
+      const handler = new RetryHandler({ maxRetries: 3, baseDelay: 60000 });
+      const operation = jest.fn().mockRejectedValue(new Error('refused'));
+
+      const startedAt = Date.now();
+      const error = await handler.execute(operation, 'connect', {}, { deadline: 5000 }).catch(e => e);
+
+      expect(Date.now() - startedAt).toBeLessThan(1000);
+      expect(error.code).toBe('ETIMEDOUT');
+      expect(error.message).toBe('connect cannot be retried within 5000ms: refused');
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -63,10 +63,12 @@ const CONNECTION_STATES = {
     TCP_CONNECTION_FAILED: 'TCP_CONNECTION_FAILED',
     SERIAL_CONNECTION_FAILED: 'SERIAL_CONNECTION_FAILED',
     CONNECTION_TIMEOUT: 'CONNECTION_TIMEOUT',
+    UPSTREAM_AUTH_FAILED: 'UPSTREAM_AUTH_FAILED',
     
     // Relay errors
     RELAY_TIMEOUT: 'RELAY_TIMEOUT',
     DATA_RELAY_FAILED: 'DATA_RELAY_FAILED',
+    BUFFER_OVERFLOW: 'BUFFER_OVERFLOW',
     
     // Application errors
     APP_STARTUP_FAILED: 'APP_STARTUP_FAILED',
@@ -109,15 +111,33 @@ const CONNECTION_STATES = {
    * @typedef {Object} ConnectionConfig
    * @property {string} tcpIp - TCP server IP address
    * @property {number} tcpPort - TCP server port
-   * @property {string} serialPath - Serial port path
+   * @property {string|object} serialPath - Serial port path, or USB matcher { vendorId, productId, serialNumber }
    * @property {number} serialBaud - Serial baud rate
    * @property {string} serialParity - Serial parity setting
    * @property {number} serialDataBits - Serial data bits
    * @property {number} serialStopBits - Serial stop bits
+   * @property {string} [serialPty] - Pseudo-terminal mode: 'none', 'create' or 'attach'
+   * @property {boolean} [serialRtsCts] - Hardware (RTS/CTS) flow control
+   * @property {boolean} [serialXonXoff] - Software (XON/XOFF) flow control
+   * @property {string} [serialDtr] - DTR after opening: 'default', 'on' or 'off'
+   * @property {string} [serialRts] - RTS after opening: 'default', 'on' or 'off'
+   * @property {boolean} [serialHupcl] - Drop DTR when the port is closed
+   * @property {number} [serialBreakDuration] - BREAK sent before each command (ms)
+   * @property {boolean} [serialRs485] - RS-485 direction control on RTS
+   * @property {number} [serialCharDelay] - Pause between the bytes of a command (ms)
+   * @property {number} [serialCommandGap] - Minimum quiet time between commands (ms)
+   * @property {number} [serialSettleTime] - Wait after each command is sent (ms)
+   * @property {string} [secondaryTcpMode] - Secondary TCP connection: 'persistent' or 'transaction'
+   * @property {string} [mockScenario] - Scenario file for the mock serial port
+   * @property {boolean} [serialAutoDetect] - Probe for the serial port and line settings at start
    * @property {number} maxRetries - Maximum connection retries
    * @property {number} retryDelay - Delay between retries
    * @property {number} connectionTimeout - Connection timeout
    * @property {number} relayTimeout - Relay operation timeout
+   * @property {number} [reconnectDelay] - First delay before reconnecting a dropped side
+   * @property {number} [circuitBreakerThreshold] - Failed reconnects before a side's circuit opens
+   * @property {number} [circuitBreakerResetTimeout] - Time an open circuit waits before a trial reconnect
+   * @property {number} [outageBufferMaxBytes] - Data held for a side while it is down
    */
   
   /**
@@ -147,6 +167,20 @@ const CONNECTION_STATES = {
    * @property {string} ascii - ASCII representation
    */
   
+  /**
+   * @typedef {Object} ProtocolRecord
+   * @property {string} type - 'command' or 'response'
+   * @property {string} [functionCode] - Full function code, e.g. 'i20100'
+   * @property {string} [function] - Function number, e.g. '201'
+   * @property {string} [selector] - Tank or device selector, e.g. '00'
+   * @property {string} [format] - 'computer' or 'display'
+   * @property {string|null} [name] - Decoded report name ('inventory', 'deliveries', 'leakTests', 'alarms')
+   * @property {boolean|null} [checksumValid] - Checksum result (null for display format)
+   * @property {string} [timestamp] - Console time of the report
+   * @property {Object} [data] - Decoded report
+   * @property {string} [error] - Decode or console error
+   */
+  
   /**
    * @typedef {Object} StatusInfo
    * @property {string} runTimestamp - Run start timestamp